@@ -1,23 +1,176 @@
 const DATA_START_ROW = 4; // Data starts from row 4
+const HEADER_ROW = DATA_START_ROW - 1; // Column headers sit directly above the data
 const HUBSPOT_SERVERLESS_ENDPOINT =
 	"https://www.activesgcircle.gov.sg/_hcms/api/update-data-sport-tennis";
-const HUBDB_ROW_ID_COLUMN = 1; // Column A for storing HubDB row ID (hs_id)
-const SYNC_STATUS_ID_COLUMN = 9; // Column M for storing sync status
-const SYNC_MESSAGE_ID_COLUMN = 10; // Column N for storing sync message
 
-// TARGET SHEET CONFIGURATION - Change this to switch sheets
-const TARGET_SHEET_NAME = "Schedule and results";
+// SHEET SCHEMA - Maps sheet header names to HubDB field names.
+// Column positions are resolved from HEADER_ROW, so columns can be moved or
+// inserted freely as long as the header text stays the same.
+//   sync: field is sent to HubDB and compared when detecting changes
+//   required: sync is refused if the header cannot be found
+const COLUMN_SCHEMA = [
+	{ field: "hubdbRowId", header: "hs_id", required: true },
+	{
+		field: "date_and_time",
+		header: "Date and time",
+		aliases: ["Date & time", "Date/time"],
+		required: true,
+		sync: true,
+	},
+	{ field: "category", header: "Category", required: true, sync: true },
+	{ field: "stage", header: "Stage", required: true, sync: true },
+	{ field: "round", header: "Round", sync: true },
+	{ field: "player_1", header: "Player 1", required: true, sync: true },
+	{ field: "player_2", header: "Player 2", required: true, sync: true },
+	{
+		field: "results",
+		header: "Results",
+		aliases: ["Result", "Score"],
+		required: true,
+		sync: true,
+	},
+	{ field: "venue", header: "Venue", required: true, sync: true },
+	{
+		field: "match_number",
+		header: "Match",
+		aliases: ["Match no.", "Match number"],
+	},
+	{ field: "syncStatus", header: "Sync status", required: true },
+	{ field: "syncMessage", header: "Sync message", required: true },
+	{ field: "matchId", header: "Match ID" },
+];
+
+// MATCH FORMATS - How the results column is validated (see parseScore).
+//   setsToWin: sets needed to win the match
+//   games: games that win a set; a tiebreak is played at games-all
+//   finalSet: deciding set played as a "set", a "match_tiebreak" or "either"
+//   matchTiebreakTo: points that win a match tiebreak
+const MATCH_FORMATS = {
+	best_of_3: {
+		setsToWin: 2,
+		games: 6,
+		finalSet: "either",
+		matchTiebreakTo: 10,
+	},
+	best_of_3_full: { setsToWin: 2, games: 6, finalSet: "set" },
+	best_of_3_mtb: {
+		setsToWin: 2,
+		games: 6,
+		finalSet: "match_tiebreak",
+		matchTiebreakTo: 10,
+	},
+	pro_set: { setsToWin: 1, games: 8, finalSet: "set" },
+};
+
+// Category (as written in the sheet) to MATCH_FORMATS name; "default" is used
+// for every category not listed
+const TENNIS_MATCH_FORMATS = {
+	default: "best_of_3",
+};
+
+// Session hours ("HH:mm" in MATCH_TIME_ZONE), match length and rest between
+// a player's matches used to check the schedule (see findScheduleConflicts)
+const TENNIS_SCHEDULE = {
+	sessionStart: "08:00",
+	sessionEnd: "22:00",
+	matchMinutes: 90,
+	minRestMinutes: 30,
+};
+
+// SYNC TARGETS - One entry per sheet tab pushed to a serverless endpoint.
+// Add a target per sport or draw tab instead of copying this script.
+//   name: used to pick a target from syncAllData("name") and in logs
+//   storageKey: Script Property holding this target's previous data state
+//   schema: optional COLUMN_SCHEMA override for tabs with different headers
+//   syncOnEdit / syncOnSchedule: whether edit and time-based triggers run it
+//   matchFormats: category to match format map used to validate results;
+//     leave out for sports whose results are not tennis scores
+//   standingsSheetName: tab that receives the group standings (needs
+//     matchFormats); leave out to skip standings
+//   schedule: session hours, match length and rest time used to flag
+//     schedule conflicts; leave out to skip the checks
+//   playersSheetName: player registry tab used to resolve names to IDs
+//     (see PLAYER_SCHEMA); names are synced as typed when the tab is missing
+//   deleteLimits: overrides for DELETE_LIMITS, e.g. { maxCount: 30 }
+//   createBatchSize: rows per batch creation request; defaults to
+//     CREATE_BATCH_SIZE
+//   secretProperty: Script Property holding the key requests to the
+//     endpoint are signed with; defaults to SIGNING_SECRET_PROPERTY
+const SYNC_TARGETS = [
+	{
+		name: "tennis",
+		sheetName: "Schedule and results",
+		endpoint: HUBSPOT_SERVERLESS_ENDPOINT,
+		storageKey: "GAME_DATA",
+		syncOnEdit: true,
+		syncOnSchedule: true,
+		matchFormats: TENNIS_MATCH_FORMATS,
+		standingsSheetName: "Standings",
+		schedule: TENNIS_SCHEDULE,
+		playersSheetName: "Players",
+	},
+];
 
 /**
- * Get the target sheet by name
+ * Find a sync target by name
  */
-function getTargetSheet() {
+function getSyncTarget(targetName) {
+	const target = SYNC_TARGETS.find((t) => t.name === targetName);
+
+	if (!target) {
+		throw new Error(
+			`Sync target "${targetName}" not found. Available targets: ${SYNC_TARGETS.map(
+				(t) => t.name
+			).join(", ")}`
+		);
+	}
+
+	return target;
+}
+
+/**
+ * Find the sync target whose sheet is the given sheet, or null
+ */
+function getTargetForSheet(sheet) {
+	return SYNC_TARGETS.find((t) => t.sheetName === sheet.getName()) || null;
+}
+
+/**
+ * Get the column schema for a target
+ */
+function getTargetSchema(target) {
+	return (target && target.schema) || COLUMN_SCHEMA;
+}
+
+/**
+ * Get the HubDB fields that are synced and compared for a target
+ * Targets with a players tab also sync the registry IDs and teams
+ */
+function getTargetSyncFields(target) {
+	const fields = getTargetSchema(target)
+		.filter((column) => column.sync)
+		.map((column) => column.field);
+
+	return target?.playersSheetName ? fields.concat(PLAYER_SYNC_FIELDS) : fields;
+}
+
+/**
+ * Get the HubDB fields that are synced and compared for a sheet
+ */
+function getSyncFields(sheet) {
+	return getTargetSyncFields(getTargetForSheet(sheet));
+}
+
+/**
+ * Get the sheet for a sync target
+ */
+function getTargetSheet(target) {
 	const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-	const sheet = spreadsheet.getSheetByName(TARGET_SHEET_NAME);
+	const sheet = spreadsheet.getSheetByName(target.sheetName);
 
 	if (!sheet) {
 		throw new Error(
-			`Sheet "${TARGET_SHEET_NAME}" not found. Available sheets: ${spreadsheet
+			`Sheet "${target.sheetName}" not found. Available sheets: ${spreadsheet
 				.getSheets()
 				.map((s) => s.getName())
 				.join(", ")}`
@@ -28,24 +181,94 @@ function getTargetSheet() {
 }
 
 /**
- * Clear sync status and message columns for specific rows
+ * Normalise header text so "Player 1", "player 1 " and "PLAYER-1" all match
  */
-function clearSyncStatusForRows(sheet, rowNumbers) {
-	try {
-		if (!rowNumbers || rowNumbers.length === 0) return;
+function normaliseHeader(header) {
+	return String(header)
+		.toLowerCase()
+		.replace(/&/g, "and")
+		.replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Resolve COLUMN_SCHEMA (or another schema) against the header row of a sheet
+ * Returns a map of field name to 1-based column number
+ */
+function resolveColumns(sheet, schema) {
+	const lastColumn = sheet.getLastColumn();
+	if (lastColumn < 1) {
+		throw new Error(
+			`Sheet "${sheet.getName()}" has no header row at row ${HEADER_ROW}`
+		);
+	}
 
-		console.log(`Clearing sync status for rows: ${rowNumbers.join(", ")}`);
+	const headers = sheet
+		.getRange(HEADER_ROW, 1, 1, lastColumn)
+		.getValues()[0]
+		.map(normaliseHeader);
 
-		// Clear sync status and message for each row
-		rowNumbers.forEach((rowNumber) => {
-			sheet.getRange(rowNumber, SYNC_STATUS_ID_COLUMN).setValue("");
-			sheet.getRange(rowNumber, SYNC_MESSAGE_ID_COLUMN).setValue("");
-		});
+	const columns = {};
+	const missing = [];
 
-		console.log("Sync status cleared for specified rows");
-	} catch (error) {
-		console.error("Error clearing sync status:", error);
+	(schema || getTargetSchema(getTargetForSheet(sheet))).forEach((column) => {
+		const names = [column.header, ...(column.aliases || [])].map(
+			normaliseHeader
+		);
+		const matches = headers
+			.map((header, index) => (names.includes(header) ? index + 1 : null))
+			.filter((index) => index !== null);
+
+		if (matches.length > 1) {
+			throw new Error(
+				`Header "${column.header}" appears more than once in row ${HEADER_ROW} of "${sheet.getName()}"`
+			);
+		}
+
+		if (matches.length === 1) {
+			columns[column.field] = matches[0];
+		} else if (column.required) {
+			missing.push(column.header);
+		}
+	});
+
+	if (missing.length > 0) {
+		throw new Error(
+			`Missing required headers in row ${HEADER_ROW} of "${sheet.getName()}": ${missing.join(", ")}`
+		);
+	}
+
+	return columns;
+}
+
+const columnMapCache = {};
+let currentRunStats = null; // Row result counts of the sync in progress
+let pendingSheetWrites = null; // Buffered cell writes (see SHEET WRITE BUFFER)
+let executionKeyVersion = null; // Versions keys sent outside a sync run
+let loggedValuesCache = null; // Last logged values of the run (see SYNC LOG)
+let playerRegistryCache = null; // Players tab as read by the run in progress
+
+/**
+ * Get the resolved column map for a sheet, reading its header row once per run
+ */
+function getColumnMap(sheet, refresh) {
+	const key = sheet.getName();
+	if (refresh || !columnMapCache[key]) {
+		columnMapCache[key] = resolveColumns(sheet);
 	}
+	return columnMapCache[key];
+}
+
+/**
+ * Values of one column for every data row up to lastRow, or [] when the
+ * sheet has no such column
+ */
+function readDataColumn(sheet, column, lastRow) {
+	if (!column || lastRow < DATA_START_ROW) return [];
+
+	return sheet
+		.getRange(DATA_START_ROW, column, lastRow - DATA_START_ROW + 1, 1)
+		.getValues()
+		.map(([value]) => value);
 }
 
 /**
@@ -69,988 +292,6385 @@ function clearAllSyncStatus(sheet, lastRow) {
 
 /**
  * Main function to get all data and detect changes
- * READ-ONLY MODE: Only reads from sheet and updates hs_id column
+ * Syncs the named target, or every target when called without a name
+ * (trigger handlers pass an event object, which also means every target)
+ * options.trigger names what started the run in the sync log
+ */
+function syncAllData(targetName, options = {}) {
+	const targets =
+		typeof targetName === "string" ? [getSyncTarget(targetName)] : SYNC_TARGETS;
+
+	targets.forEach((target) => {
+		try {
+			syncTarget(target, options);
+		} catch (error) {
+			console.error(`Error syncing target "${target.name}":`, error);
+		}
+	});
+}
+
+/**
+ * Work out everything a sync of one target would do, without writing
+ * anything to the sheet or calling HubSpot
+ * options.rows limits the plan to those sheet rows; removed rows are only
+ * detected by a full sync
+ */
+function planSync(target, options = {}) {
+	const sheet = getTargetSheet(target);
+	const onlyRows = options.rows || null;
+
+	// With onlyRows, read just the block of rows that contains them
+	const firstRow = onlyRows ? Math.min(...onlyRows) : DATA_START_ROW;
+	const lastRow = onlyRows
+		? Math.min(Math.max(...onlyRows), sheet.getLastRow())
+		: sheet.getLastRow();
+
+	// Re-read the header row so inserted or moved columns are picked up
+	getColumnMap(sheet, true);
+
+	// Get all data and cleared rows
+	const sheetData = getAllSheetData(sheet, lastRow, firstRow);
+	const allData = onlyRows
+		? filterDataByRows(sheetData.allData, onlyRows)
+		: sheetData.allData;
+	const clearedRows = onlyRows
+		? sheetData.clearedRows.filter((row) => onlyRows.includes(row.sheetRow))
+		: sheetData.clearedRows;
+
+	// Get stored data (previous state)
+	// Throws on a corrupted snapshot rather than re-sending every row as NEW
+	const fullStoredData = rekeyStoredData(
+		getStoredData(target),
+		sheetData.allData
+	);
+	const storedData = onlyRows
+		? filterDataByKeys(fullStoredData, Object.keys(allData))
+		: fullStoredData;
+
+	// Compare and find changes
+	const detectedChanges = detectChanges(
+		allData,
+		storedData,
+		getSyncFields(sheet)
+	);
+
+	// Changed rows with an invalid date or score are held back until it is
+	// fixed. Their new state is still stored, so fixing it is a change again.
+	// Cleared rows are deleted after a grace period (see
+	// handlePendingDeletes), not as removed rows
+	const blockedRows = [];
+	const clearedIds = clearedRows.map((row) => String(row.hubdbRowId));
+	const changes = detectedChanges.filter((change) => {
+		if (change.type === "DELETED") {
+			return !clearedIds.includes(String(change.oldData.hubdbRowId));
+		}
+		if (!change.newData.validationError) return true;
+
+		blockedRows.push({
+			sheetRow: change.newData.sheetRow,
+			message: change.newData.validationError,
+		});
+		return false;
+	});
+
+	// Check for rows that need HubDB row creation (only from changed/new rows)
+	const rowsNeedingHubDBCreation = findRowsNeedingHubDBCreation(
+		allData,
+		sheet,
+		changes
+	);
+
+	// Filter changes to only include those with HubDB row IDs
+	const changesWithHubDBId = changes.filter((change) => {
+		const hasHubDBId =
+			(change.type === "DELETED" && change.oldData?.hubdbRowId) ||
+			(change.type !== "DELETED" && change.newData?.hubdbRowId);
+
+		if (!hasHubDBId) {
+			console.log(
+				`⏭️ Skipping ${change.type} operation for ${change.uniqueId} - No HubDB row ID`
+			);
+		}
+		return hasHubDBId;
+	});
+
+	// Removed rows and cleared rows due for deletion count towards the
+	// target's deletion limits; cleared rows confirmed with deleteNow do not
+	const dueClearedRows = options.deleteNow
+		? []
+		: splitClearedRows(clearedRows, getPendingDeletes(target)).toDelete;
+	const deleteCheck = checkDeleteLimits(
+		target,
+		sheet,
+		changesWithHubDBId
+			.filter((change) => change.type === "DELETED")
+			.map((change) => String(change.oldData.hubdbRowId))
+			.concat(dueClearedRows.map((row) => String(row.hubdbRowId))),
+		Object.keys(fullStoredData).length,
+		options
+	);
+
+	return {
+		target,
+		sheet,
+		firstRow,
+		lastRow,
+		onlyRows,
+		allData,
+		clearedRows,
+		changes,
+		blockedRows,
+		rowsNeedingHubDBCreation,
+		changesWithHubDBId,
+		deleteCheck,
+	};
+}
+
+/**
+ * Keep only the records that sit on the given sheet rows
+ */
+function filterDataByRows(data, rows) {
+	const filtered = {};
+	Object.keys(data).forEach((uniqueId) => {
+		if (rows.includes(data[uniqueId].sheetRow)) {
+			filtered[uniqueId] = data[uniqueId];
+		}
+	});
+	return filtered;
+}
+
+/**
+ * Keep only the records with the given unique IDs
+ */
+function filterDataByKeys(data, keys) {
+	const filtered = {};
+	keys.forEach((uniqueId) => {
+		if (data[uniqueId]) filtered[uniqueId] = data[uniqueId];
+	});
+	return filtered;
+}
+
+/**
+ * Sync one target sheet to its endpoint while holding the script lock
+ * options.rows limits the sync to those sheet rows (see planSync)
+ * Returns false when another sync held the lock; the work is then queued
+ * for the next run instead of being dropped
  */
-function syncAllData() {
+function syncTarget(target, options = {}) {
+	const lock = LockService.getScriptLock();
+
+	if (!lock.tryLock(SYNC_LOCK_WAIT_MS)) {
+		console.warn(`Another sync is running, queueing ${target.name}`);
+		queueSync(target, options.rows || null);
+		recordSkippedRun(target);
+		scheduleQueuedSync();
+		return false;
+	}
+
 	try {
-		const sheet = getTargetSheet(); // Use target sheet instead of active sheet
-		const lastRow = sheet.getLastRow();
+		// A full sync covers anything edits have queued in the meantime
+		if (!options.rows) takeQueuedSync(target);
+
+		runTargetSync(target, options);
+		return true;
+	} finally {
+		lock.releaseLock();
+	}
+}
 
+/**
+ * Sync one target sheet to its endpoint
+ * READ-ONLY MODE: Only reads from sheet and updates hs_id column
+ * (plus the player slots filled by advanceWinners)
+ * Callers must hold the script lock; use syncTarget
+ */
+function runTargetSync(target, options = {}) {
+	const stats = startRunStats(target, options.trigger);
+	startWriteBuffer();
+
+	try {
 		console.log("=== STARTING GAME SYNC (READ-ONLY MODE) ===");
-		console.log(`Target sheet: ${TARGET_SHEET_NAME}`);
-		console.log(`Processing rows ${DATA_START_ROW} to ${lastRow}`);
+		console.log(`Target: ${target.name} (sheet: ${target.sheetName})`);
 
-		// Clear all sync status before starting
-		clearAllSyncStatus(sheet, lastRow);
+		// Fail before anything is read or sent when requests cannot be signed
+		getSigningSecret(target);
 
-		// Get all data and cleared rows
-		const { allData, clearedRows } = getAllSheetData(sheet, lastRow);
+		// New rows get their match ID before anything reads the sheet
+		assignMatchIds(getTargetSheet(target), options.rows);
 
-		// Handle cleared rows first (delete from HubDB)
-		if (clearedRows.length > 0) {
-			console.log(`Processing ${clearedRows.length} cleared rows for deletion`);
-			handleClearedRows(clearedRows, sheet);
-		}
+		// A run killed while creating rows may have left rows in HubDB
+		// without writing their hs_id back. Checked before any retry is sent,
+		// as retried creations record their own rows in flight
+		checkInterruptedCreation(target);
 
-		// Get stored data (previous state)
-		const storedData = getStoredData();
+		// Full syncs first resend operations that failed in earlier runs
+		if (!options.rows) {
+			processRetryQueue(target, getTargetSheet(target));
+		}
 
-		// Compare and find changes
-		const changes = detectChanges(allData, storedData);
+		// Winners are written into the next round before the sheet is read,
+		// so those rows are synced in this run too
+		const advancedRows = advanceWinners(target, options.rows);
+		const syncOptions =
+			options.rows && advancedRows.length > 0
+				? { ...options, rows: options.rows.concat(advancedRows) }
+				: options;
 
-		// Check for rows that need HubDB row creation (only from changed/new rows)
-		const rowsNeedingHubDBCreation = findRowsNeedingHubDBCreation(
+		const {
+			sheet,
+			firstRow,
+			lastRow,
+			onlyRows,
 			allData,
+			clearedRows,
+			changes,
+			blockedRows,
+			rowsNeedingHubDBCreation,
+			changesWithHubDBId,
+			deleteCheck,
+		} = planSync(target, syncOptions);
+
+		console.log(`Processing rows ${firstRow} to ${lastRow}`);
+
+		blockedRows.forEach((row) =>
+			updateRowWithError(sheet, row.sheetRow, row.message)
+		);
+
+		// Clear all sync status before starting
+		clearAllSyncStatus(sheet, lastRow);
+
+		// The whole schedule is checked before anything is sent, edits
+		// included; warnings never stop a row from syncing
+		const conflicts = checkScheduleForSync(target);
+
+		// Too many deletions in one run are held until approved
+		applyDeleteCheck(target, sheet, deleteCheck);
+		const changesToSend = deleteCheck.held
+			? changesWithHubDBId.filter((change) => change.type !== "DELETED")
+			: changesWithHubDBId;
+
+		// Cleared rows are only deleted from HubDB after a grace period
+		const deletedCount = handlePendingDeletes(
+			target,
 			sheet,
-			changes
+			clearedRows,
+			allData,
+			{ ...syncOptions, holdDeletes: deleteCheck.held }
 		);
 
 		if (rowsNeedingHubDBCreation.length > 0) {
 			console.log(
 				`Found ${rowsNeedingHubDBCreation.length} rows needing HubDB creation`
 			);
-			createHubDBRows(rowsNeedingHubDBCreation, sheet);
+			const unsentRows = createHubDBRows(rowsNeedingHubDBCreation, sheet);
 
 			// Refresh data after creating HubDB rows to get the updated row IDs
-			const { allData: updatedData } = getAllSheetData(sheet, lastRow);
-			storeData(updatedData);
+			const { allData: updatedData } = getAllSheetData(
+				sheet,
+				lastRow,
+				firstRow
+			);
+
+			// Rows left for the continuation stay out of the snapshot, so
+			// they are still new when it runs
+			const unsentIds = new Set(unsentRows.map((rowInfo) => rowInfo.uniqueId));
+			const storedIds = Object.keys(updatedData).filter(
+				(uniqueId) => !unsentIds.has(uniqueId)
+			);
+			storeData(filterDataByKeys(updatedData, storedIds), target, onlyRows);
+			updateSyncCheckpoint(target, unsentRows, onlyRows);
 		}
 
 		if (changes.length > 0) {
 			console.log(`Found ${changes.length} changes`);
 
-			// Filter changes to only include those with HubDB row IDs
-			const changesWithHubDBId = changes.filter((change) => {
-				const hasHubDBId =
-					(change.type === "DELETED" && change.oldData?.hubdbRowId) ||
-					(change.type !== "DELETED" && change.newData?.hubdbRowId);
-
-				if (!hasHubDBId) {
-					console.log(
-						`⏭️ Skipping ${change.type} operation for ${change.uniqueId} - No HubDB row ID`
-					);
-				}
-				return hasHubDBId;
-			});
-
-			if (changesWithHubDBId.length > 0) {
+			if (changesToSend.length > 0) {
 				console.log(
-					`Sending ${changesWithHubDBId.length} changes with HubDB IDs to HubSpot`
+					`Sending ${changesToSend.length} changes with HubDB IDs to HubSpot`
 				);
-				sendToHubSpot(changesWithHubDBId, sheet);
+				sendToHubSpot(changesToSend, sheet);
 			} else {
 				console.log("No changes with HubDB row IDs to send to HubSpot");
 			}
 
 			// Store the new data state after processing changes
 			if (rowsNeedingHubDBCreation.length === 0) {
-				storeData(allData);
+				storeData(allData, target, onlyRows);
 			}
 
 			console.log("=== SYNC COMPLETE ===");
 		} else {
 			console.log("No changes detected.");
+
+			// Rows deleted after their grace period leave the snapshot
+			if (deletedCount > 0 && rowsNeedingHubDBCreation.length === 0) {
+				storeData(allData, target, onlyRows);
+			}
+		}
+
+		// Group tables are recomputed on full syncs, and only sent when
+		// they changed
+		if (!onlyRows) {
+			try {
+				publishStandings(target, allData);
+			} catch (error) {
+				console.error("Error publishing standings:", error);
+			}
 		}
+
+		// Schedule warnings are written again last so they are not replaced
+		// by the sync status messages of this run
+		if (conflicts) writeScheduleWarnings(sheet, conflicts);
 	} catch (error) {
-		console.error("Error in syncAllData:", error);
+		console.error("Error in syncTarget:", error);
+		stats.failure = error.message;
+	} finally {
+		stopWriteBuffer();
+		finishRunStats(stats);
 	}
 }
 
 /**
- * Get all data from the sheet including HubDB row ID
- * READ-ONLY: Only reads data from sheet
+ * Start counting row results for a sync of one target
+ * The status helpers add to the counts of the run in progress
+ * trigger names what started the run (see SYNC LOG), "manual" by default
  */
-function getAllSheetData(sheet, lastRow) {
-	// Get HubDB row ID from column A (hs_id)
-	const hubdbIdRange = sheet.getRange(
-		DATA_START_ROW,
-		1,
-		lastRow - DATA_START_ROW + 1,
-		1
-	);
-	const hubdbIds = hubdbIdRange.getValues();
-
-	// Get main data from columns B to L (11 columns)
-	const dataRange = sheet.getRange(
-		DATA_START_ROW,
-		2,
-		lastRow - DATA_START_ROW + 1,
-		11
-	);
-	const values = dataRange.getValues();
-
-	const allData = {};
-	const clearedRows = [];
+function startRunStats(target, trigger) {
+	currentRunStats = {
+		target: target.name,
+		storageKey: target.storageKey,
+		runId: Utilities.getUuid(),
+		trigger: trigger || "manual",
+		startedAt: new Date().toISOString(),
+		deadline: Date.now() + SYNC_TIME_BUDGET_MS,
+		created: 0,
+		updated: 0,
+		deleted: 0,
+		errored: 0,
+		failure: null,
+	};
+	return currentRunStats;
+}
 
-	values.forEach((row, index) => {
-		const actualRow = DATA_START_ROW + index;
-		const hubdbRowId = hubdbIds[index][0] || "";
-
-		// Check if the entire row is empty (including hs_id)
-		const isCompletelyEmpty =
-			!row[0] &&
-			!row[1] &&
-			!row[2] &&
-			!row[3] &&
-			!row[4] &&
-			!row[5] &&
-			!row[6] &&
-			!row[7] &&
-			!row[8] &&
-			!row[9] &&
-			!row[10] &&
-			!hubdbRowId;
-
-		// Check if only data is cleared but hs_id exists
-		const isDataClearedButHasId =
-			!row[0] &&
-			!row[1] &&
-			!row[2] &&
-			!row[3] &&
-			!row[4] &&
-			!row[5] &&
-			!row[6] &&
-			!row[7] &&
-			!row[8] &&
-			!row[9] &&
-			!row[10] &&
-			hubdbRowId;
+/**
+ * Add one row result to the counts of the run in progress, if any
+ */
+function countRunResult(result) {
+	if (currentRunStats) currentRunStats[result]++;
+}
 
-		// Track rows cleared but still have HubDB ID
-		if (isDataClearedButHasId) {
-			clearedRows.push({
-				sheetRow: actualRow,
-				hubdbRowId: hubdbRowId,
-			});
-			return;
-		}
+/**
+ * Save the counts of a finished run so the sidebar can show them
+ */
+function finishRunStats(stats) {
+	stats.finishedAt = new Date().toISOString();
+	PropertiesService.getScriptProperties().setProperty(
+		`LAST_RUN_${stats.storageKey}`,
+		JSON.stringify(stats)
+	);
+	currentRunStats = null;
+}
 
-		// Skip completely empty rows (including those with no hs_id)
-		if (isCompletelyEmpty) return;
+/**
+ * Get the counts of the last finished run of a target, or null
+ */
+function getLastRunStats(target) {
+	const stats = PropertiesService.getScriptProperties().getProperty(
+		`LAST_RUN_${target.storageKey}`
+	);
+	return stats ? JSON.parse(stats) : null;
+}
 
-		// Skip rows that don't have core identifying fields
-		if (!row[0] && !row[1] && !row[2] && !row[3] && !row[4]) return;
+// MATCH TIMES - The date and time column is normalised to an ISO timestamp in
+// MATCH_TIME_ZONE ("2025-07-12T09:00:00+08:00") plus epoch milliseconds, so a
+// Date cell and the same time typed as text hash and compare the same way.
+// Text is read day first: "12/7/2025 9:00", "12/7 9am", "Sat 12 Jul 2:30 PM",
+// "2025-07-12 09:00". A missing year is the current year.
+const MATCH_TIME_ZONE = "Asia/Singapore";
+const MATCH_TIME_OFFSET = "+08:00"; // Singapore has no daylight saving time
+const MATCH_TIME_OFFSET_MS = 8 * 60 * 60 * 1000;
+const MONTH_NAMES = [
+	"jan",
+	"feb",
+	"mar",
+	"apr",
+	"may",
+	"jun",
+	"jul",
+	"aug",
+	"sep",
+	"oct",
+	"nov",
+	"dec",
+];
+const WEEKDAY_PREFIX_PATTERN = /^(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+/i;
+const ISO_DATE_TIME_PATTERN =
+	/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i;
+const NUMERIC_DATE_PATTERN =
+	/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{4}|\d{2}))?(?:,?\s+(.*))?$/;
+const NAMED_MONTH_DATE_PATTERN =
+	/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,9})\.?(?:\s+(\d{4}))?(?:,?\s+(.*))?$/i;
+const TIME_PATTERN =
+	/^(\d{1,2})(?:[:.](\d{2}))?(?::(\d{2}))?\s*(?:([ap])\.?m\.?)?$/i;
 
-		const data = {
-			date_and_time: row[0] || "",
-			category: row[1] || "",
-			stage: row[2] || "",
-			player_1: row[3] || "",
-			player_2: row[4] || "",
-			results: row[5] || "",
-			venue: row[6] || "",
-			hubdbRowId: hubdbRowId,
-			sheetRow: actualRow,
-		};
+/**
+ * Format epoch milliseconds as an ISO timestamp in MATCH_TIME_ZONE
+ */
+function formatMatchTime(epoch) {
+	return (
+		new Date(epoch + MATCH_TIME_OFFSET_MS).toISOString().slice(0, 19) +
+		MATCH_TIME_OFFSET
+	);
+}
 
-		console.log("207 data ", data);
+/**
+ * Epoch milliseconds of a wall clock time in MATCH_TIME_ZONE, or null when
+ * the date or time does not exist
+ */
+function toMatchEpoch(year, month, day, hours, minutes, seconds) {
+	const date = new Date(Date.UTC(year, month - 1, day));
+	if (
+		month < 1 ||
+		date.getUTCMonth() !== month - 1 ||
+		date.getUTCDate() !== day ||
+		hours > 23 ||
+		minutes > 59 ||
+		seconds > 59
+	) {
+		return null;
+	}
 
-		const uniqueId = hubdbRowId || `temp_${actualRow}`;
-		allData[uniqueId] = data;
-	});
+	return (
+		date.getTime() +
+		((hours * 60 + minutes) * 60 + seconds) * 1000 -
+		MATCH_TIME_OFFSET_MS
+	);
+}
 
-	console.log(`Extracted ${Object.keys(allData).length} records from sheet`);
+/**
+ * Read the time of day of a text date: "9:00", "21:30", "9am", "9.30 pm"
+ * Returns [hours, minutes, seconds] or null
+ */
+function readTimeOfDay(text) {
+	const match = String(text || "")
+		.trim()
+		.match(TIME_PATTERN);
+	if (!match) return null;
+
+	let hours = Number(match[1]);
+	if (match[4]) {
+		if (hours < 1 || hours > 12) return null;
+		hours = (hours % 12) + (match[4].toLowerCase() === "p" ? 12 : 0);
+	} else if (match[2] === undefined) {
+		// A bare number is not a time without am/pm
+		return null;
+	}
 
-	return { allData, clearedRows };
+	return [hours, Number(match[2] || 0), Number(match[3] || 0)];
 }
 
 /**
- * Find rows that need HubDB row creation
+ * Parse a date and time cell
+ * Returns { iso, epoch }, or throws when the value is not a date and time
  */
-function findRowsNeedingHubDBCreation(allData, sheet, changes) {
-	const rowsNeedingCreation = [];
-	const changedUniqueIds = new Set();
-
-	if (changes && changes.length > 0) {
-		changes.forEach((change) => {
-			if (change.type === "NEW" || change.type === "UPDATED") {
-				changedUniqueIds.add(change.uniqueId);
-			}
-		});
-	} else {
-		Object.keys(allData).forEach((uniqueId) => {
-			changedUniqueIds.add(uniqueId);
-		});
+function normaliseMatchTime(value) {
+	if (Object.prototype.toString.call(value) === "[object Date]") {
+		if (isNaN(value.getTime())) {
+			throw new Error("the date cell is not a valid date");
+		}
+		return { iso: formatMatchTime(value.getTime()), epoch: value.getTime() };
 	}
 
-	changedUniqueIds.forEach((uniqueId) => {
-		const data = allData[uniqueId];
-		if (!data) return;
+	const text = String(value).trim().replace(/\s+/g, " ");
+	const iso = text.match(ISO_DATE_TIME_PATTERN);
+	let epoch = null;
 
+	if (iso) {
+		if (iso[4] === undefined) {
+			throw new Error(`"${text}" has no time`);
+		}
+		epoch = toMatchEpoch(
+			Number(iso[1]),
+			Number(iso[2]),
+			Number(iso[3]),
+			Number(iso[4]),
+			Number(iso[5]),
+			Number(iso[6] || 0)
+		);
+		// An explicit offset wins over MATCH_TIME_ZONE
+		if (epoch !== null && iso[7]) {
+			const offset = iso[7].toUpperCase() === "Z" ? "+00:00" : iso[7];
+			const [, sign, hours, minutes] = offset.match(/([+-])(\d{2}):?(\d{2})/);
+			const offsetMs = (Number(hours) * 60 + Number(minutes)) * 60000;
+			epoch += MATCH_TIME_OFFSET_MS - (sign === "-" ? -offsetMs : offsetMs);
+		}
+	} else {
+		const withoutWeekday = text.replace(WEEKDAY_PREFIX_PATTERN, "");
+		const numeric = withoutWeekday.match(NUMERIC_DATE_PATTERN);
+		const named = withoutWeekday.match(NAMED_MONTH_DATE_PATTERN);
+		const parts = numeric || named;
+		if (!parts) {
+			throw new Error(`"${text}" is not a date and time`);
+		}
 
-		const hasRequiredData =
-			data.date_and_time && data.player_1 && data.player_2;
+		const month = numeric
+			? Number(parts[2])
+			: MONTH_NAMES.indexOf(parts[2].slice(0, 3).toLowerCase()) + 1;
+		const year = parts[3]
+			? Number(parts[3]) + (parts[3].length === 2 ? 2000 : 0)
+			: new Date(Date.now() + MATCH_TIME_OFFSET_MS).getUTCFullYear();
+		const time = readTimeOfDay(parts[4]);
+		if (!time) {
+			throw new Error(
+				parts[4] ? `"${parts[4]}" is not a time` : `"${text}" has no time`
+			);
+		}
 
-		const missingHubDBRowId = !data.hubdbRowId;
+		epoch = toMatchEpoch(year, month, Number(parts[1]), ...time);
+	}
 
-		if (hasRequiredData && missingHubDBRowId) {
-			rowsNeedingCreation.push({
-				uniqueId: uniqueId,
-				data: data,
-				sheetRow: data.sheetRow,
-			});
-		}
-	});
+	if (epoch === null) {
+		throw new Error(`"${text}" is not a valid date and time`);
+	}
 
-	return rowsNeedingCreation;
+	return { iso: formatMatchTime(epoch), epoch: epoch };
 }
 
 /**
- * Create HubDB rows for rows that need them
+ * Replace a row's date and time with its normalised form and add
+ * date_and_time_epoch; an unreadable value is kept as text and returned as
+ * the row's validation error
  */
-function createHubDBRows(rowsNeedingCreation, sheet) {
+function normaliseRowTime(data) {
+	if (!data.date_and_time) return null;
+
 	try {
-		console.log("Creating HubDB rows...");
+		const time = normaliseMatchTime(data.date_and_time);
+		data.date_and_time = time.iso;
+		data.date_and_time_epoch = time.epoch;
+		return null;
+	} catch (error) {
+		data.date_and_time = String(data.date_and_time);
+		return `Invalid date and time: ${error.message}`;
+	}
+}
 
-		// Clear sync status for rows that will be processed
-		const rowNumbers = rowsNeedingCreation.map((row) => row.sheetRow);
-		clearSyncStatusForRows(sheet, rowNumbers);
+// SCORE PARSING - Results are written from player 1's side ("6-4 3-6 10-7"
+// means player 1 won the first set 6-4). Tiebreak sets may carry the loser's
+// points ("7-6(5)") and a match tiebreak may be bracketed ("[10-7]").
+// Walkovers, defaults and retirements name the winner: "W/O P1", "DEF P2",
+// "6-3 2-1 RET P1".
+const SET_SCORE_PATTERN =
+	/^(\d{1,2})-(\d{1,2})(?:\((\d{1,2})(?:-(\d{1,2}))?\))?$/;
+const MATCH_TIEBREAK_PATTERN = /^\[(\d{1,2})-(\d{1,2})\]$/;
+const SCORE_OUTCOMES = [
+	{ outcome: "walkover", pattern: /\bW\s*\/\s*O\b|\bWALKOVER\b|\bWO\b/ },
+	{ outcome: "default", pattern: /\bDEF(?:AULT(?:ED)?)?\b\.?/ },
+	{ outcome: "retired", pattern: /\bRET(?:IRED|D)?\b\.?/ },
+];
 
-		for (const rowInfo of rowsNeedingCreation) {
-			console.log("Creating HubDB rowInfo...", rowInfo);
+/**
+ * Get the match format for a category from a target's matchFormats
+ */
+function getMatchFormat(matchFormats, category) {
+	const key = Object.keys(matchFormats).find(
+		(name) => name.toLowerCase() === String(category).trim().toLowerCase()
+	);
+	const formatName = matchFormats[key || "default"];
+	const format = MATCH_FORMATS[formatName];
 
-			// Set status to "processing" before API call
-			sheet
-				.getRange(rowInfo.sheetRow, SYNC_STATUS_ID_COLUMN)
-				.setValue("syncing");
-
-			const payload = {
-				operation: "CREATE_HUBDB_ROW",
-				uniqueId: rowInfo.uniqueId,
-				data: {
-					date_and_time: rowInfo.data.date_and_time,
-					venue: rowInfo.data.venue,
-					category: rowInfo.data.category,
-					stage: rowInfo.data.stage,
-					round: rowInfo.data.round,
-					player_1: rowInfo.data.player_1,
-					player_2: rowInfo.data.player_2,
-					results: rowInfo.data.results,
-				},
-				metadata: {
-					timestamp: new Date().toISOString(),
-					source: "google_sheets_sync",
-					sheetRow: rowInfo.sheetRow,
-				},
-			};
+	if (!format) {
+		throw new Error(
+			`No match format "${formatName}" for category "${category}"`
+		);
+	}
+	return format;
+}
 
-			try {
-				const response = UrlFetchApp.fetch(`${HUBSPOT_SERVERLESS_ENDPOINT}`, {
-					method: "POST",
-					headers: {
-						"Content-Type": "application/json",
-					},
-					payload: JSON.stringify(payload),
-				});
+/**
+ * Read one set (or match tiebreak) from a score token
+ * winner is null while the set is unfinished; impossible scores throw
+ */
+function readSetScore(token, isDecidingSet, format) {
+	const tiebreakMatch = token.match(MATCH_TIEBREAK_PATTERN);
+	const setMatch = token.match(SET_SCORE_PATTERN);
+	if (!tiebreakMatch && !setMatch) {
+		throw new Error(`"${token}" is not a set score`);
+	}
 
-				const responseCode = response.getResponseCode();
-				const responseText = response.getContentText();
+	const [player1, player2] = (tiebreakMatch || setMatch)
+		.slice(1, 3)
+		.map(Number);
+	const high = Math.max(player1, player2);
+	const low = Math.min(player1, player2);
+	const leader = player1 > player2 ? "player_1" : "player_2";
+
+	const isMatchTiebreak =
+		isDecidingSet &&
+		format.finalSet !== "set" &&
+		(Boolean(tiebreakMatch) ||
+			format.finalSet === "match_tiebreak" ||
+			high > format.games + 1);
+
+	if (tiebreakMatch && !isMatchTiebreak) {
+		throw new Error(
+			`"${token}": a match tiebreak can only be the deciding set`
+		);
+	}
 
-				if (responseCode >= 200 && responseCode < 300) {
-					const responseData = JSON.parse(responseText);
+	if (isMatchTiebreak) {
+		const points = format.matchTiebreakTo;
+		if (high > points && high - low > 2) {
+			throw new Error(`"${token}" is not a valid match tiebreak score`);
+		}
+		const won = high >= points && high - low >= 2;
+		return {
+			player_1: player1,
+			player_2: player2,
+			tiebreak: null,
+			match_tiebreak: true,
+			winner: won ? leader : null,
+		};
+	}
 
-					if (responseData.success && responseData.hubdbRowId) {
-						sheet
-							.getRange(rowInfo.sheetRow, HUBDB_ROW_ID_COLUMN)
-							.setValue(responseData.hubdbRowId);
-						sheet
-							.getRange(rowInfo.sheetRow, SYNC_STATUS_ID_COLUMN)
-							.setValue("sync success");
-						sheet
-							.getRange(rowInfo.sheetRow, SYNC_MESSAGE_ID_COLUMN)
-							.setValue("HubDB row created successfully");
+	const games = format.games;
+	const isTiebreakSet = high === games + 1 && low === games;
+	const won =
+		(high === games && low <= games - 2) ||
+		(high === games + 1 && low >= games - 1);
 
-						console.log(
-							`Created HubDB row ${responseData.hubdbRowId} for sheet row ${rowInfo.sheetRow}`
-						);
-					} else {
-						console.warn(`HubDB row creation failed for ${rowInfo.uniqueId}`);
-						sheet
-							.getRange(rowInfo.sheetRow, SYNC_STATUS_ID_COLUMN)
-							.setValue("error");
-						sheet
-							.getRange(rowInfo.sheetRow, SYNC_MESSAGE_ID_COLUMN)
-							.setValue(
-								`Creation failed: ${responseData.message || "Unknown error"}`
-							);
-					}
-				} else {
-					sheet
-						.getRange(rowInfo.sheetRow, SYNC_STATUS_ID_COLUMN)
-						.setValue("error");
-					sheet
-						.getRange(rowInfo.sheetRow, SYNC_MESSAGE_ID_COLUMN)
-						.setValue(`HTTP ${responseCode}: ${responseText}`);
-					throw new Error(
-						`HubDB creation failed: ${responseCode} - ${responseText}`
-					);
-				}
-			} catch (error) {
-				console.log("error 247 ", error.message);
-				sheet
-					.getRange(rowInfo.sheetRow, SYNC_STATUS_ID_COLUMN)
-					.setValue("error");
-				sheet
-					.getRange(rowInfo.sheetRow, SYNC_MESSAGE_ID_COLUMN)
-					.setValue(`Exception: ${error.message}`);
-			}
+	if (!won && high > games) {
+		throw new Error(`"${token}" is not a valid set score`);
+	}
+	// "7-6(5)" gives the loser's tiebreak points, "7-6(7-5)" both
+	const tiebreakPoints = setMatch[3]
+		? Math.min(...setMatch.slice(3, 5).filter(Boolean).map(Number))
+		: null;
 
-			Utilities.sleep(100);
-		}
-	} catch (error) {
-		console.error("Error creating HubDB rows:", error);
-		throw error;
+	if (tiebreakPoints !== null && !isTiebreakSet) {
+		throw new Error(
+			`"${token}": only a ${games + 1}-${games} set has tiebreak points`
+		);
 	}
+
+	return {
+		player_1: player1,
+		player_2: player2,
+		tiebreak: tiebreakPoints,
+		match_tiebreak: false,
+		winner: won ? leader : null,
+	};
 }
 
 /**
- * Handle cleared rows - delete from HubDB
+ * Parse a results cell into sets, outcome and winner for a match format
+ * Returns { outcome, winner, sets, sets_won, games_won }, where outcome is
+ * "completed", "in_progress", "retired", "walkover" or "default"
+ * Throws with a message for the sync message column when the score is not
+ * valid for the format
  */
-function handleClearedRows(clearedRows, sheet) {
-	try {
-		if (clearedRows.length === 0) return;
+function parseScore(results, format) {
+	if (results instanceof Date) {
+		throw new Error(
+			"the score was read as a date; format the results column as plain text"
+		);
+	}
 
-		// Clear sync status for cleared rows before processing
-		const rowNumbers = clearedRows.map((row) => row.sheetRow);
-		clearSyncStatusForRows(sheet, rowNumbers);
+	let text = String(results).trim().toUpperCase();
+	let outcome = "completed";
+	let namedWinner = null;
 
-		if (clearedRows.length > 1) {
-			handleBatchClearedRows(clearedRows, sheet);
+	SCORE_OUTCOMES.forEach((entry) => {
+		if (entry.pattern.test(text)) {
+			outcome = entry.outcome;
+			text = text.replace(entry.pattern, " ");
+		}
+	});
+
+	const winnerMatch = text.match(/\b(?:P|PLAYER)\s*([12])\b/);
+	if (winnerMatch) {
+		namedWinner = `player_${winnerMatch[1]}`;
+		text = text.replace(winnerMatch[0], " ");
+	}
+
+	// Accept en dashes, slashes and colons between games, and commas
+	// between sets
+	text = text
+		.replace(/[\u2010-\u2015\u2212/:]/g, "-")
+		.replace(/[,;]/g, " ")
+		.replace(/\s*-\s*/g, "-")
+		.replace(/\s+\(/g, "(")
+		.trim();
+	const tokens = text ? text.split(/\s+/) : [];
+
+	const sets = [];
+	const setsWon = { player_1: 0, player_2: 0 };
+	const gamesWon = { player_1: 0, player_2: 0 };
+	const decidingSet = format.setsToWin * 2 - 2;
+	const matchWinner = () =>
+		["player_1", "player_2"].find((side) => setsWon[side] === format.setsToWin);
+
+	tokens.forEach((token, index) => {
+		if (matchWinner()) {
+			throw new Error(`"${token}" comes after the match was already won`);
+		}
+
+		const set = readSetScore(token, index === decidingSet, format);
+		if (!set.winner && index < tokens.length - 1) {
+			throw new Error(`set ${index + 1} "${token}" is not finished`);
+		}
+
+		if (set.winner) setsWon[set.winner]++;
+		if (set.match_tiebreak) {
+			if (set.winner) gamesWon[set.winner]++;
 		} else {
-			handleSingleClearedRow(clearedRows[0], sheet);
+			gamesWon.player_1 += set.player_1;
+			gamesWon.player_2 += set.player_2;
+		}
+		sets.push(set);
+	});
+
+	const scoreWinner = matchWinner() || null;
+	const sideName = (side) => side.replace("_", " ");
+
+	if (outcome === "completed") {
+		if (!scoreWinner) {
+			if (namedWinner) throw new Error("the score is not finished");
+			outcome = "in_progress";
+		} else if (namedWinner && namedWinner !== scoreWinner) {
+			throw new Error(
+				`the score says ${sideName(scoreWinner)} won, not ${sideName(namedWinner)}`
+			);
+		}
+	} else {
+		if (!namedWinner) {
+			throw new Error(
+				`name the winner of the ${outcome}, e.g. "${results} P1"`
+			);
+		}
+		if (scoreWinner) {
+			throw new Error(`a finished score cannot also be a ${outcome}`);
+		}
+		if (outcome === "walkover" && sets.length > 0) {
+			throw new Error("a walkover has no score");
 		}
-	} catch (error) {
-		console.error("Error handling cleared rows:", error);
-		throw error;
 	}
+
+	return {
+		outcome: outcome,
+		winner: outcome === "in_progress" ? null : scoreWinner || namedWinner,
+		sets: sets.map((set) => ({
+			player_1: set.player_1,
+			player_2: set.player_2,
+			tiebreak: set.tiebreak,
+			match_tiebreak: set.match_tiebreak,
+		})),
+		sets_won: setsWon,
+		games_won: gamesWon,
+	};
 }
 
+// DRAW PROGRESSION - Knockout rounds in the order winners advance through
+// them. A validated result fills its winner into the next round's fixture of
+// the same category: match n feeds match ceil(n / 2), odd matches into
+// Player 1 and even matches into Player 2. Matches are numbered by the
+// optional "Match" column, otherwise by their order in the sheet within the
+// category and stage. Round-robin groups ("Group A") do not advance winners
+// match by match.
+const KNOCKOUT_ROUNDS = ["R32", "R16", "QF", "SF", "F"];
+const STAGE_NAMES = {
+	r32: "R32",
+	roundof32: "R32",
+	r16: "R16",
+	roundof16: "R16",
+	qf: "QF",
+	quarterfinal: "QF",
+	quarterfinals: "QF",
+	sf: "SF",
+	semifinal: "SF",
+	semifinals: "SF",
+	f: "F",
+	final: "F",
+};
+// Slot text that a winner may replace, e.g. "TBD" or "Winner QF1"
+const PLACEHOLDER_PATTERN = /^(tb[adc]|\?+|winner\b.*|w\b.*)$/i;
+
 /**
- * Handle batch delete for multiple cleared rows
+ * Read a stage cell as a knockout round ({ round }) or a round-robin group
+ * ({ group }); returns null for anything else
  */
-function handleBatchClearedRows(clearedRows, sheet) {
-	try {
-		const hubdbRowIds = clearedRows
-			.map((row) => row.hubdbRowId)
-			.filter((id) => id);
+function parseStage(stage) {
+	const groupMatch = String(stage).match(/^\s*group\s*([a-z0-9]+)\s*$/i);
+	if (groupMatch) return { group: groupMatch[1].toUpperCase() };
 
-		if (hubdbRowIds.length === 0) return;
+	const round = STAGE_NAMES[normaliseHeader(stage)];
+	return round ? { round: round } : null;
+}
 
-		// Set processing status for all rows
-		clearedRows.forEach((clearedRow) => {
-			sheet
-				.getRange(clearedRow.sheetRow, SYNC_STATUS_ID_COLUMN)
-				.setValue("syncing");
-		});
+/**
+ * Number every knockout match of a target's sheet within its category and
+ * round, reading only the category, stage and match columns
+ * Returns { positions, rows }: positions by sheet row, and the sheet row of
+ * each match by drawKey(category, round, matchNumber)
+ */
+function buildDraw(sheet) {
+	const columns = getColumnMap(sheet);
+	const lastRow = sheet.getLastRow();
+	const positions = {};
+	const rows = {};
+	const categories = readDataColumn(sheet, columns.category, lastRow);
+	const stages = readDataColumn(sheet, columns.stage, lastRow);
+	const matchCells = readDataColumn(sheet, columns.match_number, lastRow);
+	const counters = {};
+
+	stages.forEach((stageValue, index) => {
+		const sheetRow = DATA_START_ROW + index;
+		const stage = parseStage(stageValue);
+		if (!stage) return;
+
+		const category = String(categories[index] || "").trim();
+		if (stage.group) {
+			positions[sheetRow] = { category: category, group: stage.group };
+			return;
+		}
 
-		const payload = {
-			operation: "BATCH_DELETE_HUBDB_ROWS",
-			hubdbRowIds: hubdbRowIds,
-			metadata: {
-				timestamp: new Date().toISOString(),
-				source: "google_sheets_sync",
-				reason: "rows_cleared",
-				totalRows: clearedRows.length,
-			},
+		const counterKey = drawKey(category, stage.round, "");
+		counters[counterKey] = (counters[counterKey] || 0) + 1;
+		const digits = String(matchCells[index] ?? "").match(/(\d+)\s*$/);
+		const matchNumber = digits ? Number(digits[1]) : counters[counterKey];
+
+		positions[sheetRow] = {
+			category: category,
+			round: stage.round,
+			matchNumber: matchNumber,
 		};
+		rows[drawKey(category, stage.round, matchNumber)] = sheetRow;
+	});
 
-		const response = UrlFetchApp.fetch(`${HUBSPOT_SERVERLESS_ENDPOINT}`, {
-			method: "POST",
-			headers: {
-				"Content-Type": "application/json",
-			},
-			payload: JSON.stringify(payload),
-		});
+	return { positions, rows };
+}
 
-		const responseCode = response.getResponseCode();
-		const responseText = response.getContentText();
-		console.log("402 ", responseText);
+/**
+ * Key of one match in the draw
+ */
+function drawKey(category, round, matchNumber) {
+	return `${category.toLowerCase()}|${round}|${matchNumber}`;
+}
 
-		if (responseCode >= 200 && responseCode < 300) {
-			const responseData = JSON.parse(responseText);
-			console.log("405 ", responseData);
+/**
+ * Fill the winners of finished knockout matches into the next round's rows
+ * onlyRows limits the matches that advance to those sheet rows. A slot is
+ * only written while it is empty, a placeholder or one of the two players
+ * (a corrected result), and never once the next match has a result
+ * Returns the sheet rows that were changed, so they are synced as well
+ */
+function advanceWinners(target, onlyRows) {
+	if (!target.matchFormats) return [];
+
+	const sheet = getTargetSheet(target);
+	const columns = getColumnMap(sheet, true);
+	const lastRow = sheet.getLastRow();
+
+	// An edit reads its own rows, the draw columns and the rows its winners
+	// move to, never the whole sheet
+	const { allData } = onlyRows
+		? getAllSheetData(
+				sheet,
+				Math.min(Math.max(...onlyRows), lastRow),
+				Math.min(...onlyRows)
+			)
+		: getAllSheetData(sheet, lastRow);
+	const finished = Object.values(allData).filter(
+		(data) =>
+			(!onlyRows || onlyRows.includes(data.sheetRow)) &&
+			data.score?.winner &&
+			parseStage(data.stage)?.round
+	);
+	if (finished.length === 0) return [];
 
-			if (responseData.success) {
-				const successfulDeletions =
-					responseData.results?.filter((r) => r.status === "success") || [];
+	const { positions, rows } = buildDraw(sheet);
+	const dataByRow = {};
+	Object.values(allData).forEach((data) => {
+		dataByRow[data.sheetRow] = data;
+	});
+	const readMatch = (sheetRow) => {
+		if (onlyRows && sheetRow && !(sheetRow in dataByRow)) {
+			const { allData: rowData } = getAllSheetData(sheet, sheetRow, sheetRow);
+			dataByRow[sheetRow] = Object.values(rowData)[0] || null;
+		}
+		return dataByRow[sheetRow] || null;
+	};
+	const changedRows = [];
 
-				// Update status for each cleared row
-				clearedRows.forEach((clearedRow) => {
-					const wasDeleted = successfulDeletions.some(
-						(result) => result.hubdbId === clearedRow.hubdbRowId
-					);
+	finished.forEach((data) => {
+		const position = positions[data.sheetRow];
+		const winner = data.score.winner;
+		if (!position?.round) return;
 
-					if (wasDeleted) {
-						// Clear hs_id and update sync status for successful deletions
-						sheet
-							.getRange(clearedRow.sheetRow, HUBDB_ROW_ID_COLUMN)
-							.setValue("");
-						sheet
-							.getRange(clearedRow.sheetRow, SYNC_STATUS_ID_COLUMN)
-							.setValue("deleted");
-						sheet
-							.getRange(clearedRow.sheetRow, SYNC_MESSAGE_ID_COLUMN)
-							.setValue("Successfully deleted from HubDB");
-						console.log(`Batch deleted HubDB row ${clearedRow.hubdbRowId}`);
-					} else {
-						sheet
-							.getRange(clearedRow.sheetRow, SYNC_STATUS_ID_COLUMN)
-							.setValue("error");
-						sheet
-							.getRange(clearedRow.sheetRow, SYNC_MESSAGE_ID_COLUMN)
-							.setValue("Batch deletion failed");
-					}
-				});
-			} else {
-				// If batch operation failed, update all rows with error status
-				clearedRows.forEach((clearedRow) => {
-					sheet
-						.getRange(clearedRow.sheetRow, SYNC_STATUS_ID_COLUMN)
-						.setValue("error");
-					sheet
-						.getRange(clearedRow.sheetRow, SYNC_MESSAGE_ID_COLUMN)
-						.setValue(
-							`Batch deletion failed: ${
-								responseData.message || "Unknown error"
-							}`
-						);
-				});
+		const nextRound =
+			KNOCKOUT_ROUNDS[KNOCKOUT_ROUNDS.indexOf(position.round) + 1];
+		if (!nextRound) return;
 
-				// Fall back to individual deletions
-				clearedRows.forEach((clearedRow) => {
-					handleSingleClearedRow(clearedRow, sheet);
-				});
-			}
-		} else {
-			// HTTP error - update all rows with error status and fall back to individual deletions
-			clearedRows.forEach((clearedRow) => {
-				sheet
-					.getRange(clearedRow.sheetRow, SYNC_STATUS_ID_COLUMN)
-					.setValue("error");
-				sheet
-					.getRange(clearedRow.sheetRow, SYNC_MESSAGE_ID_COLUMN)
-					.setValue(`HTTP ${responseCode}: ${responseText}`);
-			});
+		const nextMatchNumber = Math.ceil(position.matchNumber / 2);
+		const nextMatch = readMatch(
+			rows[drawKey(position.category, nextRound, nextMatchNumber)]
+		);
+		if (!nextMatch) {
+			console.log(
+				`No ${nextRound} match ${nextMatchNumber} for ${position.category}, row ${data.sheetRow} not advanced`
+			);
+			return;
+		}
 
-			// Fall back to individual deletions
-			clearedRows.forEach((clearedRow) => {
-				handleSingleClearedRow(clearedRow, sheet);
-			});
+		const slot = position.matchNumber % 2 === 1 ? "player_1" : "player_2";
+		const winnerName = String(data[winner]).trim();
+		const loserName = String(
+			data[winner === "player_1" ? "player_2" : "player_1"]
+		).trim();
+		const current = String(nextMatch[slot] || "").trim();
+
+		if (current === winnerName) return;
+		if (nextMatch.results) {
+			console.warn(
+				`Row ${nextMatch.sheetRow} already has a result, ${winnerName} not advanced`
+			);
+			return;
 		}
-	} catch (error) {
-		console.error(
-			"Error in batch delete, falling back to individual deletions:",
-			error
+		if (
+			current &&
+			current !== loserName &&
+			!PLACEHOLDER_PATTERN.test(current)
+		) {
+			console.warn(
+				`Row ${nextMatch.sheetRow} has "${current}" entered by hand, ${winnerName} not advanced`
+			);
+			return;
+		}
+
+		sheet.getRange(nextMatch.sheetRow, columns[slot]).setValue(winnerName);
+		nextMatch[slot] = winnerName;
+		changedRows.push(nextMatch.sheetRow);
+		console.log(
+			`Advanced ${winnerName} to ${nextRound} match ${nextMatchNumber} (row ${nextMatch.sheetRow})`
 		);
+	});
 
-		// Update all rows with error status
-		clearedRows.forEach((clearedRow) => {
-			sheet
-				.getRange(clearedRow.sheetRow, SYNC_STATUS_ID_COLUMN)
-				.setValue("error");
-			sheet
-				.getRange(clearedRow.sheetRow, SYNC_MESSAGE_ID_COLUMN)
-				.setValue(`Exception: ${error.message}`);
-		});
+	return changedRows;
+}
 
-		// Fall back to individual deletions
-		clearedRows.forEach((clearedRow) => {
-			try {
-				handleSingleClearedRow(clearedRow, sheet);
-			} catch (individualError) {
-				console.error(
-					`Failed to delete individual row ${clearedRow.hubdbRowId}:`,
-					individualError
-				);
+// GROUP STANDINGS - Tables for round-robin group stages, grouped by category
+// and stage. Players are ordered by matches won, then by the tiebreak rules
+// below in order. When a rule separates some of the tied players, the rules
+// start again for those still tied, so a three-way tie that leaves two level
+// is settled by their head-to-head. Walkovers and defaults count as a win
+// with no sets or games; retirements count the sets and games played.
+//   head_to_head: matches won against the other tied players
+//   set_ratio / game_ratio: share of all sets / games won in the group
+const STANDINGS_TIEBREAKS = ["head_to_head", "set_ratio", "game_ratio"];
+const STANDINGS_HEADERS = [
+	"Category",
+	"Group",
+	"Position",
+	"Player",
+	"Played",
+	"Won",
+	"Lost",
+	"Sets won",
+	"Sets lost",
+	"Games won",
+	"Games lost",
+];
+
+/**
+ * Value of one tiebreak rule for a player among the tied players
+ */
+function getTiebreakValue(rule, standing, tied, matches) {
+	if (rule === "head_to_head") {
+		const names = tied.map((player) => player.player);
+		return matches.filter(
+			(match) =>
+				names.includes(match.player_1) &&
+				names.includes(match.player_2) &&
+				match[match.winner] === standing.player
+		).length;
+	}
+	if (rule === "set_ratio") {
+		const sets = standing.sets_won + standing.sets_lost;
+		return sets ? standing.sets_won / sets : 0;
+	}
+	if (rule === "game_ratio") {
+		const games = standing.games_won + standing.games_lost;
+		return games ? standing.games_won / games : 0;
+	}
+	throw new Error(`Unknown standings tiebreak "${rule}"`);
+}
+
+/**
+ * Split players into tiers by a value, highest first
+ */
+function splitIntoTiers(players, valueOf) {
+	const values = new Map(players.map((player) => [player, valueOf(player)]));
+	const tiers = [];
+
+	players
+		.slice()
+		.sort((a, b) => values.get(b) - values.get(a))
+		.forEach((player) => {
+			const tier = tiers[tiers.length - 1];
+			if (tier && values.get(tier[0]) === values.get(player)) {
+				tier.push(player);
+			} else {
+				tiers.push([player]);
 			}
 		});
-	}
+
+	return tiers;
 }
+
 /**
- * Handle single cleared row deletion
+ * Order tied players by the tiebreak rules, starting from ruleIndex
+ * Returns tiers of players that are still level after every rule
  */
-function handleSingleClearedRow(clearedRow, sheet) {
-	try {
-		// Set processing status
-		sheet
-			.getRange(clearedRow.sheetRow, SYNC_STATUS_ID_COLUMN)
-			.setValue("syncing");
+function breakTies(tied, matches, ruleIndex) {
+	if (tied.length === 1 || ruleIndex >= STANDINGS_TIEBREAKS.length) {
+		return [tied];
+	}
 
-		const payload = {
-			operation: "DELETE_HUBDB_ROW",
-			hubdbRowId: clearedRow.hubdbRowId,
-			sheetRow: clearedRow.sheetRow,
-			metadata: {
-				timestamp: new Date().toISOString(),
-				source: "google_sheets_sync",
-				reason: "row_cleared",
-			},
-		};
+	const rule = STANDINGS_TIEBREAKS[ruleIndex];
+	return splitIntoTiers(tied, (player) =>
+		getTiebreakValue(rule, player, tied, matches)
+	).flatMap((tier) =>
+		tier.length === tied.length
+			? breakTies(tier, matches, ruleIndex + 1)
+			: breakTies(tier, matches, 0)
+	);
+}
 
-		const response = UrlFetchApp.fetch(`${HUBSPOT_SERVERLESS_ENDPOINT}`, {
-			method: "POST",
-			headers: {
-				"Content-Type": "application/json",
-			},
-			payload: JSON.stringify(payload),
-		});
+/**
+ * Compute the standings of every round-robin group in a target's data
+ * Only finished results count (see parseScore)
+ * Returns [{ category, group, rows: [{ position, player, played, won, lost,
+ * sets_won, sets_lost, games_won, games_lost }] }]
+ */
+function computeStandings(allData) {
+	const groups = {};
+
+	Object.values(allData)
+		.sort((a, b) => a.sheetRow - b.sheetRow)
+		.forEach((data) => {
+			const stage = parseStage(data.stage);
+			if (!stage?.group) return;
+
+			const category = String(data.category).trim();
+			const key = `${category}|${stage.group}`;
+			const group = (groups[key] = groups[key] || {
+				category: category,
+				group: stage.group,
+				players: {},
+				matches: [],
+			});
 
-		const responseCode = response.getResponseCode();
-		const responseText = response.getContentText();
+			const names = [data.player_1, data.player_2].map((name) =>
+				String(name).trim()
+			);
+			names.filter(Boolean).forEach((name) => {
+				group.players[name] = group.players[name] || {
+					player: name,
+					played: 0,
+					won: 0,
+					lost: 0,
+					sets_won: 0,
+					sets_lost: 0,
+					games_won: 0,
+					games_lost: 0,
+				};
+			});
 
-		console.log("480 ", responseText);
-		if (responseCode >= 200 && responseCode < 300) {
-			const responseData = JSON.parse(responseText);
+			const score = data.score;
+			if (!score?.winner || !names[0] || !names[1]) return;
 
-			if (responseData.success) {
-				sheet.getRange(clearedRow.sheetRow, HUBDB_ROW_ID_COLUMN).setValue("");
-				sheet
-					.getRange(clearedRow.sheetRow, SYNC_STATUS_ID_COLUMN)
-					.setValue("deleted");
-				sheet
-					.getRange(clearedRow.sheetRow, SYNC_MESSAGE_ID_COLUMN)
-					.setValue("Successfully deleted from HubDB");
-				console.log(`Deleted HubDB row ${clearedRow.hubdbRowId}`);
-			} else {
-				sheet
-					.getRange(clearedRow.sheetRow, SYNC_STATUS_ID_COLUMN)
-					.setValue("error");
-				sheet
-					.getRange(clearedRow.sheetRow, SYNC_MESSAGE_ID_COLUMN)
-					.setValue(
-						`Deletion failed: ${responseData.message || "Unknown error"}`
+			const sides = {
+				player_1: group.players[names[0]],
+				player_2: group.players[names[1]],
+			};
+			["player_1", "player_2"].forEach((side) => {
+				const other = side === "player_1" ? "player_2" : "player_1";
+				const standing = sides[side];
+				standing.played++;
+				standing[score.winner === side ? "won" : "lost"]++;
+				standing.sets_won += score.sets_won[side];
+				standing.sets_lost += score.sets_won[other];
+				standing.games_won += score.games_won[side];
+				standing.games_lost += score.games_won[other];
+			});
+			group.matches.push({
+				player_1: names[0],
+				player_2: names[1],
+				winner: score.winner,
+			});
+		});
+
+	return Object.values(groups).map((group) => {
+		const rows = [];
+		splitIntoTiers(Object.values(group.players), (player) => player.won)
+			.flatMap((tier) => breakTies(tier, group.matches, 0))
+			.forEach((tier) => {
+				const position = rows.length + 1;
+				tier
+					.sort((a, b) => a.player.localeCompare(b.player))
+					.forEach((standing) =>
+						rows.push({ position: position, ...standing })
 					);
-			}
-		} else {
-			sheet
-				.getRange(clearedRow.sheetRow, SYNC_STATUS_ID_COLUMN)
-				.setValue("error");
-			sheet
-				.getRange(clearedRow.sheetRow, SYNC_MESSAGE_ID_COLUMN)
-				.setValue(`HTTP ${responseCode}: ${responseText}`);
-			console.error(
-				`Failed to delete HubDB row ${clearedRow.hubdbRowId}: ${responseCode} - ${responseText}`
-			);
-		}
+			});
 
-		Utilities.sleep(100);
-	} catch (error) {
-		console.error(
-			`Error deleting single HubDB row ${clearedRow.hubdbRowId}:`,
-			error
-		);
-		sheet
-			.getRange(clearedRow.sheetRow, SYNC_STATUS_ID_COLUMN)
-			.setValue("error");
-		sheet
-			.getRange(clearedRow.sheetRow, SYNC_MESSAGE_ID_COLUMN)
-			.setValue(`Exception: ${error.message}`);
-	}
+		return { category: group.category, group: group.group, rows: rows };
+	});
 }
 
 /**
- * Detect changes between current and stored data
- * Enhanced to detect deleted rows using stored data
+ * Build the UPDATE_STANDINGS payload for a target's group tables
  */
-function detectChanges(currentData, storedData) {
-	const changes = [];
+function buildStandingsPayload(standings) {
+	return {
+		operation: "UPDATE_STANDINGS",
+		standings: standings,
+		metadata: {
+			timestamp: new Date().toISOString(),
+			source: "google_sheets_sync",
+			totalGroups: standings.length,
+		},
+	};
+}
 
-	// Check each record in current data
-	Object.keys(currentData).forEach((uniqueId) => {
-		const current = currentData[uniqueId];
-		const stored = storedData[uniqueId];
+/**
+ * Write a target's group tables to its standings sheet
+ */
+function writeStandingsSheet(target, standings) {
+	const rows = [];
+	standings.forEach((table) => {
+		table.rows.forEach((row) => {
+			rows.push([
+				table.category,
+				table.group,
+				row.position,
+				row.player,
+				row.played,
+				row.won,
+				row.lost,
+				row.sets_won,
+				row.sets_lost,
+				row.games_won,
+				row.games_lost,
+			]);
+		});
+	});
 
-		if (!stored) {
-			// New record
-			if (current.hubdbRowId || uniqueId.startsWith("temp_")) {
-				changes.push({
-					type: "NEW",
-					uniqueId: uniqueId,
-					row: current.sheetRow,
-					newData: current,
-					changedFields: ["ALL"],
-				});
+	const sheet = getOrCreateSheet(target.standingsSheetName);
+	sheet.clear();
+	sheet
+		.getRange(1, 1, 1, 2)
+		.setValues([["Standings updated", new Date().toISOString()]]);
+	sheet
+		.getRange(3, 1, 1, STANDINGS_HEADERS.length)
+		.setValues([STANDINGS_HEADERS]);
+	if (rows.length > 0) {
+		sheet.getRange(4, 1, rows.length, STANDINGS_HEADERS.length).setValues(rows);
+	} else {
+		sheet.getRange(4, 1).setValue("No group matches");
+	}
+	sheet.setFrozenRows(3);
+}
+
+/**
+ * Recompute a target's group standings, write them to its standings sheet
+ * and send them to the website with UPDATE_STANDINGS
+ * Nothing is written or sent when the tables have not changed since the
+ * last successful publish, unless force is set
+ * Returns true when the standings were published
+ */
+function publishStandings(target, allData, force) {
+	if (!target.standingsSheetName || !target.matchFormats) return false;
+
+	const standings = computeStandings(allData);
+	const hash = hashValue(JSON.stringify(standings));
+	const properties = PropertiesService.getScriptProperties();
+	const hashKey = `STANDINGS_${target.storageKey}`;
+
+	const publishedHash = properties.getProperty(hashKey);
+
+	// Sheets without group stages never create a standings tab
+	if (
+		!force &&
+		(publishedHash === hash || (!publishedHash && !standings.length))
+	) {
+		return false;
+	}
+
+	writeStandingsSheet(target, standings);
+
+	const sheet = getTargetSheet(target);
+	const response = postToHubSpot(sheet, buildStandingsPayload(standings));
+	const responseCode = response.getResponseCode();
+	const responseText = response.getContentText();
+
+	if (responseCode < 200 || responseCode >= 300) {
+		throw new Error(
+			`UPDATE_STANDINGS failed: ${responseCode} - ${responseText}`
+		);
+	}
+
+	properties.setProperty(hashKey, hash);
+	console.log(`Published standings for ${standings.length} groups`);
+	return true;
+}
+
+// PLAYER REGISTRY - The target's players tab lists every player once, with
+// the same title rows as the schedule (headers in HEADER_ROW). Names in the
+// schedule are resolved to registry IDs by display name, alias or ID, ignoring
+// case, punctuation and a bracketed suffix such as "(NYP)". The IDs and teams
+// are synced with the row, and a row naming an unknown player or a player not
+// eligible for its category is not synced.
+const PLAYER_SCHEMA = [
+	{ field: "id", header: "ID", aliases: ["Player ID"], required: true },
+	{
+		field: "name",
+		header: "Name",
+		aliases: ["Display name", "Player"],
+		required: true,
+	},
+	{ field: "team", header: "Team", aliases: ["Institution"] },
+	{ field: "seed", header: "Seed", aliases: ["Seeding"] },
+	{
+		field: "categories",
+		header: "Categories",
+		aliases: ["Eligible categories", "Category eligibility"],
+	},
+	{ field: "aliases", header: "Aliases", aliases: ["Other names"] },
+];
+// Synced with each row when the target has a registry
+const PLAYER_SYNC_FIELDS = [
+	"player_1_id",
+	"player_1_team",
+	"player_2_id",
+	"player_2_team",
+];
+const PLAYER_SIDES = ["player_1", "player_2"];
+
+/**
+ * Names of the players on one side of a match; doubles pairs are written
+ * "A / B" or "A & B" and placeholders such as "TBD" are left out
+ */
+function splitPlayers(side) {
+	return String(side)
+		.split(/\s*[/&]\s*/)
+		.map((name) => name.trim())
+		.filter((name) => name && !PLACEHOLDER_PATTERN.test(name));
+}
+
+/**
+ * Lookup key for a player name: "TAN Wei-Ming (NYP)" becomes "tan wei ming"
+ */
+function normalisePlayerName(name) {
+	return String(name)
+		.toLowerCase()
+		.replace(/\([^)]*\)/g, "")
+		.replace(/[^a-z0-9]+/g, " ")
+		.trim();
+}
+
+/**
+ * Split a comma separated registry cell
+ */
+function splitList(value) {
+	return String(value || "")
+		.split(/\s*[,;]\s*/)
+		.map((item) => item.trim())
+		.filter(Boolean);
+}
+
+/**
+ * Get a target's players tab (see readPlayerRegistry), reading it once per
+ * sync run; requests made outside a run read it every time
+ */
+function getPlayerRegistry(target) {
+	const runId = currentRunStats?.runId;
+	if (!runId) return readPlayerRegistry(target);
+
+	const key = `${runId}:${target.name}`;
+	if (playerRegistryCache?.key !== key) {
+		playerRegistryCache = { key: key, registry: readPlayerRegistry(target) };
+	}
+	return playerRegistryCache.registry;
+}
+
+/**
+ * Read a target's players tab
+ * Returns { sheetName, players: { id: player }, byName: { key: id | null } }
+ * with null marking a name shared by several players, or null when the
+ * target has no players tab
+ */
+function readPlayerRegistry(target) {
+	if (!target?.playersSheetName) return null;
+
+	const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(
+		target.playersSheetName
+	);
+	if (!sheet) {
+		console.warn(
+			`Players sheet "${target.playersSheetName}" not found, names are not resolved`
+		);
+		return null;
+	}
+
+	const columns = resolveColumns(sheet, PLAYER_SCHEMA);
+	const registry = {
+		sheetName: target.playersSheetName,
+		players: {},
+		byName: {},
+	};
+	const lastRow = sheet.getLastRow();
+	if (lastRow < DATA_START_ROW) return registry;
+
+	const width = Math.max(...Object.values(columns));
+	const cell = (row, field) =>
+		columns[field] ? String(row[columns[field] - 1]).trim() : "";
+
+	sheet
+		.getRange(DATA_START_ROW, 1, lastRow - DATA_START_ROW + 1, width)
+		.getValues()
+		.forEach((row, index) => {
+			const id = cell(row, "id");
+			if (!id) return;
+
+			if (registry.players[id]) {
+				throw new Error(
+					`Player ID "${id}" appears more than once in "${sheet.getName()}" (row ${
+						DATA_START_ROW + index
+					})`
+				);
 			}
-		} else {
-			// Check for changes in existing record
-			const changedFields = [];
-			const fieldsToCheck = [
-				"date_and_time",
-				"category",
-				"stage",
-				"player_1",
-				"player_2",
-				"results",
-				"venue",
-			];
-			fieldsToCheck.forEach((field) => {
-				if (current[field] !== stored[field]) {
-					changedFields.push({
-						field: field,
-						oldValue: stored[field],
-						newValue: current[field],
-					});
-				}
+
+			const player = {
+				id: id,
+				name: cell(row, "name"),
+				team: cell(row, "team"),
+				seed: cell(row, "seed"),
+				categories: splitList(cell(row, "categories")).map((category) =>
+					category.toLowerCase()
+				),
+			};
+			registry.players[id] = player;
+
+			new Set(
+				[id, player.name, ...splitList(cell(row, "aliases"))].map(
+					normalisePlayerName
+				)
+			).forEach((key) => {
+				if (!key) return;
+				registry.byName[key] = key in registry.byName ? null : id;
 			});
+		});
 
-			if (changedFields.length > 0) {
-				changes.push({
-					type: "UPDATED",
-					uniqueId: uniqueId,
-					row: current.sheetRow,
-					newData: current,
-					oldData: stored,
-					changedFields: changedFields,
-				});
+	return registry;
+}
 
-				console.log("580 new data ", current);
-				console.log("580 old data ", stored);
+/**
+ * Add the registry IDs and teams of both sides to a row
+ * Returns the row's validation error, or null
+ */
+function resolvePlayers(data, registry) {
+	const errors = [];
+
+	PLAYER_SIDES.forEach((side) => {
+		const players = [];
+
+		splitPlayers(data[side] || "").forEach((name) => {
+			const id = registry.byName[normalisePlayerName(name)];
+			if (id === null) {
+				errors.push(`"${name}" matches more than one player`);
+			} else if (id === undefined) {
+				errors.push(
+					`unknown player "${name}", add them to the "${registry.sheetName}" tab`
+				);
+			} else {
+				players.push(registry.players[id]);
 			}
+		});
+
+		players
+			.filter(
+				(player) =>
+					player.categories.length > 0 &&
+					!player.categories.includes(
+						String(data.category).trim().toLowerCase()
+					)
+			)
+			.forEach((player) => {
+				errors.push(`${player.name} is not eligible for ${data.category}`);
+			});
+
+		data[`${side}_id`] = players.map((player) => player.id).join(" / ");
+		data[`${side}_team`] = [
+			...new Set(players.map((player) => player.team).filter(Boolean)),
+		].join(" / ");
+	});
+
+	return errors.length > 0 ? `Invalid players: ${errors.join("; ")}` : null;
+}
+
+/**
+ * Add dropdowns listing the registry's display names to the player columns
+ * of the named target, or of every target with a players tab
+ * Other text stays allowed, for doubles pairs and placeholders
+ */
+function applyPlayerValidation(targetName) {
+	const targets = (
+		typeof targetName === "string" ? [getSyncTarget(targetName)] : SYNC_TARGETS
+	).filter((target) => target.playersSheetName);
+	let count = 0;
+
+	targets.forEach((target) => {
+		const playersSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(
+			target.playersSheetName
+		);
+		if (!playersSheet) {
+			throw new Error(`Sheet "${target.playersSheetName}" not found`);
 		}
+
+		const nameColumn = resolveColumns(playersSheet, PLAYER_SCHEMA).name;
+		const rule = SpreadsheetApp.newDataValidation()
+			.requireValueInRange(
+				playersSheet.getRange(
+					DATA_START_ROW,
+					nameColumn,
+					playersSheet.getMaxRows() - DATA_START_ROW + 1,
+					1
+				),
+				true
+			)
+			.setAllowInvalid(true)
+			.setHelpText(`Pick a player from the "${target.playersSheetName}" tab`)
+			.build();
+
+		const sheet = getTargetSheet(target);
+		const columns = getColumnMap(sheet, true);
+		PLAYER_SIDES.forEach((side) => {
+			sheet
+				.getRange(
+					DATA_START_ROW,
+					columns[side],
+					sheet.getMaxRows() - DATA_START_ROW + 1,
+					1
+				)
+				.setDataValidation(rule);
+		});
+		count++;
 	});
 
-	// Check for deleted records using stored data
+	return count;
+}
+
+// MATCH IDS - Every match row carries a generated ID in the "Match ID"
+// column, added after the last column when a target sheet has none. The ID is
+// the row's key in getAllSheetData, detectChanges and the stored snapshot, so
+// sorting the sheet, inserting rows or moving a match does not look like one
+// row removed and another added. Writes made after waiting on HubSpot look the
+// row up again by its ID (see resolveSheetRow). A copied row keeps the copied
+// ID until the next sync gives it one of its own.
+const MATCH_ID_HEADER = "Match ID";
+const MATCH_ID_PREFIX = "M-";
+
+/**
+ * Generate a match ID not already in usedIds
+ */
+function generateMatchId(usedIds) {
+	let matchId;
+	do {
+		matchId = MATCH_ID_PREFIX + Utilities.getUuid().slice(0, 8).toUpperCase();
+	} while (usedIds.has(matchId));
+	return matchId;
+}
+
+/**
+ * Give every match row of a target sheet a unique match ID, adding the
+ * Match ID column first if the sheet has none
+ * With onlyRows, only the block of rows that contains them is read; IDs
+ * copied from rows outside it are replaced by the next full sync
+ * Rows with neither match data nor an hs_id are left without one
+ * Returns the number of IDs written
+ */
+function assignMatchIds(sheet, onlyRows) {
+	let columns = getColumnMap(sheet, true);
+	if (!columns.matchId) {
+		sheet
+			.getRange(HEADER_ROW, sheet.getLastColumn() + 1)
+			.setValue(MATCH_ID_HEADER);
+		columns = getColumnMap(sheet, true);
+		console.log(`Added the ${MATCH_ID_HEADER} column to "${sheet.getName()}"`);
+	}
+
+	const firstRow = onlyRows ? Math.min(...onlyRows) : DATA_START_ROW;
+	const lastRow = onlyRows
+		? Math.min(Math.max(...onlyRows), sheet.getLastRow())
+		: sheet.getLastRow();
+	if (lastRow < firstRow || firstRow < DATA_START_ROW) return 0;
+
+	const syncFields = getSyncFields(sheet).filter((field) => columns[field]);
+	const values = sheet
+		.getRange(
+			firstRow,
+			1,
+			lastRow - firstRow + 1,
+			Math.max(...Object.values(columns))
+		)
+		.getValues();
+	const usedIds = new Set(
+		values.map((row) => String(row[columns.matchId - 1]).trim())
+	);
+	const seenIds = new Set();
+	let assigned = 0;
+
+	const matchIds = values.map((row) => {
+		const matchId = String(row[columns.matchId - 1]).trim();
+		const isMatchRow =
+			row[columns.hubdbRowId - 1] ||
+			syncFields.some((field) => row[columns[field] - 1]);
+
+		if (!isMatchRow || (matchId && !seenIds.has(matchId))) {
+			seenIds.add(matchId);
+			return [row[columns.matchId - 1]];
+		}
+
+		const newId = generateMatchId(usedIds);
+		usedIds.add(newId);
+		seenIds.add(newId);
+		assigned++;
+		return [newId];
+	});
+
+	if (assigned > 0) {
+		sheet
+			.getRange(firstRow, columns.matchId, matchIds.length, 1)
+			.setValues(matchIds);
+		console.log(`Assigned ${assigned} match IDs on "${sheet.getName()}"`);
+	}
+	return assigned;
+}
+
+/**
+ * Map each match ID on the sheet to the row it is on now
+ */
+function getMatchRows(sheet) {
+	const column = getColumnMap(sheet).matchId;
+	const lastRow = sheet.getLastRow();
+	const matchRows = {};
+	if (!column || lastRow < DATA_START_ROW) return matchRows;
+
+	sheet
+		.getRange(DATA_START_ROW, column, lastRow - DATA_START_ROW + 1, 1)
+		.getValues()
+		.forEach(([matchId], index) => {
+			if (matchId && !matchRows[matchId]) {
+				matchRows[matchId] = DATA_START_ROW + index;
+			}
+		});
+	return matchRows;
+}
+
+/**
+ * The rows that records read earlier in the run are on now, found by their
+ * match IDs. Rows have usually not moved, so the block the records were read
+ * from is checked before the whole column is searched
+ * A record whose row has been removed since gets null
+ */
+function resolveSheetRows(sheet, records) {
+	const column = getColumnMap(sheet).matchId;
+	const rows = records.map((record) => record.sheetRow);
+	if (!column || records.length === 0) return rows;
+
+	const firstRow = Math.min(...rows);
+	const lastRow = Math.min(Math.max(...rows), sheet.getLastRow());
+	const blockIds =
+		lastRow >= firstRow
+			? sheet
+					.getRange(firstRow, column, lastRow - firstRow + 1, 1)
+					.getValues()
+					.map(([matchId]) => String(matchId).trim())
+			: [];
+
+	let matchRows = null;
+	return records.map((record) => {
+		if (
+			!record.matchId ||
+			blockIds[record.sheetRow - firstRow] === record.matchId
+		) {
+			return record.sheetRow;
+		}
+		matchRows = matchRows || getMatchRows(sheet);
+		return matchRows[record.matchId] || null;
+	});
+}
+
+/**
+ * The row one record is on now (see resolveSheetRows)
+ */
+function resolveSheetRow(sheet, data) {
+	return resolveSheetRows(sheet, [data])[0];
+}
+
+/**
+ * Point each change at the row its match is on now (see resolveSheetRows)
+ */
+function refreshChangeRows(changes, sheet) {
+	const updates = changes.filter((change) => change.newData);
+	const rows = resolveSheetRows(
+		sheet,
+		updates.map((change) => change.newData)
+	);
+	updates.forEach((change, index) => {
+		change.row = rows[index];
+	});
+}
+
+/**
+ * Find the record synced to a HubDB row
+ */
+function findByHubDBRowId(data, hubdbRowId) {
+	return Object.values(data).find(
+		(record) => String(record.hubdbRowId) === String(hubdbRowId)
+	);
+}
+
+/**
+ * Move stored rows to the key their match has now
+ * Snapshots stored before match IDs, or rows whose ID was cleared or edited,
+ * are keyed differently from the sheet; matching them by hs_id keeps them
+ * from being sent as deleted and new
+ */
+function rekeyStoredData(storedData, currentData) {
+	const keysByHubDBRowId = {};
+	Object.keys(currentData).forEach((uniqueId) => {
+		const hubdbRowId = currentData[uniqueId].hubdbRowId;
+		if (hubdbRowId) keysByHubDBRowId[hubdbRowId] = uniqueId;
+	});
+
+	const rekeyed = {};
 	Object.keys(storedData).forEach((uniqueId) => {
-		if (!currentData[uniqueId]) {
-			const storedRow = storedData[uniqueId];
+		const storedRow = storedData[uniqueId];
+		const currentKey =
+			!currentData[uniqueId] && keysByHubDBRowId[storedRow.hubdbRowId];
+		if (!currentKey) {
+			rekeyed[uniqueId] = storedRow;
+		} else if (!storedData[currentKey] && !rekeyed[currentKey]) {
+			rekeyed[currentKey] = storedRow;
+		}
+		// Otherwise the match already has a row under its current key, and
+		// this one is left over from before its ID changed
+	});
+	return rekeyed;
+}
 
-			// Only process deletion if the stored record had a HubDB row ID
-			if (storedRow.hubdbRowId) {
-				changes.push({
-					type: "DELETED",
-					uniqueId: uniqueId,
-					oldData: storedRow,
-					changedFields: ["DELETED"],
-				});
-				console.log(
-					`🗑️ DELETED record detected: ${uniqueId} (HubDB ID: ${storedRow.hubdbRowId})`
-				);
-			} else {
-				console.log(
-					`⏭️ Skipping deletion of ${uniqueId} - no HubDB ID in stored data`
+/**
+ * Get all data from the sheet including HubDB row ID
+ * Reads from firstRow (default DATA_START_ROW) to lastRow
+ * READ-ONLY: Only reads data from sheet
+ */
+function getAllSheetData(sheet, lastRow, firstRow = DATA_START_ROW) {
+	const allData = {};
+	const clearedRows = [];
+	const startRow = Math.max(firstRow, DATA_START_ROW);
+
+	if (lastRow < startRow) {
+		return { allData, clearedRows };
+	}
+
+	// hs_ids written earlier in the run must be on the sheet before it is read
+	flushWriteBuffer();
+
+	const columns = getColumnMap(sheet);
+	const syncFields = getSyncFields(sheet);
+	const target = getTargetForSheet(sheet);
+	const matchFormats = target?.matchFormats;
+	const registry = getPlayerRegistry(target);
+	const width = Math.max(...Object.values(columns));
+	const values = sheet
+		.getRange(startRow, 1, lastRow - startRow + 1, width)
+		.getValues();
+
+	values.forEach((row, index) => {
+		const actualRow = startRow + index;
+		const hubdbRowId = row[columns.hubdbRowId - 1] || "";
+
+		const data = {};
+		syncFields.forEach((field) => {
+			// Optional columns that are not in the sheet are left out entirely
+			if (columns[field]) {
+				data[field] = row[columns[field] - 1] || "";
+			}
+		});
+
+		// Status and message columns are ignored here, so a row whose match
+		// data was cleared still counts as cleared while its old status remains
+		const isDataEmpty = syncFields.every((field) => !data[field]);
+
+		// Track rows cleared but still have HubDB ID
+		if (isDataEmpty && hubdbRowId) {
+			clearedRows.push({
+				sheetRow: actualRow,
+				hubdbRowId: hubdbRowId,
+			});
+			return;
+		}
+
+		// Skip completely empty rows (including those with no hs_id)
+		if (isDataEmpty) return;
+
+		// Skip rows that don't have core identifying fields
+		if (
+			!data.date_and_time &&
+			!data.category &&
+			!data.stage &&
+			!data.player_1 &&
+			!data.player_2
+		) {
+			return;
+		}
+
+		data.hubdbRowId = hubdbRowId;
+		data.sheetRow = actualRow;
+		if (columns.matchId && row[columns.matchId - 1]) {
+			data.matchId = String(row[columns.matchId - 1]).trim();
+		}
+
+		// Dates are hashed and sent in their normalised form, and player names
+		// resolved to registry IDs. The parsed score is sent with the raw text.
+		// An unreadable date, an unknown or ineligible player or an invalid
+		// score keeps the row from syncing (see planSync)
+		const timeError = normaliseRowTime(data);
+		if (timeError) {
+			data.validationError = timeError;
+		}
+		const playerError = registry && resolvePlayers(data, registry);
+		if (playerError && !data.validationError) {
+			data.validationError = playerError;
+		}
+		if (matchFormats && data.results) {
+			try {
+				data.score = parseScore(
+					data.results,
+					getMatchFormat(matchFormats, data.category)
 				);
+			} catch (error) {
+				data.validationError =
+					data.validationError || `Invalid score: ${error.message}`;
 			}
 		}
+
+		console.log("207 data ", data);
+
+		// Rows without a match ID yet, read before assignMatchIds has run,
+		// fall back to their hs_id or position
+		const uniqueId = data.matchId || hubdbRowId || `temp_${actualRow}`;
+		allData[uniqueId] = data;
 	});
 
-	return changes;
+	console.log(`Extracted ${Object.keys(allData).length} records from sheet`);
+
+	return { allData, clearedRows };
+}
+
+/**
+ * Find rows that need HubDB row creation
+ */
+function findRowsNeedingHubDBCreation(allData, sheet, changes) {
+	const rowsNeedingCreation = [];
+	const changedUniqueIds = new Set();
+
+	if (changes && changes.length > 0) {
+		changes.forEach((change) => {
+			if (change.type === "NEW" || change.type === "UPDATED") {
+				changedUniqueIds.add(change.uniqueId);
+			}
+		});
+	} else {
+		Object.keys(allData).forEach((uniqueId) => {
+			changedUniqueIds.add(uniqueId);
+		});
+	}
+
+	changedUniqueIds.forEach((uniqueId) => {
+		const data = allData[uniqueId];
+		if (!data) return;
+
+		const hasRequiredData =
+			data.date_and_time && data.player_1 && data.player_2;
+
+		// Rows with an invalid date or score are created once it is fixed
+		if (data.validationError) return;
+
+		const missingHubDBRowId = !data.hubdbRowId;
+
+		if (hasRequiredData && missingHubDBRowId) {
+			rowsNeedingCreation.push({
+				uniqueId: uniqueId,
+				data: data,
+				sheetRow: data.sheetRow,
+			});
+		}
+	});
+
+	return rowsNeedingCreation;
+}
+
+/**
+ * Create HubDB rows for rows that need them
+ * Several rows are created in batches (see BATCH CREATION)
+ * Returns the rows left for a continuation when the run ran out of time
+ * (see CHECKPOINTS)
+ */
+function createHubDBRows(rowsNeedingCreation, sheet) {
+	try {
+		console.log("Creating HubDB rows...");
+
+		if (rowsNeedingCreation.length > 1) {
+			return createHubDBRowsInBatches(rowsNeedingCreation, sheet);
+		}
+
+		for (const rowInfo of rowsNeedingCreation) {
+			console.log("Creating HubDB rowInfo...", rowInfo);
+
+			markRowsSyncing(sheet, [rowInfo.sheetRow]);
+
+			const payload = buildCreatePayload(rowInfo);
+
+			// Retries are queued by match ID so they survive the sheet being
+			// sorted; sheets without one fall back to the row
+			const retryKey = rowInfo.data.matchId || rowInfo.sheetRow;
+
+			try {
+				const response = postToHubSpot(sheet, payload);
+
+				const responseCode = response.getResponseCode();
+				const responseText = response.getContentText();
+
+				// The sheet may have been sorted while waiting for HubSpot
+				const sheetRow = resolveSheetRow(sheet, rowInfo.data);
+				if (!sheetRow) {
+					console.warn(
+						`Row for ${rowInfo.uniqueId} was removed during the sync (HubSpot replied ${responseCode}: ${responseText})`
+					);
+					continue;
+				}
+
+				// The match may already have a row from a request whose reply
+				// was lost (see IDEMPOTENCY KEYS)
+				const existingRowId = readExistingRowId(responseCode, responseText);
+				if (existingRowId) {
+					setHubDBRowId(sheet, sheetRow, existingRowId);
+					countRunResult("updated");
+					updateRowWithStatus(
+						sheet,
+						sheetRow,
+						"sync success",
+						EXISTING_ROW_MESSAGE
+					);
+
+					console.log(
+						`Adopted existing HubDB row ${existingRowId} for sheet row ${sheetRow}`
+					);
+				} else if (responseCode >= 200 && responseCode < 300) {
+					const responseData = JSON.parse(responseText);
+
+					if (responseData.success && responseData.hubdbRowId) {
+						setHubDBRowId(sheet, sheetRow, responseData.hubdbRowId);
+						countRunResult("created");
+						updateRowWithStatus(
+							sheet,
+							sheetRow,
+							"sync success",
+							"HubDB row created successfully"
+						);
+
+						console.log(
+							`Created HubDB row ${responseData.hubdbRowId} for sheet row ${sheetRow}`
+						);
+					} else {
+						console.warn(`HubDB row creation failed for ${rowInfo.uniqueId}`);
+						updateRowWithError(
+							sheet,
+							sheetRow,
+							`Creation failed: ${responseData.message || "Unknown error"}`
+						);
+					}
+				} else {
+					console.error(
+						`HubDB creation failed: ${responseCode} - ${responseText}`
+					);
+					updateRowWithError(
+						sheet,
+						sheetRow,
+						`HTTP ${responseCode}: ${responseText}`
+					);
+					if (isRetryableStatus(responseCode)) {
+						queueRetries(sheet, [{ operation: "CREATE", id: retryKey }]);
+					}
+				}
+			} catch (error) {
+				console.log("error 247 ", error.message);
+				updateRowWithError(
+					sheet,
+					resolveSheetRow(sheet, rowInfo.data) || rowInfo.sheetRow,
+					`Exception: ${error.message}`
+				);
+				queueRetries(sheet, [{ operation: "CREATE", id: retryKey }]);
+			}
+
+			Utilities.sleep(100);
+		}
+
+		return [];
+	} catch (error) {
+		console.error("Error creating HubDB rows:", error);
+		throw error;
+	}
+}
+
+// BATCH CREATION - Several new rows are created with BATCH_CREATE_HUBDB_ROWS
+// requests of up to CREATE_BATCH_SIZE rows (or the target's createBatchSize),
+// MAX_PARALLEL_REQUESTS of them sent
+// at once with UrlFetchApp.fetchAll. The endpoint replies with one result per
+// row, { uniqueId, status, hubdbRowId, message }, and the hs_id, status and
+// message of every row in a group of requests are written back with one range
+// write per column.
+const CREATE_BATCH_SIZE = 50;
+const MAX_PARALLEL_REQUESTS = 4;
+
+/**
+ * Split rows needing creation into the chunks sent per batch request
+ */
+function chunkRowsForCreation(target, rowsNeedingCreation) {
+	const size = target.createBatchSize || CREATE_BATCH_SIZE;
+	const chunks = [];
+	for (let i = 0; i < rowsNeedingCreation.length; i += size) {
+		chunks.push(rowsNeedingCreation.slice(i, i + size));
+	}
+	return chunks;
+}
+
+/**
+ * Create the rows of rowsNeedingCreation in batches (see BATCH CREATION)
+ * Stops between groups of requests once the run is out of time and returns
+ * the rows it did not send (see CHECKPOINTS)
+ */
+function createHubDBRowsInBatches(rowsNeedingCreation, sheet) {
+	const target = getTargetForSheet(sheet);
+	markRowsSyncing(
+		sheet,
+		rowsNeedingCreation.map((rowInfo) => rowInfo.sheetRow)
+	);
+
+	const chunks = chunkRowsForCreation(target, rowsNeedingCreation);
+	for (let i = 0; i < chunks.length; i += MAX_PARALLEL_REQUESTS) {
+		// The first group is always sent so every run makes progress
+		if (i > 0 && isRunOutOfTime()) {
+			const unsentRows = chunks.slice(i).flat();
+			writeRowResults(
+				sheet,
+				unsentRows.map((rowInfo) => ({
+					sheetRow: rowInfo.sheetRow,
+					status: "waiting",
+					message: "Created when the sync continues",
+				}))
+			);
+			return unsentRows;
+		}
+
+		const group = chunks.slice(i, i + MAX_PARALLEL_REQUESTS);
+		saveSyncCheckpoint(target, {
+			inFlight: group.flat().map((rowInfo) => rowInfo.uniqueId),
+		});
+		const responses = postAllToHubSpot(
+			sheet,
+			group.map((chunk) => buildBatchCreatePayload(chunk))
+		);
+
+		const outcomes = [];
+		group.forEach((chunk, index) => {
+			outcomes.push(...readBatchCreateResults(chunk, responses[index]));
+		});
+		applyCreateOutcomes(sheet, outcomes);
+
+		// The hs_ids are on the sheet before the rows stop counting as in flight
+		flushWriteBuffer();
+		saveSyncCheckpoint(target, { inFlight: [] });
+	}
+
+	return [];
+}
+
+/**
+ * Read the outcome of one BATCH_CREATE_HUBDB_ROWS request for each of its
+ * rows: { rowInfo, hubdbRowId, alreadyExists } when created or matched to an
+ * existing row, otherwise { rowInfo, message, retry }. response is the Error the request threw, if it did
+ */
+function readBatchCreateResults(chunk, response) {
+	const failAll = (message, retry) =>
+		chunk.map((rowInfo) => ({ rowInfo, message, retry }));
+
+	if (response instanceof Error) {
+		return failAll(`Exception: ${response.message}`, true);
+	}
+
+	const responseCode = response.getResponseCode();
+	const responseText = response.getContentText();
+	if (responseCode < 200 || responseCode >= 300) {
+		console.error(`Batch creation failed: ${responseCode} - ${responseText}`);
+		return failAll(
+			`HTTP ${responseCode}: ${responseText}`,
+			isRetryableStatus(responseCode)
+		);
+	}
+
+	// A reply that is not JSON fails this chunk only, like a single creation;
+	// the rows are matched by match ID if the endpoint did create them
+	let responseData;
+	try {
+		responseData = JSON.parse(responseText);
+	} catch (error) {
+		console.error(`Batch creation reply is not JSON: ${responseText}`);
+		return failAll(`Exception: ${error.message}`, true);
+	}
+
+	if (!responseData.success) {
+		return failAll(
+			`Creation failed: ${responseData.message || "Unknown error"}`,
+			false
+		);
+	}
+
+	return chunk.map((rowInfo) => {
+		const result = findBatchResult(responseData, rowInfo.uniqueId, null);
+		if (result?.status === "success" && result.hubdbRowId) {
+			return {
+				rowInfo,
+				hubdbRowId: result.hubdbRowId,
+				alreadyExists: result.alreadyExists === true,
+			};
+		}
+		return {
+			rowInfo,
+			message: `Creation failed: ${result?.message || "Unknown error"}`,
+			retry: false,
+		};
+	});
+}
+
+/**
+ * Write the outcomes of readBatchCreateResults to the rows their matches are
+ * on now, and queue the failures worth retrying
+ */
+function applyCreateOutcomes(sheet, outcomes) {
+	const sheetRows = resolveSheetRows(
+		sheet,
+		outcomes.map((outcome) => outcome.rowInfo.data)
+	);
+	const updates = [];
+	const retries = [];
+
+	outcomes.forEach((outcome, index) => {
+		const { rowInfo } = outcome;
+		const sheetRow = sheetRows[index];
+
+		if (outcome.retry) {
+			retries.push({
+				operation: "CREATE",
+				id: rowInfo.data.matchId || rowInfo.sheetRow,
+			});
+		}
+
+		if (!sheetRow) {
+			console.warn(
+				`Row for ${rowInfo.uniqueId} was removed during the sync${outcome.hubdbRowId ? ` after HubDB row ${outcome.hubdbRowId} was created` : ""}`
+			);
+			return;
+		}
+
+		if (outcome.hubdbRowId) {
+			countRunResult(outcome.alreadyExists ? "updated" : "created");
+			updates.push({
+				sheetRow: sheetRow,
+				hubdbRowId: outcome.hubdbRowId,
+				status: "sync success",
+				message: outcome.alreadyExists
+					? EXISTING_ROW_MESSAGE
+					: "HubDB row created successfully",
+			});
+		} else {
+			countRunResult("errored");
+			updates.push({
+				sheetRow: sheetRow,
+				status: "error",
+				message: outcome.message,
+			});
+		}
+	});
+
+	writeRowResults(sheet, updates);
+	if (retries.length > 0) queueRetries(sheet, retries);
+}
+
+/**
+ * Write the hs_id, status and message of many rows in bulk (see SHEET WRITE
+ * BUFFER): [{ sheetRow, hubdbRowId, status, message }], where a missing
+ * property leaves that cell as it is
+ */
+function writeRowResults(sheet, updates) {
+	const columns = getColumnMap(sheet);
+
+	withWriteBuffer(() => {
+		updates.forEach((update) => {
+			[
+				["hubdbRowId", columns.hubdbRowId],
+				["status", columns.syncStatus],
+				["message", columns.syncMessage],
+			].forEach(([property, column]) => {
+				if (property in update) {
+					writeCell(sheet, update.sheetRow, column, update[property]);
+				}
+			});
+		});
+	});
+}
+
+/**
+ * Handle cleared rows - delete from HubDB
+ */
+function handleClearedRows(clearedRows, sheet) {
+	try {
+		if (clearedRows.length === 0) return;
+
+		if (clearedRows.length > 1) {
+			handleBatchClearedRows(clearedRows, sheet);
+		} else {
+			handleSingleClearedRow(clearedRows[0], sheet);
+		}
+	} catch (error) {
+		console.error("Error handling cleared rows:", error);
+		throw error;
+	}
+}
+
+/**
+ * Handle batch delete for multiple cleared rows
+ */
+function handleBatchClearedRows(clearedRows, sheet) {
+	try {
+		const hubdbRowIds = clearedRows
+			.map((row) => row.hubdbRowId)
+			.filter((id) => id);
+
+		if (hubdbRowIds.length === 0) return;
+
+		markRowsSyncing(
+			sheet,
+			clearedRows.map((clearedRow) => clearedRow.sheetRow)
+		);
+
+		const payload = buildClearedRowsDeletePayload(clearedRows);
+
+		const response = postToHubSpot(sheet, payload);
+
+		const responseCode = response.getResponseCode();
+		const responseText = response.getContentText();
+		console.log("402 ", responseText);
+
+		if (responseCode >= 200 && responseCode < 300) {
+			const responseData = JSON.parse(responseText);
+			console.log("405 ", responseData);
+
+			if (responseData.success) {
+				const successfulDeletions =
+					responseData.results?.filter((r) => r.status === "success") || [];
+
+				// Update status for each cleared row
+				clearedRows.forEach((clearedRow) => {
+					const wasDeleted = successfulDeletions.some(
+						(result) => result.hubdbId === clearedRow.hubdbRowId
+					);
+
+					if (wasDeleted) {
+						// Clear hs_id and update sync status for successful deletions
+						updateRowAfterSuccessfulDelete(sheet, clearedRow.sheetRow);
+						console.log(`Batch deleted HubDB row ${clearedRow.hubdbRowId}`);
+					} else {
+						updateRowWithError(
+							sheet,
+							clearedRow.sheetRow,
+							"Batch deletion failed"
+						);
+					}
+				});
+			} else {
+				// If batch operation failed, update all rows with error status
+				clearedRows.forEach((clearedRow) => {
+					updateRowWithError(
+						sheet,
+						clearedRow.sheetRow,
+						`Batch deletion failed: ${responseData.message || "Unknown error"}`
+					);
+				});
+
+				// Fall back to individual deletions
+				clearedRows.forEach((clearedRow) => {
+					handleSingleClearedRow(clearedRow, sheet);
+				});
+			}
+		} else {
+			// HTTP error - update all rows with error status and fall back to individual deletions
+			clearedRows.forEach((clearedRow) => {
+				updateRowWithError(
+					sheet,
+					clearedRow.sheetRow,
+					`HTTP ${responseCode}: ${responseText}`
+				);
+			});
+
+			// Fall back to individual deletions
+			clearedRows.forEach((clearedRow) => {
+				handleSingleClearedRow(clearedRow, sheet);
+			});
+		}
+	} catch (error) {
+		console.error(
+			"Error in batch delete, falling back to individual deletions:",
+			error
+		);
+
+		// Update all rows with error status
+		clearedRows.forEach((clearedRow) => {
+			updateRowWithError(
+				sheet,
+				clearedRow.sheetRow,
+				`Exception: ${error.message}`
+			);
+		});
+
+		// Fall back to individual deletions
+		clearedRows.forEach((clearedRow) => {
+			try {
+				handleSingleClearedRow(clearedRow, sheet);
+			} catch (individualError) {
+				console.error(
+					`Failed to delete individual row ${clearedRow.hubdbRowId}:`,
+					individualError
+				);
+			}
+		});
+	}
+}
+/**
+ * Handle single cleared row deletion
+ */
+function handleSingleClearedRow(clearedRow, sheet) {
+	try {
+		markRowsSyncing(sheet, [clearedRow.sheetRow]);
+
+		const payload = buildClearedRowDeletePayload(clearedRow);
+
+		const response = postToHubSpot(sheet, payload);
+
+		const responseCode = response.getResponseCode();
+		const responseText = response.getContentText();
+
+		console.log("480 ", responseText);
+		if (responseCode >= 200 && responseCode < 300) {
+			const responseData = JSON.parse(responseText);
+
+			if (responseData.success) {
+				updateRowAfterSuccessfulDelete(sheet, clearedRow.sheetRow);
+				console.log(`Deleted HubDB row ${clearedRow.hubdbRowId}`);
+			} else {
+				updateRowWithError(
+					sheet,
+					clearedRow.sheetRow,
+					`Deletion failed: ${responseData.message || "Unknown error"}`
+				);
+			}
+		} else {
+			updateRowWithError(
+				sheet,
+				clearedRow.sheetRow,
+				`HTTP ${responseCode}: ${responseText}`
+			);
+			console.error(
+				`Failed to delete HubDB row ${clearedRow.hubdbRowId}: ${responseCode} - ${responseText}`
+			);
+			if (isRetryableStatus(responseCode)) {
+				queueRetries(sheet, [
+					{ operation: "DELETE", id: clearedRow.hubdbRowId },
+				]);
+			}
+		}
+
+		Utilities.sleep(100);
+	} catch (error) {
+		console.error(
+			`Error deleting single HubDB row ${clearedRow.hubdbRowId}:`,
+			error
+		);
+		updateRowWithError(
+			sheet,
+			clearedRow.sheetRow,
+			`Exception: ${error.message}`
+		);
+		queueRetries(sheet, [{ operation: "DELETE", id: clearedRow.hubdbRowId }]);
+	}
+}
+
+/**
+ * Detect changes between current and stored data
+ * Enhanced to detect deleted rows using stored data
+ */
+function detectChanges(currentData, storedData, syncFields) {
+	const changes = [];
+
+	// Check each record in current data
+	Object.keys(currentData).forEach((uniqueId) => {
+		const current = currentData[uniqueId];
+		const stored = storedData[uniqueId];
+		const currentHashes = buildSnapshotRow(current, syncFields);
+
+		if (!stored) {
+			// New record
+			if (
+				current.hubdbRowId ||
+				current.matchId ||
+				uniqueId.startsWith("temp_")
+			) {
+				changes.push({
+					type: "NEW",
+					uniqueId: uniqueId,
+					row: current.sheetRow,
+					newData: current,
+					changedFields: ["ALL"],
+				});
+			}
+		} else {
+			// Check for changes in existing record
+			// The snapshot only keeps hashes, so old values are not available
+			const changedFields = [];
+			if (currentHashes.hash !== stored.hash) {
+				syncFields.forEach((field) => {
+					if (currentHashes.fieldHashes[field] !== stored.fieldHashes[field]) {
+						changedFields.push({
+							field: field,
+							newValue: current[field],
+						});
+					}
+				});
+			}
+
+			if (changedFields.length > 0) {
+				changes.push({
+					type: "UPDATED",
+					uniqueId: uniqueId,
+					row: current.sheetRow,
+					newData: current,
+					oldData: {
+						hubdbRowId: stored.hubdbRowId,
+						sheetRow: stored.sheetRow,
+					},
+					changedFields: changedFields,
+				});
+
+				console.log("580 new data ", current);
+				console.log("580 old data ", stored);
+			}
+		}
+	});
+
+	// Check for deleted records using stored data
+	Object.keys(storedData).forEach((uniqueId) => {
+		if (!currentData[uniqueId]) {
+			const storedRow = storedData[uniqueId];
+
+			// Only process deletion if the stored record had a HubDB row ID
+			if (storedRow.hubdbRowId) {
+				changes.push({
+					type: "DELETED",
+					uniqueId: uniqueId,
+					oldData: {
+						hubdbRowId: storedRow.hubdbRowId,
+						sheetRow: storedRow.sheetRow,
+					},
+					changedFields: ["DELETED"],
+				});
+				console.log(
+					`🗑️ DELETED record detected: ${uniqueId} (HubDB ID: ${storedRow.hubdbRowId})`
+				);
+			} else {
+				console.log(
+					`⏭️ Skipping deletion of ${uniqueId} - no HubDB ID in stored data`
+				);
+			}
+		}
+	});
+
+	return changes;
+}
+
+/**
+ * Send changes to HubSpot with intelligent batch handling
+ */
+function sendToHubSpot(changes, sheet) {
+	try {
+		console.log("Sending to HubSpot...");
+
+		const deleteChanges = changes.filter((change) => change.type === "DELETED");
+		const otherChanges = changes.filter((change) => change.type !== "DELETED");
+
+		if (deleteChanges.length > 1) {
+			processBatchDeletes(deleteChanges, sheet, otherChanges);
+		} else if (deleteChanges.length === 1) {
+			otherChanges.push(...deleteChanges);
+		}
+
+		if (otherChanges.length > 0) {
+			return processIndividualOperations(otherChanges, sheet);
+		}
+
+		return { message: "All operations completed" };
+	} catch (error) {
+		console.error("Error sending to HubSpot:", error);
+		throw error;
+	}
+}
+
+function processBatchDeletes(deleteChanges, sheet, otherChanges) {
+	const batchDeletePayload = buildChangesDeletePayload(deleteChanges);
+
+	try {
+		markChangesSyncing(deleteChanges, sheet);
+
+		const batchResponse = postToHubSpot(sheet, batchDeletePayload);
+
+		const responseCode = batchResponse.getResponseCode();
+		const responseText = batchResponse.getContentText();
+
+		if (responseCode >= 200 && responseCode < 300) {
+			handleBatchDeleteSuccess(deleteChanges, sheet, responseText);
+		} else {
+			handleBatchDeleteFailure(deleteChanges, sheet, responseCode, responseText, otherChanges);
+		}
+	} catch (batchError) {
+		handleBatchDeleteError(deleteChanges, sheet, batchError, otherChanges);
+	}
+}
+
+function handleBatchDeleteSuccess(deleteChanges, sheet, responseText) {
+	const batchResponseData = JSON.parse(responseText);
+	console.log("Successfully batch deleted from HubSpot");
+
+	if (batchResponseData.success) {
+		const successfulDeletions =
+			batchResponseData.results?.filter(
+				(r) => r.status === "success"
+			) || [];
+
+		deleteChanges.forEach((change) => {
+			if (!change.oldData?.sheetRow) return;
+
+			const wasDeleted = successfulDeletions.some(
+				(result) => result.hubdbId === change.oldData.hubdbRowId
+			);
+
+			if (wasDeleted) {
+				updateRowAfterSuccessfulDelete(sheet, change.oldData.sheetRow);
+			} else {
+				updateRowWithError(sheet, change.oldData.sheetRow, "Batch deletion failed");
+			}
+		});
+	} else {
+		const errorMessage = `Batch deletion failed: ${
+			batchResponseData.message || "Unknown error"
+		}`;
+		deleteChanges.forEach((change) => {
+			if (change.oldData?.sheetRow) {
+				updateRowWithError(sheet, change.oldData.sheetRow, errorMessage);
+			}
+		});
+	}
+}
+
+function handleBatchDeleteFailure(deleteChanges, sheet, responseCode, responseText, otherChanges) {
+	console.warn("Batch delete failed, handling individually");
+	const errorMessage = `HTTP ${responseCode}: ${responseText}`;
+	deleteChanges.forEach((change) => {
+		if (change.oldData?.sheetRow) {
+			updateRowWithError(sheet, change.oldData.sheetRow, errorMessage);
+		}
+	});
+	otherChanges.push(...deleteChanges);
+}
+
+function handleBatchDeleteError(deleteChanges, sheet, batchError, otherChanges) {
+	console.error("Batch delete error, handling individually:", batchError);
+	const errorMessage = `Exception: ${batchError.message}`;
+	deleteChanges.forEach((change) => {
+		if (change.oldData?.sheetRow) {
+			updateRowWithError(sheet, change.oldData.sheetRow, errorMessage);
+		}
+	});
+	otherChanges.push(...deleteChanges);
+}
+
+/**
+ * Send NEW, UPDATED and single DELETED changes in one gameData request
+ * Failures do not throw: the rows are marked "error" and transient failures
+ * are queued for retry, so the new data state is still stored
+ */
+function processIndividualOperations(otherChanges, sheet) {
+	markChangesSyncing(otherChanges, sheet);
+
+	const individualPayload = buildGameDataPayload(otherChanges);
+
+	let response;
+	try {
+		response = postToHubSpot(sheet, individualPayload);
+	} catch (error) {
+		console.error("Error sending operations to HubSpot:", error);
+		updateRowsAfterFailure(
+			otherChanges,
+			sheet,
+			`Exception: ${error.message}`,
+			true
+		);
+		return null;
+	}
+
+	const responseCode = response.getResponseCode();
+	const responseText = response.getContentText();
+
+	// Rows may have been sorted or moved while waiting for HubSpot
+	refreshChangeRows(otherChanges, sheet);
+
+	if (responseCode >= 200 && responseCode < 300) {
+		console.log("Successfully sent operations to HubSpot");
+		updateRowsAfterSuccess(otherChanges, sheet);
+		return JSON.parse(responseText);
+	} else {
+		console.error(`HubSpot API error: ${responseCode} - ${responseText}`);
+		updateRowsAfterFailure(
+			otherChanges,
+			sheet,
+			`HTTP ${responseCode}: ${responseText}`,
+			isRetryableStatus(responseCode)
+		);
+		return null;
+	}
+}
+
+// SHEET WRITE BUFFER - During a run, cell writes (hs_id, sync status, sync
+// message and schedule warnings) are collected per sheet and written with
+// one setValues call per block of consecutive cells. The buffer is flushed
+// before every request to HubSpot, so a row number resolved after a reply is
+// still the row's position when its result is written, before the sheet is
+// read again, and when the run ends. Outside a run, writes go straight to the
+// sheet.
+const SHOW_SYNCING_STATUS = false; // Mark rows "syncing" while their request is out
+
+function startWriteBuffer() {
+	pendingSheetWrites = {};
+}
+
+/**
+ * Flush the buffer and go back to writing cells straight away
+ */
+function stopWriteBuffer() {
+	flushWriteBuffer();
+	pendingSheetWrites = null;
+}
+
+/**
+ * Run write() with its cell writes buffered, unless a buffer is already open
+ */
+function withWriteBuffer(write) {
+	if (pendingSheetWrites) return write();
+
+	startWriteBuffer();
+	try {
+		return write();
+	} finally {
+		stopWriteBuffer();
+	}
+}
+
+/**
+ * Write one cell, or buffer the write while a run is in progress
+ * A later write to the same cell replaces the buffered one
+ */
+function writeCell(sheet, sheetRow, column, value) {
+	if (!pendingSheetWrites) {
+		sheet.getRange(sheetRow, column).setValue(value);
+		return;
+	}
+
+	const name = sheet.getName();
+	if (!pendingSheetWrites[name]) {
+		pendingSheetWrites[name] = { sheet: sheet, columns: {} };
+	}
+	const columns = pendingSheetWrites[name].columns;
+	if (!columns[column]) columns[column] = {};
+	columns[column][sheetRow] = value;
+}
+
+/**
+ * Split row or column numbers into runs of consecutive numbers:
+ * [{ first, count }]
+ */
+function findConsecutiveRuns(numbers) {
+	const runs = [];
+	numbers
+		.slice()
+		.sort((a, b) => a - b)
+		.forEach((number) => {
+			const last = runs[runs.length - 1];
+			if (last && number === last.first + last.count) {
+				last.count++;
+			} else {
+				runs.push({ first: number, count: 1 });
+			}
+		});
+	return runs;
+}
+
+/**
+ * Write every buffered cell with as few setValues calls as possible: the same
+ * run of rows in neighbouring columns (such as status and message) is written
+ * as one range
+ */
+function flushWriteBuffer() {
+	if (!pendingSheetWrites) return;
+
+	const buffered = pendingSheetWrites;
+	pendingSheetWrites = {};
+
+	Object.values(buffered).forEach(({ sheet, columns }) => {
+		// Columns written on the same run of rows, by "first:count"
+		const rowRuns = {};
+		Object.keys(columns).forEach((column) => {
+			const sheetRows = Object.keys(columns[column]).map(Number);
+			findConsecutiveRuns(sheetRows).forEach((rows) => {
+				const key = `${rows.first}:${rows.count}`;
+				if (!rowRuns[key]) rowRuns[key] = { rows: rows, columns: [] };
+				rowRuns[key].columns.push(Number(column));
+			});
+		});
+
+		Object.values(rowRuns).forEach(({ rows, columns: runColumns }) => {
+			findConsecutiveRuns(runColumns).forEach((cols) => {
+				const values = [];
+				for (let r = 0; r < rows.count; r++) {
+					const row = [];
+					for (let c = 0; c < cols.count; c++) {
+						row.push(columns[cols.first + c][rows.first + r]);
+					}
+					values.push(row);
+				}
+
+				try {
+					sheet
+						.getRange(rows.first, cols.first, rows.count, cols.count)
+						.setValues(values);
+				} catch (error) {
+					console.error(
+						`Error writing rows ${rows.first}-${rows.first + rows.count - 1} of ${sheet.getName()}:`,
+						error
+					);
+				}
+			});
+		});
+	});
+}
+
+/**
+ * Show rows as "syncing" while their request is out when SHOW_SYNCING_STATUS
+ * is on; otherwise they keep their last status until the reply is written
+ */
+function markRowsSyncing(sheet, sheetRows) {
+	if (!SHOW_SYNCING_STATUS) return;
+
+	sheetRows.forEach((sheetRow) =>
+		updateRowWithStatus(sheet, sheetRow, "syncing", "")
+	);
+}
+
+function markChangesSyncing(changes, sheet) {
+	markRowsSyncing(
+		sheet,
+		changes
+			.map((change) => change.row || change.oldData?.sheetRow)
+			.filter((sheetRow) => sheetRow)
+	);
+}
+
+function setHubDBRowId(sheet, sheetRow, hubdbRowId) {
+	const columns = getColumnMap(sheet);
+	writeCell(sheet, sheetRow, columns.hubdbRowId, hubdbRowId);
+}
+
+function updateRowWithStatus(sheet, sheetRow, status, message) {
+	const columns = getColumnMap(sheet);
+	writeCell(sheet, sheetRow, columns.syncStatus, status);
+	writeCell(sheet, sheetRow, columns.syncMessage, message);
+}
+
+function updateRowAfterSuccessfulDelete(sheet, sheetRow) {
+	countRunResult("deleted");
+	setHubDBRowId(sheet, sheetRow, "");
+	updateRowWithStatus(sheet, sheetRow, "deleted", "Successfully deleted from HubDB");
+}
+
+function updateRowWithError(sheet, sheetRow, errorMessage) {
+	countRunResult("errored");
+	updateRowWithStatus(sheet, sheetRow, "error", errorMessage);
+}
+
+function updateRowsAfterSuccess(changes, sheet) {
+	changes.forEach((change) => {
+		if (change.type === "DELETED" && change.oldData?.sheetRow) {
+			updateRowAfterSuccessfulDelete(sheet, change.oldData.sheetRow);
+		} else if (change.row) {
+			countRunResult("updated");
+			updateRowWithStatus(sheet, change.row, "sync success", `${change.type} operation completed successfully`);
+		}
+	});
+}
+
+function updateRowsAfterFailure(changes, sheet, errorMessage, retryable) {
+	changes.forEach((change) => {
+		const targetRow = change.row || change.oldData?.sheetRow;
+		if (targetRow) {
+			updateRowWithError(sheet, targetRow, errorMessage);
+		}
+	});
+
+	if (retryable) {
+		queueRetries(
+			sheet,
+			changes.map((change) =>
+				change.type === "DELETED"
+					? { operation: "DELETE", id: change.oldData?.hubdbRowId }
+					: { operation: "UPDATE", id: change.newData?.hubdbRowId }
+			)
+		);
+	}
+}
+
+/**
+ * The HubDB fields sent when a row is created
+ */
+function buildCreateData(rowInfo) {
+	return {
+		date_and_time: rowInfo.data.date_and_time,
+		date_and_time_epoch: rowInfo.data.date_and_time_epoch,
+		venue: rowInfo.data.venue,
+		category: rowInfo.data.category,
+		stage: rowInfo.data.stage,
+		round: rowInfo.data.round,
+		player_1: rowInfo.data.player_1,
+		player_2: rowInfo.data.player_2,
+		player_1_id: rowInfo.data.player_1_id,
+		player_1_team: rowInfo.data.player_1_team,
+		player_2_id: rowInfo.data.player_2_id,
+		player_2_team: rowInfo.data.player_2_team,
+		results: rowInfo.data.results,
+		score: rowInfo.data.score,
+	};
+}
+
+/**
+ * Build the CREATE_HUBDB_ROW payload for a row without an hs_id
+ */
+function buildCreatePayload(rowInfo) {
+	return {
+		operation: "CREATE_HUBDB_ROW",
+		uniqueId: rowInfo.uniqueId,
+		idempotencyKey: buildCreateKey(rowInfo),
+		data: buildCreateData(rowInfo),
+		metadata: {
+			timestamp: new Date().toISOString(),
+			source: "google_sheets_sync",
+			sheetRow: rowInfo.sheetRow,
+			matchId: rowInfo.data.matchId,
+		},
+	};
+}
+
+/**
+ * Build the BATCH_CREATE_HUBDB_ROWS payload for several rows without an hs_id
+ */
+function buildBatchCreatePayload(rowsNeedingCreation) {
+	return {
+		operation: "BATCH_CREATE_HUBDB_ROWS",
+		rows: rowsNeedingCreation.map((rowInfo) => ({
+			uniqueId: rowInfo.uniqueId,
+			idempotencyKey: buildCreateKey(rowInfo),
+			data: buildCreateData(rowInfo),
+			sheetRow: rowInfo.sheetRow,
+			matchId: rowInfo.data.matchId,
+		})),
+		metadata: {
+			timestamp: new Date().toISOString(),
+			source: "google_sheets_sync_batch",
+			totalRows: rowsNeedingCreation.length,
+		},
+	};
+}
+
+/**
+ * Build the DELETE_HUBDB_ROW payload for one cleared row
+ */
+function buildClearedRowDeletePayload(clearedRow) {
+	return {
+		operation: "DELETE_HUBDB_ROW",
+		hubdbRowId: clearedRow.hubdbRowId,
+		sheetRow: clearedRow.sheetRow,
+		metadata: {
+			timestamp: new Date().toISOString(),
+			source: "google_sheets_sync",
+			reason: "row_cleared",
+		},
+	};
+}
+
+/**
+ * Build the BATCH_DELETE_HUBDB_ROWS payload for several cleared rows
+ */
+function buildClearedRowsDeletePayload(clearedRows) {
+	return {
+		operation: "BATCH_DELETE_HUBDB_ROWS",
+		hubdbRowIds: clearedRows.map((row) => row.hubdbRowId).filter((id) => id),
+		metadata: {
+			timestamp: new Date().toISOString(),
+			source: "google_sheets_sync",
+			reason: "rows_cleared",
+			totalRows: clearedRows.length,
+		},
+	};
+}
+
+/**
+ * Build the BATCH_DELETE_HUBDB_ROWS payload for DELETED changes
+ */
+function buildChangesDeletePayload(deleteChanges) {
+	return {
+		operation: "BATCH_DELETE_HUBDB_ROWS",
+		hubdbRowIds: deleteChanges
+			.map((change) => change.oldData?.hubdbRowId)
+			.filter((id) => id),
+		metadata: {
+			timestamp: new Date().toISOString(),
+			source: "google_sheets_sync_batch",
+			reason: "data_changes",
+			totalChanges: deleteChanges.length,
+		},
+	};
+}
+
+/**
+ * Build the gameData payload for NEW, UPDATED and single DELETED changes
+ */
+function buildGameDataPayload(changes) {
+	return {
+		gameData: changes.map((change) => ({
+			operation: change.type,
+			uniqueId: change.uniqueId,
+			idempotencyKey: buildChangeKey(change),
+			data: change.newData,
+			oldData: change.oldData,
+			changedFields: change.changedFields,
+			metadata: {
+				timestamp: new Date().toISOString(),
+				source: "google_sheets_sync",
+				sheetRow: change.row || change.oldData?.sheetRow || null,
+			},
+		})),
+	};
+}
+
+// IDEMPOTENCY KEYS - Every write sent to an endpoint carries an
+// idempotencyKey: the operation, the stable identity of the match (its match
+// ID, or the request for batches) and a hash of the run ID and what is sent,
+// leaving out timestamps and sheet rows, e.g. "CREATE:M-3F9A2C1B:q3X0d9kLm2Aa".
+// A request retried within the run has the same key, so the endpoint applies
+// it once and replays its first reply. The run ID versions the key: a result
+// changed back to an earlier value, or a row cleared a second time, is sent
+// by a later run with a new key and applied again. Requests sent outside a
+// sync run (e.g. from the menu) use an ID of their own per execution.
+// Creations are also unique per match ID, across runs: creating a match that
+// already has a row updates that row and replies { success: true,
+// alreadyExists: true, hubdbRowId } (or HTTP 409 with the hubdbRowId), and
+// the row's hs_id is set to it instead of creating a duplicate.
+const VOLATILE_PAYLOAD_FIELDS = ["timestamp", "sheetRow"];
+const UNKEYED_OPERATIONS = ["LIST_HUBDB_ROWS"]; // Reads change nothing
+const EXISTING_ROW_MESSAGE = "Matched to the HubDB row created for this match";
+
+/**
+ * The version idempotency keys are built with: the sync run's ID, or one ID
+ * per execution outside a run
+ */
+function getKeyVersion() {
+	if (currentRunStats?.runId) return currentRunStats.runId;
+	if (!executionKeyVersion) executionKeyVersion = Utilities.getUuid();
+	return executionKeyVersion;
+}
+
+/**
+ * Build an idempotency key from an operation, a stable identity and the
+ * content sent, versioned by the run (see getKeyVersion)
+ */
+function buildIdempotencyKey(operation, identity, content) {
+	const stableContent = JSON.parse(
+		JSON.stringify(content === undefined ? null : content, (key, value) =>
+			VOLATILE_PAYLOAD_FIELDS.includes(key) ? undefined : value
+		)
+	);
+	const version = getKeyVersion();
+	return `${operation}:${identity}:${hashValue([version, stableContent])}`;
+}
+
+/**
+ * The idempotency key of a row's creation, shared by single and batch creates
+ */
+function buildCreateKey(rowInfo) {
+	return buildIdempotencyKey(
+		"CREATE",
+		rowInfo.data.matchId || rowInfo.uniqueId,
+		buildCreateData(rowInfo)
+	);
+}
+
+/**
+ * The idempotency key of one gameData change
+ */
+function buildChangeKey(change) {
+	return buildIdempotencyKey(change.type, change.uniqueId, {
+		data: change.newData,
+		hubdbRowId: change.oldData?.hubdbRowId,
+		changedFields: change.changedFields,
+	});
+}
+
+/**
+ * Add the request's idempotency key to a payload that has none yet
+ */
+function withIdempotencyKey(payload) {
+	if (
+		payload.idempotencyKey ||
+		UNKEYED_OPERATIONS.includes(payload.operation)
+	) {
+		return payload;
+	}
+
+	const operation = payload.operation || "GAME_DATA";
+	const identity = payload.uniqueId || payload.hubdbRowId || "request";
+	return {
+		...payload,
+		idempotencyKey: buildIdempotencyKey(operation, identity, payload),
+	};
+}
+
+/**
+ * The hubdbRowId of an "already exists" reply to a creation, or null
+ */
+function readExistingRowId(responseCode, responseText) {
+	let responseData;
+	try {
+		responseData = JSON.parse(responseText);
+	} catch (error) {
+		return null;
+	}
+
+	const exists =
+		responseCode === 409 ||
+		(responseCode >= 200 &&
+			responseCode < 300 &&
+			responseData?.alreadyExists === true);
+	return exists && responseData?.hubdbRowId ? responseData.hubdbRowId : null;
+}
+
+/**
+ * POST a payload to the serverless endpoint of the target that owns the sheet
+ * Transient failures are retried with backoff (see fetchWithRetry), and the
+ * request is written to the sync log (see logSyncRequest)
+ * Buffered sheet writes are flushed first (see SHEET WRITE BUFFER), and the
+ * payload gets its idempotency key (see IDEMPOTENCY KEYS)
+ */
+function postToHubSpot(sheet, unkeyedPayload) {
+	flushWriteBuffer();
+	const payload = withIdempotencyKey(unkeyedPayload);
+
+	const target = getTargetForSheet(sheet);
+	if (!target) {
+		throw new Error(`Sheet "${sheet.getName()}" is not a sync target`);
+	}
+
+	let response;
+	try {
+		response = fetchWithRetry(target.endpoint, () =>
+			buildEndpointRequest(target, payload)
+		);
+	} catch (error) {
+		logSyncRequest(target, payload, null, error);
+		throw error;
+	}
+
+	logSyncRequest(target, payload, response);
+	return response;
+}
+
+// REQUEST SIGNING - The endpoint URL is public, so every request is signed
+// and the endpoint refuses the ones that are not. The secret is kept in the
+// Script Property named by the target's secretProperty (SYNC_SIGNING_SECRET
+// by default), never in this file, and the endpoint is given the same value.
+// Each request carries the time it was built (epoch milliseconds), a random
+// nonce and "v1=" followed by the hex HMAC-SHA256 of
+// "<timestamp>.<nonce>.<body>". serverless/verify-request.js checks them:
+// requests more than 5 minutes old, nonces it has already seen and
+// signatures that do not match are rejected with HTTP 401.
+const SIGNING_SECRET_PROPERTY = "SYNC_SIGNING_SECRET";
+const SIGNATURE_VERSION = "v1";
+const SIGNATURE_HEADERS = {
+	timestamp: "X-Sync-Timestamp",
+	nonce: "X-Sync-Nonce",
+	signature: "X-Sync-Signature",
+};
+
+/**
+ * Get a target's signing secret from Script Properties
+ * Throws when it is not set, so nothing is sent unsigned
+ */
+function getSigningSecret(target) {
+	const property = target.secretProperty || SIGNING_SECRET_PROPERTY;
+	const secret = PropertiesService.getScriptProperties().getProperty(property);
+	if (!secret) {
+		throw new Error(
+			`No signing secret for target "${target.name}": set the Script Property ${property}`
+		);
+	}
+	return secret;
+}
+
+/**
+ * Hex HMAC-SHA256 signature of a request body, its timestamp and nonce
+ */
+function signRequestBody(secret, timestamp, nonce, body) {
+	const bytes = Utilities.computeHmacSha256Signature(
+		`${timestamp}.${nonce}.${body}`,
+		secret,
+		Utilities.Charset.UTF_8
+	);
+	return bytes
+		.map((byte) => ((byte + 256) % 256).toString(16).padStart(2, "0"))
+		.join("");
+}
+
+/**
+ * The signed UrlFetchApp request that posts a payload to a target's endpoint
+ * Every operation is sent through here. Build a new request for every
+ * attempt: the endpoint refuses a nonce it has already seen
+ */
+function buildEndpointRequest(target, payload) {
+	const body = JSON.stringify(payload);
+	const timestamp = String(Date.now());
+	const nonce = Utilities.getUuid();
+	const signature = signRequestBody(
+		getSigningSecret(target),
+		timestamp,
+		nonce,
+		body
+	);
+
+	return {
+		url: target.endpoint,
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+			[SIGNATURE_HEADERS.timestamp]: timestamp,
+			[SIGNATURE_HEADERS.nonce]: nonce,
+			[SIGNATURE_HEADERS.signature]: `${SIGNATURE_VERSION}=${signature}`,
+		},
+		payload: body,
+		muteHttpExceptions: true,
+	};
+}
+
+/**
+ * POST several payloads to the endpoint of the target that owns the sheet
+ * at once with UrlFetchApp.fetchAll
+ * Requests that fail with a retryable status, or all of them when fetchAll
+ * throws, are sent again one at a time through postToHubSpot unless the
+ * endpoint is already known to be down
+ * Returns one response per payload, or the Error its request threw
+ */
+function postAllToHubSpot(sheet, unkeyedPayloads) {
+	flushWriteBuffer();
+	const payloads = unkeyedPayloads.map(withIdempotencyKey);
+
+	const target = getTargetForSheet(sheet);
+	if (!target) {
+		throw new Error(`Sheet "${sheet.getName()}" is not a sync target`);
+	}
+
+	let responses;
+	try {
+		responses = UrlFetchApp.fetchAll(
+			payloads.map((payload) => buildEndpointRequest(target, payload))
+		);
+	} catch (error) {
+		console.warn(
+			`Parallel requests failed (${error.message}), sending them one at a time`
+		);
+		responses = payloads.map(() => null);
+	}
+
+	return payloads.map((payload, index) => {
+		const response = responses[index];
+		const failed = !response || isRetryableStatus(response.getResponseCode());
+		if (response && (!failed || currentRunStats?.endpointUnavailable)) {
+			logSyncRequest(target, payload, response);
+			return response;
+		}
+
+		try {
+			return postToHubSpot(sheet, payload);
+		} catch (error) {
+			return error;
+		}
+	});
+}
+
+// SYNC LOG - Every request sent to a sync endpoint is appended to the
+// "Sync log" sheet, one row per match it touched: when it was sent, the run
+// and what started it, the operation, the match ID and hs_id, the changed
+// fields with their old and new values, and the endpoint's reply. Rows are
+// never edited; the oldest are removed once the log passes MAX_SYNC_LOG_ROWS.
+// The snapshot only keeps hashes, so a field's old value is the last value
+// the log recorded for the match, or "?" when it has none. The log is read
+// for those values once per sync run, and the run's own rows are added to
+// them as they are written.
+const SYNC_LOG_SHEET_NAME = "Sync log";
+const SYNC_LOG_HEADERS = [
+	"Time",
+	"Run ID",
+	"Trigger",
+	"Target",
+	"Operation",
+	"Match ID",
+	"hs_id",
+	"Sheet row",
+	"Changes",
+	"HTTP status",
+	"Response",
+];
+const MAX_SYNC_LOG_ROWS = 20000;
+const SYNC_LOG_RESPONSE_LENGTH = 500;
+const SYNC_LOG_UNKNOWN_VALUE = "?";
+const SYNC_LOG_CHANGE_PATTERN = /^(\w+): (.*) → (.*)$/;
+const UNLOGGED_OPERATIONS = ["LIST_HUBDB_ROWS"];
+
+/**
+ * Get the Sync log sheet, writing its title and header rows the first time
+ */
+function getSyncLogSheet() {
+	const sheet = getOrCreateSheet(SYNC_LOG_SHEET_NAME);
+	if (sheet.getLastRow() < HEADER_ROW) {
+		sheet
+			.getRange(1, 1, 1, 2)
+			.setValues([["Sync log started", new Date().toISOString()]]);
+		sheet
+			.getRange(HEADER_ROW, 1, 1, SYNC_LOG_HEADERS.length)
+			.setValues([SYNC_LOG_HEADERS]);
+		sheet.setFrozenRows(HEADER_ROW);
+	}
+	return sheet;
+}
+
+/**
+ * Read every logged row as { time, runId, trigger, target, operation,
+ * matchId, hubdbRowId, sheetRow, changes, httpStatus, response }, oldest
+ * first
+ */
+function readSyncLog() {
+	const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+	const sheet = spreadsheet.getSheetByName(SYNC_LOG_SHEET_NAME);
+	const lastRow = sheet ? sheet.getLastRow() : 0;
+	if (lastRow < DATA_START_ROW) return [];
+
+	return sheet
+		.getRange(
+			DATA_START_ROW,
+			1,
+			lastRow - DATA_START_ROW + 1,
+			SYNC_LOG_HEADERS.length
+		)
+		.getValues()
+		.map((row) => ({
+			time: row[0],
+			runId: row[1],
+			trigger: row[2],
+			target: row[3],
+			operation: row[4],
+			matchId: String(row[5]),
+			hubdbRowId: String(row[6]),
+			sheetRow: row[7],
+			changes: row[8],
+			httpStatus: row[9],
+			response: row[10],
+		}));
+}
+
+/**
+ * Format changed fields as one "field: old → new" line each, with values
+ * as JSON and an unknown old value as "?"
+ */
+function formatLoggedChanges(changes) {
+	return changes
+		.map((change) => {
+			const oldValue =
+				change.oldValue === undefined
+					? SYNC_LOG_UNKNOWN_VALUE
+					: JSON.stringify(change.oldValue);
+			return `${change.field}: ${oldValue} → ${JSON.stringify(change.newValue)}`;
+		})
+		.join("\n");
+}
+
+/**
+ * Parse the new values out of a logged Changes cell
+ */
+function parseLoggedValues(changesText) {
+	const values = {};
+	String(changesText)
+		.split("\n")
+		.forEach((line) => {
+			const match = line.match(SYNC_LOG_CHANGE_PATTERN);
+			if (!match) return;
+			try {
+				values[match[1]] = JSON.parse(match[3]);
+			} catch (error) {
+				// Not written by formatLoggedChanges
+			}
+		});
+	return values;
+}
+
+/**
+ * The last logged value of every field, per match ID and per hs_id
+ * Pass valuesById to add newer log rows to values read before
+ */
+function getLoggedValues(logRows, valuesById = {}) {
+	logRows.forEach((logRow) => {
+		const values = parseLoggedValues(logRow.changes);
+		[logRow.matchId, logRow.hubdbRowId]
+			.filter((id) => id)
+			.forEach((id) => {
+				valuesById[id] = { ...valuesById[id], ...values };
+			});
+	});
+	return valuesById;
+}
+
+/**
+ * The last logged values of the run in progress (see getLoggedValues)
+ * The log is only read the first time a run needs them; requests made
+ * outside a run read it every time
+ */
+function getRunLoggedValues() {
+	const runId = currentRunStats?.runId;
+	if (!runId) return getLoggedValues(readSyncLog());
+
+	if (loggedValuesCache?.runId !== runId) {
+		loggedValuesCache = {
+			runId: runId,
+			valuesById: getLoggedValues(readSyncLog()),
+		};
+	}
+	return loggedValuesCache.valuesById;
+}
+
+/**
+ * List the matches a payload touches as { operation, matchId, hubdbRowId,
+ * sheetRow, changes }; old values of NEW and UPDATED changes are filled in
+ * from the log by logSyncRequest
+ */
+function describePayload(target, payload, responseData) {
+	const syncFields = getTargetSyncFields(target);
+	const allFields = (data) =>
+		syncFields
+			.filter((field) => data[field] !== undefined)
+			.map((field) => ({ field: field, newValue: data[field] }));
+
+	if (payload.gameData) {
+		return payload.gameData.map((item) => {
+			let changes = [];
+			if (item.operation === "UPDATED") {
+				changes = item.changedFields.map((change) => ({
+					field: change.field,
+					newValue: change.newValue,
+				}));
+			} else if (item.operation === "NEW") {
+				changes = allFields(item.data);
+			}
+
+			return {
+				operation: item.operation,
+				matchId: item.data?.matchId || "",
+				hubdbRowId: item.data?.hubdbRowId || item.oldData?.hubdbRowId || "",
+				sheetRow: item.metadata.sheetRow || "",
+				changes: changes,
+			};
+		});
+	}
+
+	if (payload.operation === "CREATE_HUBDB_ROW") {
+		return [
+			{
+				operation: payload.operation,
+				matchId: payload.metadata.matchId || "",
+				hubdbRowId: responseData?.hubdbRowId || "",
+				sheetRow: payload.metadata.sheetRow,
+				changes: allFields(payload.data).map((change) => ({
+					...change,
+					oldValue: "",
+				})),
+			},
+		];
+	}
+
+	if (payload.operation === "BATCH_CREATE_HUBDB_ROWS") {
+		return payload.rows.map((row) => {
+			const result = findBatchResult(responseData, row.uniqueId, null);
+			return {
+				operation: payload.operation,
+				uniqueId: row.uniqueId,
+				matchId: row.matchId || "",
+				hubdbRowId: result?.hubdbRowId || "",
+				sheetRow: row.sheetRow,
+				changes: allFields(row.data).map((change) => ({
+					...change,
+					oldValue: "",
+				})),
+			};
+		});
+	}
+
+	const hubdbRowIds =
+		payload.hubdbRowIds || (payload.hubdbRowId ? [payload.hubdbRowId] : [""]);
+	return hubdbRowIds.map((hubdbRowId) => ({
+		operation: payload.operation,
+		matchId: "",
+		hubdbRowId: hubdbRowId,
+		sheetRow: payload.sheetRow || "",
+		changes:
+			payload.operation === "SET_PENDING_DELETE"
+				? [{ field: "pendingDelete", newValue: payload.pendingDelete }]
+				: [],
+	}));
+}
+
+/**
+ * The entry of a batch reply for one row: batch creations answer by
+ * uniqueId, batch deletions by hubdbId
+ */
+function findBatchResult(responseData, uniqueId, hubdbRowId) {
+	if (!Array.isArray(responseData?.results)) return null;
+	if (uniqueId) {
+		return (
+			responseData.results.find((result) => result.uniqueId === uniqueId) ||
+			null
+		);
+	}
+	if (!hubdbRowId) return null;
+	return (
+		responseData.results.find(
+			(result) => String(result.hubdbId) === String(hubdbRowId)
+		) || null
+	);
+}
+
+/**
+ * Summarise the endpoint's reply for one logged match: its own entry of a
+ * batch reply when there is one, otherwise the start of the reply
+ */
+function summariseResponse(responseText, responseData, entry) {
+	const result = findBatchResult(
+		responseData,
+		entry.uniqueId,
+		entry.hubdbRowId
+	);
+	const summary = result ? JSON.stringify(result) : responseText;
+	return summary.length > SYNC_LOG_RESPONSE_LENGTH
+		? `${summary.slice(0, SYNC_LOG_RESPONSE_LENGTH)}…`
+		: summary;
+}
+
+/**
+ * Append one log row per match a request touched (see SYNC LOG)
+ * Pass the response, or the error when the request threw. Requests made
+ * outside a sync run, such as reconcile repairs, are logged as manual
+ * Never throws; a log that cannot be written must not stop the sync
+ */
+function logSyncRequest(target, payload, response, error) {
+	try {
+		if (UNLOGGED_OPERATIONS.includes(payload.operation)) return;
+
+		const httpStatus = response ? response.getResponseCode() : "";
+		const responseText = response
+			? response.getContentText()
+			: `Exception: ${error.message}`;
+		let responseData = null;
+		try {
+			responseData = JSON.parse(responseText);
+		} catch (parseError) {
+			// Not JSON; the text is logged as it is
+		}
+
+		const entries = describePayload(target, payload, responseData);
+		const sheet = getSyncLogSheet();
+		const needsOldValues = entries.some(
+			(entry) => entry.operation === "UPDATED" || entry.operation === "NEW"
+		);
+		const loggedValues = needsOldValues ? getRunLoggedValues() : {};
+
+		const time = formatMatchTime(Date.now());
+		const rows = entries.map((entry) => {
+			const previous =
+				loggedValues[entry.matchId] || loggedValues[entry.hubdbRowId] || {};
+			const changes = entry.changes.map((change) => ({
+				oldValue: previous[change.field],
+				...change,
+			}));
+			return [
+				time,
+				currentRunStats?.runId || "",
+				currentRunStats?.trigger || "manual",
+				target.name,
+				entry.operation,
+				entry.matchId,
+				String(entry.hubdbRowId),
+				entry.sheetRow,
+				formatLoggedChanges(changes),
+				httpStatus,
+				summariseResponse(responseText, responseData, entry),
+			];
+		});
+
+		const firstRow = Math.max(sheet.getLastRow() + 1, DATA_START_ROW);
+		sheet
+			.getRange(firstRow, 1, rows.length, SYNC_LOG_HEADERS.length)
+			.setValues(rows);
+
+		const excess = firstRow + rows.length - DATA_START_ROW - MAX_SYNC_LOG_ROWS;
+		if (excess > 0) sheet.deleteRows(DATA_START_ROW, excess);
+
+		// Keep the run's cached values up to date with the rows just written
+		const runId = currentRunStats?.runId;
+		if (runId && loggedValuesCache?.runId === runId) {
+			const logRows = rows.map((row) => ({
+				matchId: row[5],
+				hubdbRowId: row[6],
+				changes: row[8],
+			}));
+			getLoggedValues(logRows, loggedValuesCache.valuesById);
+		}
+	} catch (logError) {
+		console.error("Could not write the sync log:", logError);
+	}
+}
+
+/**
+ * Every logged request for a match, oldest first
+ * id is a match ID or an hs_id; entries logged under the other one (such as
+ * deletions, which only know the hs_id) are included
+ */
+function getMatchHistory(id) {
+	const logRows = readSyncLog();
+	const ids = new Set([String(id)]);
+	logRows.forEach((logRow) => {
+		if (ids.has(logRow.matchId) && logRow.hubdbRowId) {
+			ids.add(logRow.hubdbRowId);
+		}
+	});
+	return logRows.filter(
+		(logRow) => ids.has(logRow.matchId) || ids.has(logRow.hubdbRowId)
+	);
+}
+
+// RETRIES - Transient failures (429, 5xx, timeouts and other fetch errors)
+// are retried with exponential backoff inside the run. Operations that still
+// fail are kept in a per-target retry queue that the next full sync (the
+// time-based trigger) sends again, whether or not the row changed since:
+// { "<operation>:<id>": { attempts, since, runId } }, where CREATE is keyed
+// by match ID (sheet row on sheets without one) and UPDATE / DELETE by HubDB
+// row ID.
+const RETRY_MAX_ATTEMPTS = 4; // Requests per call, including the first
+const RETRY_BASE_DELAY_MS = 1000; // Doubled after every failed attempt
+const RETRY_MAX_DELAY_MS = 30 * 1000;
+const MAX_QUEUED_RETRIES = 12; // Failed runs before an operation is dropped
+const MAX_RETRY_QUEUE_SIZE = 80; // Operations queued at once; the oldest are dropped
+
+/**
+ * Whether an HTTP status is worth retrying
+ */
+function isRetryableStatus(responseCode) {
+	return responseCode === 429 || responseCode >= 500;
+}
+
+/**
+ * Fetch a URL, retrying transient failures with exponential backoff
+ * buildOptions is called for every attempt, so each one is signed with a new
+ * nonce (see REQUEST SIGNING)
+ * Returns the last response (non-2xx included) or rethrows the last error.
+ * Once a request has used up its retries, later requests in the same run
+ * make a single attempt so an outage does not hit the execution time limit
+ */
+function fetchWithRetry(url, buildOptions) {
+	const maxAttempts = currentRunStats?.endpointUnavailable
+		? 1
+		: RETRY_MAX_ATTEMPTS;
+
+	for (let attempt = 1; ; attempt++) {
+		let response = null;
+		let fetchError = null;
+		const options = buildOptions();
+
+		try {
+			response = UrlFetchApp.fetch(url, options);
+		} catch (error) {
+			fetchError = error;
+		}
+
+		if (response && !isRetryableStatus(response.getResponseCode())) {
+			return response;
+		}
+
+		if (attempt >= maxAttempts) {
+			if (currentRunStats) currentRunStats.endpointUnavailable = true;
+			if (fetchError) throw fetchError;
+			return response;
+		}
+
+		const delay = getRetryDelay(response, attempt);
+		const reason = fetchError
+			? fetchError.message
+			: `HTTP ${response.getResponseCode()}`;
+		console.warn(
+			`Request failed (${reason}), retrying in ${delay}ms (attempt ${attempt} of ${maxAttempts})`
+		);
+		Utilities.sleep(delay);
+	}
+}
+
+/**
+ * Delay before the next attempt: the server's Retry-After header (seconds)
+ * when it sends one, otherwise the base delay doubled per attempt
+ */
+function getRetryDelay(response, attempt) {
+	const headers = response?.getHeaders ? response.getHeaders() : {};
+	const retryAfter = Number(headers["Retry-After"] || headers["retry-after"]);
+	const delay =
+		retryAfter > 0
+			? retryAfter * 1000
+			: RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+
+	return Math.min(delay, RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Script Property holding a target's retry queue
+ */
+function getRetryQueueKey(target) {
+	return `RETRY_QUEUE_${target.storageKey}`;
+}
+
+/**
+ * Get a target's queued retries
+ */
+function getRetryQueue(target) {
+	const queueText = PropertiesService.getScriptProperties().getProperty(
+		getRetryQueueKey(target)
+	);
+	return queueText ? JSON.parse(queueText) : {};
+}
+
+/**
+ * Save a target's queued retries, keeping the most recent ones if the queue
+ * outgrows MAX_RETRY_QUEUE_SIZE
+ */
+function saveRetryQueue(target, queue) {
+	const properties = PropertiesService.getScriptProperties();
+	const keys = Object.keys(queue);
+
+	if (keys.length === 0) {
+		properties.deleteProperty(getRetryQueueKey(target));
+		return;
+	}
+
+	if (keys.length > MAX_RETRY_QUEUE_SIZE) {
+		keys
+			.sort((a, b) => queue[a].since - queue[b].since)
+			.slice(0, keys.length - MAX_RETRY_QUEUE_SIZE)
+			.forEach((key) => delete queue[key]);
+		raiseSyncAlert(
+			target,
+			`More than ${MAX_RETRY_QUEUE_SIZE} operations failed and the oldest were dropped from the retry queue. Check the rows marked "error" or run Force resync all.`
+		);
+	}
+
+	properties.setProperty(getRetryQueueKey(target), JSON.stringify(queue));
+}
+
+/**
+ * Queue operations that still failed after the in-run retries
+ * retries: [{ operation: "CREATE" | "UPDATE" | "DELETE", id }]
+ */
+function queueRetries(sheet, retries) {
+	const target = getTargetForSheet(sheet);
+	if (!target) return;
+
+	const queue = getRetryQueue(target);
+	retries.forEach(({ operation, id }) => {
+		if (!id) return;
+
+		const key = `${operation}:${id}`;
+		const entry = queue[key] || { attempts: 0, since: Date.now() };
+
+		// A run can fail the same operation twice (the retry pass and the
+		// creation of rows without an hs_id); count it once per run
+		const runId = currentRunStats?.runId;
+		if (!runId || entry.runId !== runId) entry.attempts++;
+		entry.runId = runId;
+
+		if (entry.attempts > MAX_QUEUED_RETRIES) {
+			console.warn(`Giving up on ${key} after ${MAX_QUEUED_RETRIES} runs`);
+			delete queue[key];
+		} else {
+			queue[key] = entry;
+		}
+	});
+
+	saveRetryQueue(target, queue);
+}
+
+/**
+ * Send every queued retry again from the current sheet contents
+ * Runs before change detection, so rows created here are stored and not
+ * sent twice. Operations that no longer apply (the row was restored,
+ * re-created or removed) are dropped; anything that fails again is
+ * re-queued by the normal failure handling and the rest are removed
+ * Callers must hold the script lock
+ */
+function processRetryQueue(target, sheet) {
+	const queue = getRetryQueue(target);
+	const keys = Object.keys(queue);
+	if (keys.length === 0) return;
+
+	console.log(`Retrying ${keys.length} queued operations for ${target.name}`);
+
+	getColumnMap(sheet, true);
+	const { allData, clearedRows } = getAllSheetData(sheet, sheet.getLastRow());
+	const syncFields = getSyncFields(sheet);
+	const creationKeys = [];
+	const rowsToDelete = [];
+	const changes = [];
+
+	keys.forEach((key) => {
+		const separator = key.indexOf(":");
+		const operation = key.slice(0, separator);
+		const id = key.slice(separator + 1);
+
+		const data = findByHubDBRowId(allData, id);
+
+		if (operation === "CREATE") {
+			// Queued by match ID, or by sheet row on sheets without one
+			creationKeys.push(allData[id] ? id : `temp_${id}`);
+		} else if (operation === "UPDATE" && data && !data.validationError) {
+			changes.push({
+				type: "UPDATED",
+				uniqueId: id,
+				row: data.sheetRow,
+				newData: data,
+				oldData: { hubdbRowId: id, sheetRow: data.sheetRow },
+				changedFields: syncFields
+					.filter((field) => field in data)
+					.map((field) => ({ field: field, newValue: data[field] })),
+			});
+		} else if (operation === "DELETE" && !data) {
+			const clearedRow = clearedRows.find(
+				(row) => String(row.hubdbRowId) === id
+			);
+			if (clearedRow) {
+				rowsToDelete.push(clearedRow);
+			} else {
+				// The row is gone from the sheet, so there is no status to update
+				changes.push({
+					type: "DELETED",
+					uniqueId: id,
+					oldData: { hubdbRowId: id },
+					changedFields: ["DELETED"],
+				});
+			}
+		}
+	});
+
+	if (rowsToDelete.length > 0) {
+		handleClearedRows(rowsToDelete, sheet);
+	}
+
+	const rowsNeedingCreation = findRowsNeedingHubDBCreation(
+		filterDataByKeys(allData, creationKeys),
+		sheet,
+		null
+	);
+	if (rowsNeedingCreation.length > 0) {
+		createHubDBRows(rowsNeedingCreation, sheet);
+
+		const createdRows = rowsNeedingCreation.map((row) => row.sheetRow);
+		const { allData: updatedData } = getAllSheetData(
+			sheet,
+			Math.max(...createdRows),
+			Math.min(...createdRows)
+		);
+		storeData(filterDataByRows(updatedData, createdRows), target, createdRows);
+	}
+
+	if (changes.length > 0) {
+		processIndividualOperations(changes, sheet);
+	}
+
+	// Entries whose attempt count did not change were sent or no longer apply
+	const remaining = getRetryQueue(target);
+	keys.forEach((key) => {
+		if (remaining[key]?.attempts === queue[key].attempts) {
+			delete remaining[key];
+		}
+	});
+	saveRetryQueue(target, remaining);
+}
+
+// SOFT DELETE - A row whose match data is cleared while its hs_id remains is
+// not deleted straight away. It is marked "pending delete" in HubDB, so the
+// website can hide it, and keeps its snapshot. It is deleted once it has stayed
+// cleared for DELETE_GRACE_HOURS or when the deletion is confirmed from the
+// menu, and Undo clear writes it back from HubDB until then. Pending rows are
+// stored per target in PENDING_DELETE_<storageKey> as
+// { hubdbRowId: { sheetRow, markedAt } }.
+const DELETE_GRACE_HOURS = 24;
+const MAX_PENDING_DELETES = 150; // Rows waiting at once; more are marked "error"
+
+/**
+ * Script Property holding a target's rows waiting to be deleted
+ */
+function getPendingDeletesKey(target) {
+	return `PENDING_DELETE_${target.storageKey}`;
+}
+
+/**
+ * Get a target's rows waiting to be deleted
+ */
+function getPendingDeletes(target) {
+	const pendingText = PropertiesService.getScriptProperties().getProperty(
+		getPendingDeletesKey(target)
+	);
+	return pendingText ? JSON.parse(pendingText) : {};
+}
+
+/**
+ * Save a target's rows waiting to be deleted
+ */
+function savePendingDeletes(target, pending) {
+	const properties = PropertiesService.getScriptProperties();
+
+	if (Object.keys(pending).length === 0) {
+		properties.deleteProperty(getPendingDeletesKey(target));
+	} else {
+		properties.setProperty(
+			getPendingDeletesKey(target),
+			JSON.stringify(pending)
+		);
+	}
+}
+
+/**
+ * Build the SET_PENDING_DELETE payload that hides (or shows again) rows on
+ * the website without deleting them
+ */
+function buildPendingDeletePayload(hubdbRowIds, pendingDelete) {
+	return {
+		operation: "SET_PENDING_DELETE",
+		hubdbRowIds: hubdbRowIds,
+		pendingDelete: pendingDelete,
+		metadata: {
+			timestamp: new Date().toISOString(),
+			source: "google_sheets_sync",
+		},
+	};
+}
+
+/**
+ * Send SET_PENDING_DELETE for the given rows
+ * Returns null on success, otherwise the error message
+ */
+function sendPendingDelete(sheet, hubdbRowIds, pendingDelete) {
+	try {
+		const response = postToHubSpot(
+			sheet,
+			buildPendingDeletePayload(hubdbRowIds, pendingDelete)
+		);
+		const responseCode = response.getResponseCode();
+		const responseText = response.getContentText();
+
+		if (responseCode < 200 || responseCode >= 300) {
+			return `HTTP ${responseCode}: ${responseText}`;
+		}
+
+		const responseData = JSON.parse(responseText);
+		return responseData.success
+			? null
+			: responseData.message || "Unknown error";
+	} catch (error) {
+		console.error("Error sending SET_PENDING_DELETE:", error);
+		return `Exception: ${error.message}`;
+	}
+}
+
+/**
+ * Split a plan's cleared rows into rows to mark pending delete and rows
+ * whose grace period is over (or all pending rows, with deleteNow)
+ */
+function splitClearedRows(clearedRows, pending, deleteNow) {
+	const graceMs = DELETE_GRACE_HOURS * 60 * 60 * 1000;
+	const now = Date.now();
+
+	return {
+		toMark: clearedRows.filter((row) => !pending[row.hubdbRowId]),
+		toDelete: clearedRows.filter(
+			(row) =>
+				pending[row.hubdbRowId] &&
+				(deleteNow || now - pending[row.hubdbRowId].markedAt >= graceMs)
+		),
+	};
+}
+
+/**
+ * Run the grace period for a target's cleared rows: mark new ones pending
+ * delete, delete the ones whose time is up and show restored ones again
+ * options.rows limits the run to those rows; options.deleteNow deletes every
+ * pending row that is still cleared and options.holdDeletes deletes none
+ * Returns the number of rows deleted from HubDB
+ */
+function handlePendingDeletes(target, sheet, clearedRows, allData, options) {
+	const pending = getPendingDeletes(target);
+
+	// Rows with match data again were restored, by Undo clear or by hand
+	const restored = Object.values(allData).filter(
+		(data) => data.hubdbRowId && pending[data.hubdbRowId]
+	);
+	if (restored.length > 0) {
+		const error = sendPendingDelete(
+			sheet,
+			restored.map((data) => String(data.hubdbRowId)),
+			false
+		);
+		restored.forEach((data) => {
+			if (error) {
+				updateRowWithError(sheet, data.sheetRow, `Could not restore: ${error}`);
+			} else {
+				delete pending[data.hubdbRowId];
+				updateRowWithStatus(sheet, data.sheetRow, "sync success", "Restored");
+			}
+		});
+	}
+
+	// A full sync forgets rows that lost their hs_id or were removed; the
+	// normal change detection deletes those
+	if (!options.rows) {
+		const clearedIds = clearedRows.map((row) => String(row.hubdbRowId));
+		Object.keys(pending)
+			.filter((id) => !clearedIds.includes(id))
+			.forEach((id) => delete pending[id]);
+	}
+
+	const { toMark, toDelete: dueRows } = splitClearedRows(
+		clearedRows,
+		pending,
+		options.deleteNow
+	);
+
+	// Held by the delete safeguard (see checkDeleteLimits)
+	const toDelete = options.holdDeletes ? [] : dueRows;
+	if (options.holdDeletes) {
+		dueRows.forEach((row) => {
+			updateRowWithStatus(
+				sheet,
+				row.sheetRow,
+				"pending delete",
+				"Deletion held: too many rows would be deleted at once"
+			);
+		});
+	}
+
+	if (toMark.length > 0) {
+		const room = MAX_PENDING_DELETES - Object.keys(pending).length;
+		const marking = toMark.slice(0, Math.max(room, 0));
+		toMark.slice(marking.length).forEach((row) => {
+			updateRowWithError(
+				sheet,
+				row.sheetRow,
+				`More than ${MAX_PENDING_DELETES} rows are waiting to be deleted. Confirm or undo them first`
+			);
+		});
+
+		const error =
+			marking.length > 0 &&
+			sendPendingDelete(
+				sheet,
+				marking.map((row) => String(row.hubdbRowId)),
+				true
+			);
+		const markedAt = Date.now();
+		const deleteAfter = formatMatchTime(
+			markedAt + DELETE_GRACE_HOURS * 60 * 60 * 1000
+		)
+			.slice(0, 16)
+			.replace("T", " ");
+
+		marking.forEach((row) => {
+			if (error) {
+				updateRowWithError(
+					sheet,
+					row.sheetRow,
+					`Could not mark for deletion: ${error}`
+				);
+			} else {
+				pending[row.hubdbRowId] = {
+					sheetRow: row.sheetRow,
+					markedAt: markedAt,
+				};
+				updateRowWithStatus(
+					sheet,
+					row.sheetRow,
+					"pending delete",
+					`Cleared: deleted from HubDB after ${deleteAfter} unless restored with Undo clear`
+				);
+			}
+		});
+	}
+
+	if (toDelete.length > 0) {
+		console.log(`Deleting ${toDelete.length} cleared rows from HubDB`);
+		handleClearedRows(toDelete, sheet);
+
+		// A successful deletion clears the hs_id cell
+		flushWriteBuffer();
+		const columns = getColumnMap(sheet);
+		toDelete.forEach((row) => {
+			if (!sheet.getRange(row.sheetRow, columns.hubdbRowId).getValue()) {
+				delete pending[row.hubdbRowId];
+			}
+		});
+	}
+
+	savePendingDeletes(target, pending);
+	return toDelete.length;
+}
+
+/**
+ * Write the selected cleared rows that are waiting to be deleted back from
+ * HubDB, including their hs_id
+ * Returns the restored sheet rows; callers must hold the script lock
+ */
+function restoreClearedRows(target, rows) {
+	const pending = getPendingDeletes(target);
+	const hubdbRowIds = Object.keys(pending).filter((id) =>
+		rows.includes(pending[id].sheetRow)
+	);
+	if (hubdbRowIds.length === 0) return [];
+
+	const sheet = getTargetSheet(target);
+	const columns = getColumnMap(sheet, true);
+	const { allData } = getAllSheetData(
+		sheet,
+		Math.max(...rows),
+		Math.min(...rows)
+	);
+	const filledRows = Object.values(allData).map((data) => data.sheetRow);
+	const fields = getTargetSchema(target)
+		.filter((column) => column.sync && columns[column.field])
+		.map((column) => column.field);
+	const hubdbRows = listHubDBRows(sheet);
+	const restored = [];
+
+	hubdbRowIds.forEach((hubdbRowId) => {
+		const sheetRow = pending[hubdbRowId].sheetRow;
+		// The row has been filled in again since it was cleared
+		if (filledRows.includes(sheetRow)) return;
+
+		const values = hubdbRows[hubdbRowId];
+		if (!values) {
+			updateRowWithStatus(
+				sheet,
+				sheetRow,
+				"error",
+				"Cannot undo: the row is no longer in HubDB"
+			);
+			return;
+		}
+
+		sheet.getRange(sheetRow, columns.hubdbRowId).setValue(hubdbRowId);
+		fields.forEach((field) => {
+			sheet.getRange(sheetRow, columns[field]).setValue(values[field] ?? "");
+		});
+		restored.push(sheetRow);
+	});
+
+	return restored;
+}
+
+/**
+ * Delete every cleared row that is waiting for its grace period, for the
+ * named target or every target
+ */
+function deletePendingRows(targetName) {
+	const targets =
+		typeof targetName === "string" ? [getSyncTarget(targetName)] : SYNC_TARGETS;
+
+	return targets.every((target) =>
+		syncTarget(target, { deleteNow: true, trigger: "delete cleared rows" })
+	);
+}
+
+// DELETE SAFEGUARD - A run that would delete more rows than the target's
+// limits sends no deletions at all. Removed rows and cleared rows due for
+// deletion are held in DELETE_HOLD_<storageKey> and stay in the snapshot, an
+// alert is raised, and every other change is synced as usual. The deletions go
+// ahead once an admin approves them from the menu, or types APPROVE into the
+// approval cell of the target's sheet.
+//   maxCount: deletions allowed in one run
+//   maxPercent: deletions allowed as a percentage of the published rows
+//   approvalCell: cell in the title rows read as the approval
+const DELETE_LIMITS = { maxCount: 10, maxPercent: 25, approvalCell: "B2" };
+const DELETE_APPROVAL_TEXT = "APPROVE";
+
+/**
+ * The target's deletion limits, DELETE_LIMITS unless overridden
+ */
+function getDeleteLimits(target) {
+	return { ...DELETE_LIMITS, ...(target.deleteLimits || {}) };
+}
+
+/**
+ * Script Property holding a target's held deletions
+ */
+function getDeleteHoldKey(target) {
+	return `DELETE_HOLD_${target.storageKey}`;
+}
+
+/**
+ * Get a target's held deletions: { hubdbRowIds, reason, heldAt }, or null
+ */
+function getDeleteHold(target) {
+	const holdText = PropertiesService.getScriptProperties().getProperty(
+		getDeleteHoldKey(target)
+	);
+	return holdText ? JSON.parse(holdText) : null;
+}
+
+/**
+ * Check a run's deletions against the target's limits
+ * A single deletion is never held. Approval comes from options.approveDeletes
+ * or from the approval cell, which only covers the deletions already held
+ * Returns { hubdbRowIds, reason, approved, held }
+ */
+function checkDeleteLimits(
+	target,
+	sheet,
+	hubdbRowIds,
+	publishedCount,
+	options
+) {
+	const limits = getDeleteLimits(target);
+	const count = hubdbRowIds.length;
+	const percent = publishedCount > 0 ? (count / publishedCount) * 100 : 100;
+	const reason =
+		count > 1 && (count > limits.maxCount || percent > limits.maxPercent)
+			? `${count} deletions (${Math.round(percent)}% of ${publishedCount} rows) exceed the limit of ${limits.maxCount} rows or ${limits.maxPercent}%`
+			: null;
+
+	let approved = Boolean(options.approveDeletes);
+	if (reason && !approved) {
+		const hold = getDeleteHold(target);
+		approved =
+			Boolean(hold) &&
+			isApprovalText(sheet.getRange(limits.approvalCell).getValue()) &&
+			hubdbRowIds.every((id) => hold.hubdbRowIds.includes(id));
+	}
+
+	return {
+		hubdbRowIds: hubdbRowIds,
+		reason: reason,
+		approved: Boolean(reason) && approved,
+		held: Boolean(reason) && !approved,
+	};
+}
+
+/**
+ * Record the outcome of checkDeleteLimits: save the hold and raise an alert,
+ * or forget a hold that was approved or no longer applies
+ */
+function applyDeleteCheck(target, sheet, deleteCheck) {
+	const properties = PropertiesService.getScriptProperties();
+	const limits = getDeleteLimits(target);
+
+	if (deleteCheck.held) {
+		properties.setProperty(
+			getDeleteHoldKey(target),
+			JSON.stringify({
+				hubdbRowIds: deleteCheck.hubdbRowIds,
+				reason: deleteCheck.reason,
+				heldAt: new Date().toISOString(),
+			})
+		);
+		raiseSyncAlert(
+			target,
+			`Deletions held: ${deleteCheck.reason}. Nothing was deleted. Check the sheet (sorting, filters or removed rows), then use "Approve held deletions" or type ${DELETE_APPROVAL_TEXT} in ${limits.approvalCell}.`
+		);
+		return;
+	}
+
+	if (!getDeleteHold(target)) return;
+
+	properties.deleteProperty(getDeleteHoldKey(target));
+	if (deleteCheck.approved) {
+		console.log(`Held deletions approved for ${target.name}`);
+		clearSyncAlert(target);
+	}
+
+	// The approval cell sits in the title rows; leave anything else typed there
+	const approvalRange = sheet.getRange(limits.approvalCell);
+	if (isApprovalText(approvalRange.getValue())) approvalRange.setValue("");
+}
+
+/**
+ * Whether a cell value is the approval text, whatever its case and spacing
+ */
+function isApprovalText(value) {
+	return String(value).trim().toUpperCase() === DELETE_APPROVAL_TEXT;
+}
+
+/**
+ * Sync the named target, or every target holding deletions, with its
+ * deletions approved
+ */
+function approveHeldDeletes(targetName) {
+	const targets =
+		typeof targetName === "string"
+			? [getSyncTarget(targetName)]
+			: SYNC_TARGETS.filter((target) => getDeleteHold(target));
+
+	return targets.every((target) =>
+		syncTarget(target, {
+			approveDeletes: true,
+			trigger: "approve deletions",
+		})
+	);
+}
+
+// SNAPSHOT STORAGE - The previous data state of each target is stored as
+// per-row content hashes, split across several Script Properties because a
+// single property value is limited to 9KB. The property named by the target's
+// storageKey holds a manifest: { version, shards, checksum, savedAt }.
+const SNAPSHOT_VERSION = 2;
+const SNAPSHOT_SHARD_SIZE = 8000; // Characters per shard, below the 9KB limit
+const SNAPSHOT_HASH_LENGTH = 12;
+
+/**
+ * Short, stable hash of any JSON-serialisable value
+ */
+function hashValue(value) {
+	const digest = Utilities.computeDigest(
+		Utilities.DigestAlgorithm.MD5,
+		JSON.stringify(value === undefined ? null : value),
+		Utilities.Charset.UTF_8
+	);
+	return Utilities.base64EncodeWebSafe(digest).slice(0, SNAPSHOT_HASH_LENGTH);
+}
+
+/**
+ * Build the snapshot entry for one record: a row hash plus per-field hashes
+ * Optional fields that are absent from the record get no field hash
+ */
+function buildSnapshotRow(data, syncFields) {
+	const fieldHashes = {};
+	syncFields.forEach((field) => {
+		if (field in data) {
+			fieldHashes[field] = hashValue(data[field]);
+		}
+	});
+
+	return {
+		hash: hashValue(syncFields.map((field) => fieldHashes[field] || "")),
+		fieldHashes: fieldHashes,
+		hubdbRowId: data.hubdbRowId || "",
+		sheetRow: data.sheetRow,
+	};
+}
+
+/**
+ * Get the Script Property key of one snapshot shard
+ */
+function getSnapshotShardKey(target, index) {
+	return `${target.storageKey}_SHARD_${index}`;
+}
+
+/**
+ * Record a problem that needs a person to look at it
+ * Alerts are kept per target until cleared so they can be shown later
+ */
+function raiseSyncAlert(target, message) {
+	console.error(`🚨 SYNC ALERT (${target.name}): ${message}`);
+
+	PropertiesService.getScriptProperties().setProperty(
+		`SYNC_ALERT_${target.storageKey}`,
+		JSON.stringify({ message: message, raisedAt: new Date().toISOString() })
+	);
+
+	try {
+		SpreadsheetApp.getActiveSpreadsheet().toast(
+			message,
+			`Sync alert: ${target.name}`,
+			-1
+		);
+	} catch (error) {
+		// No spreadsheet UI when running from a time-based trigger
+	}
+}
+
+/**
+ * Get the outstanding alert for a target, or null
+ */
+function getSyncAlert(target) {
+	const alert = PropertiesService.getScriptProperties().getProperty(
+		`SYNC_ALERT_${target.storageKey}`
+	);
+	return alert ? JSON.parse(alert) : null;
+}
+
+/**
+ * Clear the outstanding alert for a target
+ */
+function clearSyncAlert(target) {
+	PropertiesService.getScriptProperties().deleteProperty(
+		`SYNC_ALERT_${target.storageKey}`
+	);
+}
+
+/**
+ * Convert a version 1 snapshot (full records keyed by uniqueId) to hashes
+ */
+function migrateLegacySnapshot(legacyData, target) {
+	const syncFields = getTargetSyncFields(target);
+	const rows = {};
+
+	Object.keys(legacyData).forEach((uniqueId) => {
+		// Version 1 kept the raw cell value, which is now compared normalised
+		const data = { ...legacyData[uniqueId] };
+		normaliseRowTime(data);
+		rows[uniqueId] = buildSnapshotRow(data, syncFields);
+	});
+
+	console.log(
+		`Migrated ${Object.keys(rows).length} rows from the version 1 snapshot of ${target.name}`
+	);
+	return rows;
+}
+
+/**
+ * Get a target's stored data (previous state) from Script Properties
+ * Returns {} only when nothing has been stored yet; a snapshot that cannot be
+ * read raises an alert and throws so the sync stops instead of re-sending
+ * every row as NEW
+ */
+function getStoredData(target) {
+	const properties = PropertiesService.getScriptProperties();
+	const manifestText = properties.getProperty(target.storageKey);
+
+	if (!manifestText) return {};
+
+	try {
+		const manifest = JSON.parse(manifestText);
+
+		if (manifest.version === undefined) {
+			return migrateLegacySnapshot(manifest, target);
+		}
+
+		if (manifest.version !== SNAPSHOT_VERSION) {
+			throw new Error(`unsupported snapshot version ${manifest.version}`);
+		}
+
+		let json = "";
+		for (let index = 0; index < manifest.shards; index++) {
+			const shard = properties.getProperty(getSnapshotShardKey(target, index));
+			if (shard === null) {
+				throw new Error(`shard ${index} of ${manifest.shards} is missing`);
+			}
+			json += shard;
+		}
+
+		if (hashValue(json) !== manifest.checksum) {
+			throw new Error("checksum does not match the stored shards");
+		}
+
+		const snapshot = JSON.parse(json);
+		const rows = {};
+		Object.keys(snapshot.rows).forEach((uniqueId) => {
+			const [hash, hubdbRowId, sheetRow, fieldHashes] = snapshot.rows[uniqueId];
+			const fields = {};
+			snapshot.fields.forEach((field, index) => {
+				if (fieldHashes[index]) fields[field] = fieldHashes[index];
+			});
+			rows[uniqueId] = {
+				hash: hash,
+				fieldHashes: fields,
+				hubdbRowId: hubdbRowId,
+				sheetRow: sheetRow,
+			};
+		});
+		return rows;
+	} catch (error) {
+		const message = `Stored snapshot "${target.storageKey}" is unreadable (${error.message}). Sync is paused for this target; check HubDB and run rebuildSnapshot("${target.name}") to continue.`;
+		raiseSyncAlert(target, message);
+		throw new Error(message);
+	}
+}
+
+/**
+ * Store a target's current data state as sharded per-row hashes
+ * With onlyRows, only records on those sheet rows are replaced and the rest
+ * of the stored snapshot is kept as it was
+ */
+function storeData(data, target, onlyRows) {
+	const syncFields = getTargetSyncFields(target);
+	const pending = getPendingDeletes(target);
+	const heldIds = getDeleteHold(target)?.hubdbRowIds || [];
+	const current = onlyRows ? filterDataByRows(data, onlyRows) : data;
+	const rows = {};
+
+	// Partial syncs keep the rows they did not read, matched by key since
+	// stored sheet rows are stale once the sheet is sorted. Rows waiting to
+	// be deleted, or whose deletion is held, keep their snapshot, so
+	// restoring them is not a change and held ones are detected again
+	if (onlyRows || Object.keys(pending).length > 0 || heldIds.length > 0) {
+		const storedData = rekeyStoredData(getStoredData(target), current);
+		Object.keys(storedData).forEach((uniqueId) => {
+			const storedRow = storedData[uniqueId];
+			if (
+				(onlyRows && !current[uniqueId]) ||
+				pending[storedRow.hubdbRowId] ||
+				heldIds.includes(String(storedRow.hubdbRowId))
+			) {
+				rows[uniqueId] = storedRow;
+			}
+		});
+	}
+
+	Object.keys(current).forEach((uniqueId) => {
+		rows[uniqueId] = buildSnapshotRow(current[uniqueId], syncFields);
+	});
+
+	writeSnapshot(rows, target);
+}
+
+/**
+ * Clear a target's stored snapshot so every row is treated as NEW
+ */
+function clearSnapshot(target) {
+	writeSnapshot({}, target);
+	console.log(`Snapshot cleared for ${target.name}`);
+}
+
+/**
+ * Encode snapshot rows and write them as shards plus a manifest
+ */
+function writeSnapshot(snapshotRows, target) {
+	const properties = PropertiesService.getScriptProperties();
+	const syncFields = getTargetSyncFields(target);
+
+	const rows = {};
+	Object.keys(snapshotRows).forEach((uniqueId) => {
+		const row = snapshotRows[uniqueId];
+		rows[uniqueId] = [
+			row.hash,
+			row.hubdbRowId,
+			row.sheetRow,
+			syncFields.map((field) => row.fieldHashes[field] || ""),
+		];
+	});
+
+	const json = JSON.stringify({ fields: syncFields, rows: rows });
+	const shards = {};
+	let shardCount = 0;
+	for (let start = 0; start < json.length; start += SNAPSHOT_SHARD_SIZE) {
+		shards[getSnapshotShardKey(target, shardCount)] = json.slice(
+			start,
+			start + SNAPSHOT_SHARD_SIZE
+		);
+		shardCount++;
+	}
+
+	const previous = properties.getProperty(target.storageKey);
+	const previousShards = previous ? JSON.parse(previous).shards || 0 : 0;
+
+	// Shards and manifest are written in one call so a reader never sees a
+	// manifest that points at shards from a different save
+	shards[target.storageKey] = JSON.stringify({
+		version: SNAPSHOT_VERSION,
+		shards: shardCount,
+		checksum: hashValue(json),
+		savedAt: new Date().toISOString(),
+	});
+	properties.setProperties(shards);
+
+	// Shards left over from a previous, larger snapshot are only removed once
+	// the new manifest no longer points at them, so a failed write leaves the
+	// old snapshot whole
+	for (let index = shardCount; index < previousShards; index++) {
+		properties.deleteProperty(getSnapshotShardKey(target, index));
+	}
+
+	console.log(
+		`Data state stored for ${target.name} (${Object.keys(rows).length} rows, ${shardCount} shards)`
+	);
+}
+
+/**
+ * Replace a target's snapshot with the current sheet contents
+ * Use after a corrupted-snapshot alert once HubDB has been checked, so the
+ * next sync only sends rows edited from here on
+ */
+function rebuildSnapshot(targetName) {
+	const target = getSyncTarget(targetName);
+	const sheet = getTargetSheet(target);
+	getColumnMap(sheet, true);
+
+	const { allData } = getAllSheetData(sheet, sheet.getLastRow());
+	storeData(allData, target);
+	clearSyncAlert(target);
+
+	console.log(`Snapshot rebuilt for ${target.name}`);
+}
+
+// SYNC PREVIEW - Dry run that reports what a sync would send
+const PREVIEW_SHEET_NAME = "Sync preview";
+const PREVIEW_HEADERS = [
+	"Target",
+	"Operation",
+	"Sheet rows",
+	"HubDB IDs",
+	"Summary",
+	"Payload",
+];
+const MAX_CELL_LENGTH = 50000; // Google Sheets limit per cell
+
+/**
+ * Get a sheet by name, creating it at the end of the spreadsheet if missing
+ */
+function getOrCreateSheet(name) {
+	const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+	return (
+		spreadsheet.getSheetByName(name) ||
+		spreadsheet.insertSheet(name, spreadsheet.getSheets().length)
+	);
+}
+
+/**
+ * List the HTTP requests a sync would make for a plan, in the order
+ * syncTarget sends them
+ */
+function buildPreviewOperations(plan) {
+	const { rowsNeedingHubDBCreation, changesWithHubDBId } = plan;
+	const operations = [];
+
+	const pending = getPendingDeletes(plan.target);
+	const restored = Object.values(plan.allData).filter(
+		(data) => data.hubdbRowId && pending[data.hubdbRowId]
+	);
+	if (restored.length > 0) {
+		operations.push({
+			payload: buildPendingDeletePayload(
+				restored.map((data) => String(data.hubdbRowId)),
+				false
+			),
+			rows: restored.map((data) => data.sheetRow),
+			hubdbRowIds: restored.map((data) => data.hubdbRowId),
+			summary: `Show ${restored.length} restored row(s) again`,
+		});
+	}
+
+	const { toMark, toDelete: dueRows } = splitClearedRows(
+		plan.clearedRows,
+		pending
+	);
+	const held = plan.deleteCheck.held;
+	const clearedRows = held ? [] : dueRows;
+	if (toMark.length > 0) {
+		operations.push({
+			payload: buildPendingDeletePayload(
+				toMark.map((row) => String(row.hubdbRowId)),
+				true
+			),
+			rows: toMark.map((row) => row.sheetRow),
+			hubdbRowIds: toMark.map((row) => row.hubdbRowId),
+			summary: `Mark ${toMark.length} cleared row(s) pending delete`,
+		});
+	}
+
+	if (clearedRows.length > 1) {
+		operations.push({
+			payload: buildClearedRowsDeletePayload(clearedRows),
+			rows: clearedRows.map((row) => row.sheetRow),
+			hubdbRowIds: clearedRows.map((row) => row.hubdbRowId),
+			summary: `Delete ${clearedRows.length} cleared rows`,
+		});
+	} else if (clearedRows.length === 1) {
+		operations.push({
+			payload: buildClearedRowDeletePayload(clearedRows[0]),
+			rows: [clearedRows[0].sheetRow],
+			hubdbRowIds: [clearedRows[0].hubdbRowId],
+			summary: "Delete cleared row",
+		});
+	}
+
+	if (rowsNeedingHubDBCreation.length === 1) {
+		const [rowInfo] = rowsNeedingHubDBCreation;
+		operations.push({
+			payload: buildCreatePayload(rowInfo),
+			rows: [rowInfo.sheetRow],
+			hubdbRowIds: [],
+			summary: `Create ${rowInfo.data.player_1} vs ${rowInfo.data.player_2}`,
+		});
+	} else if (rowsNeedingHubDBCreation.length > 1) {
+		chunkRowsForCreation(plan.target, rowsNeedingHubDBCreation).forEach(
+			(chunk) => {
+				operations.push({
+					payload: buildBatchCreatePayload(chunk),
+					rows: chunk.map((rowInfo) => rowInfo.sheetRow),
+					hubdbRowIds: [],
+					summary: `Create ${chunk.length} rows`,
+				});
+			}
+		);
+	}
+
+	const deleteChanges = changesWithHubDBId.filter(
+		(change) => change.type === "DELETED" && !held
+	);
+	const otherChanges = changesWithHubDBId.filter(
+		(change) => change.type !== "DELETED"
+	);
+
+	if (deleteChanges.length > 1) {
+		operations.push({
+			payload: buildChangesDeletePayload(deleteChanges),
+			rows: deleteChanges.map((change) => change.oldData.sheetRow),
+			hubdbRowIds: deleteChanges.map((change) => change.oldData.hubdbRowId),
+			summary: `Delete ${deleteChanges.length} removed rows`,
+		});
+	} else {
+		otherChanges.push(...deleteChanges);
+	}
+
+	if (otherChanges.length > 0) {
+		operations.push({
+			payload: buildGameDataPayload(otherChanges),
+			rows: otherChanges.map(
+				(change) => change.row || change.oldData?.sheetRow
+			),
+			hubdbRowIds: otherChanges.map(
+				(change) => change.newData?.hubdbRowId || change.oldData?.hubdbRowId
+			),
+			summary: otherChanges
+				.map((change) =>
+					change.type === "UPDATED"
+						? `UPDATED ${change.changedFields.map((c) => c.field).join(", ")}`
+						: change.type
+				)
+				.join("; "),
+		});
+	}
+
+	return operations;
+}
+
+/**
+ * Dry run: write the operations and payloads a sync would send to the
+ * "Sync preview" sheet instead of calling HubSpot
+ * Previews the named target, or every target when called without a name
+ */
+function previewSync(targetName) {
+	const targets =
+		typeof targetName === "string" ? [getSyncTarget(targetName)] : SYNC_TARGETS;
+	const rows = [];
+
+	targets.forEach((target) => {
+		try {
+			const plan = planSync(target);
+			plan.blockedRows.forEach((row) => {
+				rows.push([
+					target.name,
+					"BLOCKED",
+					String(row.sheetRow),
+					"",
+					row.message,
+					"",
+				]);
+			});
+			if (plan.deleteCheck.held) {
+				rows.push([
+					target.name,
+					"HELD",
+					"",
+					plan.deleteCheck.hubdbRowIds.join(", "),
+					plan.deleteCheck.reason,
+					"",
+				]);
+			}
+
+			buildPreviewOperations(plan).forEach((operation) => {
+				const payloadText = JSON.stringify(operation.payload, null, 2);
+				rows.push([
+					target.name,
+					operation.payload.operation || "gameData",
+					operation.rows.join(", "),
+					operation.hubdbRowIds.filter((id) => id).join(", "),
+					operation.summary,
+					payloadText.length > MAX_CELL_LENGTH
+						? `${payloadText.slice(0, MAX_CELL_LENGTH - 20)}\n… (truncated)`
+						: payloadText,
+				]);
+			});
+		} catch (error) {
+			console.error(`Error previewing target "${target.name}":`, error);
+			rows.push([target.name, "ERROR", "", "", error.message, ""]);
+		}
+	});
+
+	const sheet = getOrCreateSheet(PREVIEW_SHEET_NAME);
+	sheet.clear();
+	sheet
+		.getRange(1, 1, 1, 2)
+		.setValues([["Sync preview generated", new Date().toISOString()]]);
+	sheet.getRange(3, 1, 1, PREVIEW_HEADERS.length).setValues([PREVIEW_HEADERS]);
+	if (rows.length > 0) {
+		sheet.getRange(4, 1, rows.length, PREVIEW_HEADERS.length).setValues(rows);
+	} else {
+		sheet.getRange(4, 1).setValue("No changes to send");
+	}
+	sheet.setFrozenRows(3);
+
+	console.log(`Sync preview written: ${rows.length} operations`);
+	return rows.length;
+}
+
+// RECONCILIATION - Compares a target's sheet with the live HubDB table, read
+// through the LIST_HUBDB_ROWS operation, and reports drift: rows only in
+// HubDB, sheet rows with a missing or stale hs_id, and values that differ.
+// With repair, HubDB is brought back in line with the sheet.
+const RECONCILE_SHEET_NAME = "Reconcile report";
+const RECONCILE_HEADERS = [
+	"Target",
+	"Issue",
+	"Sheet row",
+	"hs_id",
+	"Field",
+	"Sheet value",
+	"HubDB value",
+];
+const RECONCILE_ISSUES = {
+	ORPHAN: "Only in HubDB",
+	MISSING_ID: "Missing hs_id",
+	STALE_ID: "hs_id not in HubDB",
+	MISMATCH: "Value differs",
+};
+const MAX_LIST_PAGES = 50;
+
+/**
+ * Build the LIST_HUBDB_ROWS payload for one page of the HubDB table
+ */
+function buildListRowsPayload(after) {
+	return {
+		operation: "LIST_HUBDB_ROWS",
+		after: after || null,
+		metadata: {
+			timestamp: new Date().toISOString(),
+			source: "google_sheets_sync",
+			reason: "reconcile",
+		},
+	};
+}
+
+/**
+ * Build the BATCH_DELETE_HUBDB_ROWS payload for rows that are only in HubDB
+ */
+function buildOrphansDeletePayload(hubdbRowIds) {
+	return {
+		operation: "BATCH_DELETE_HUBDB_ROWS",
+		hubdbRowIds: hubdbRowIds,
+		metadata: {
+			timestamp: new Date().toISOString(),
+			source: "google_sheets_sync",
+			reason: "reconcile_orphans",
+			totalRows: hubdbRowIds.length,
+		},
+	};
+}
+
+/**
+ * Read every row of the HubDB table behind a target's endpoint
+ * The endpoint answers { success, rows: [{ hubdbRowId, data }], after },
+ * with after set while more pages remain
+ * Returns the row data keyed by HubDB row ID
+ */
+function listHubDBRows(sheet) {
+	const rows = {};
+	let after = null;
+
+	for (let page = 0; page < MAX_LIST_PAGES; page++) {
+		const response = postToHubSpot(sheet, buildListRowsPayload(after));
+		const responseCode = response.getResponseCode();
+		const responseText = response.getContentText();
+
+		if (responseCode < 200 || responseCode >= 300) {
+			throw new Error(
+				`LIST_HUBDB_ROWS failed: ${responseCode} - ${responseText}`
+			);
+		}
+
+		const responseData = JSON.parse(responseText);
+		if (!responseData.success) {
+			throw new Error(
+				`LIST_HUBDB_ROWS failed: ${responseData.message || "Unknown error"}`
+			);
+		}
+
+		(responseData.rows || []).forEach((row) => {
+			rows[String(row.hubdbRowId)] = row.data || {};
+		});
+
+		if (!responseData.after) return rows;
+		after = responseData.after;
+	}
+
+	throw new Error(`LIST_HUBDB_ROWS returned more than ${MAX_LIST_PAGES} pages`);
+}
+
+/**
+ * Normalise a sheet or HubDB value so both sides compare equal when they
+ * would be sent as the same JSON value
+ */
+function toComparableValue(value) {
+	if (value === null || value === undefined) return "";
+	if (value instanceof Date) return value.toISOString();
+	return String(value).trim();
+}
+
+/**
+ * Compare a target's sheet with its HubDB table
+ * Returns a list of { type, sheetRow, hubdbRowId, field, sheetValue,
+ * hubdbValue }, with type one of the RECONCILE_ISSUES keys
+ */
+function findDrift(sheet, hubdbRows) {
+	const { allData, clearedRows } = getAllSheetData(sheet, sheet.getLastRow());
+	const syncFields = getSyncFields(sheet);
+	const issues = [];
+	const sheetIds = new Set();
+
+	Object.keys(allData).forEach((uniqueId) => {
+		const data = allData[uniqueId];
+		if (!data.hubdbRowId) return;
+
+		const hubdbRowId = String(data.hubdbRowId);
+		sheetIds.add(hubdbRowId);
+
+		const hubdbData = hubdbRows[hubdbRowId];
+		if (!hubdbData) {
+			issues.push({
+				type: "STALE_ID",
+				sheetRow: data.sheetRow,
+				hubdbRowId: hubdbRowId,
+			});
+			return;
+		}
+
+		syncFields
+			.filter((field) => field in data)
+			.forEach((field) => {
+				const sheetValue = toComparableValue(data[field]);
+				const hubdbValue = toComparableValue(hubdbData[field]);
+				if (sheetValue !== hubdbValue) {
+					issues.push({
+						type: "MISMATCH",
+						sheetRow: data.sheetRow,
+						hubdbRowId: hubdbRowId,
+						field: field,
+						sheetValue: sheetValue,
+						hubdbValue: hubdbValue,
+					});
+				}
+			});
+	});
+
+	findRowsNeedingHubDBCreation(allData, sheet, null).forEach((rowInfo) => {
+		issues.push({ type: "MISSING_ID", sheetRow: rowInfo.sheetRow });
+	});
+
+	// Cleared rows keep their hs_id until the deletion succeeds, so they
+	// count as rows the sheet no longer has, unless they are still in their
+	// grace period
+	const pending = getPendingDeletes(getTargetForSheet(sheet));
+	Object.keys(hubdbRows).forEach((hubdbRowId) => {
+		if (sheetIds.has(hubdbRowId) || pending[hubdbRowId]) return;
+
+		const clearedRow = clearedRows.find(
+			(row) => String(row.hubdbRowId) === hubdbRowId
+		);
+		issues.push({
+			type: "ORPHAN",
+			sheetRow: clearedRow ? clearedRow.sheetRow : null,
+			hubdbRowId: hubdbRowId,
+		});
+	});
+
+	return issues;
+}
+
+/**
+ * Bring HubDB back in line with the sheet for the issues findDrift reported
+ * Cleared rows are marked pending delete like a sync would, rows only in
+ * HubDB are deleted within the target's delete limits (options.approveDeletes
+ * lifts them), rows with a missing or stale hs_id are created again and
+ * differing values are sent as UPDATED changes. The snapshot is then replaced
+ * with the sheet contents
+ */
+function repairDrift(target, sheet, issues, publishedCount, options) {
+	const byType = (type) => issues.filter((issue) => issue.type === type);
+
+	const orphans = byType("ORPHAN");
+	const clearedOrphans = orphans
+		.filter((issue) => issue.sheetRow)
+		.map((issue) => ({
+			sheetRow: issue.sheetRow,
+			hubdbRowId: issue.hubdbRowId,
+		}));
+	const orphanIds = orphans
+		.filter((issue) => !issue.sheetRow)
+		.map((issue) => issue.hubdbRowId);
+
+	// Deleted by a later sync once their grace period is over
+	if (clearedOrphans.length > 0) {
+		const rows = clearedOrphans.map((row) => row.sheetRow);
+		handlePendingDeletes(target, sheet, clearedOrphans, {}, { rows: rows });
+	}
+
+	// Not saved as a delete hold: the next sync would find nothing to delete
+	// and drop it, so approval is given to the repair itself
+	const deleteCheck = checkDeleteLimits(
+		target,
+		sheet,
+		orphanIds,
+		publishedCount,
+		{ approveDeletes: options.approveDeletes }
+	);
+	if (deleteCheck.held) {
+		raiseSyncAlert(
+			target,
+			`Reconcile did not delete the rows only in HubDB: ${deleteCheck.reason}. Check the sheet, then run reconcile("${target.name}", true, true) to delete them.`
+		);
+	} else if (orphanIds.length > 0) {
+		const response = postToHubSpot(sheet, buildOrphansDeletePayload(orphanIds));
+		const responseCode = response.getResponseCode();
+		if (responseCode < 200 || responseCode >= 300) {
+			throw new Error(
+				`Deleting HubDB-only rows failed: ${responseCode} - ${response.getContentText()}`
+			);
+		}
+		console.log(`Deleted ${orphanIds.length} rows that were only in HubDB`);
+	}
+
+	// A stale hs_id is cleared so the row is created again like a new one
+	const staleRows = byType("STALE_ID").map((issue) => issue.sheetRow);
+	staleRows.forEach((sheetRow) => setHubDBRowId(sheet, sheetRow, ""));
+
+	const createRows = staleRows.concat(
+		byType("MISSING_ID").map((issue) => issue.sheetRow)
+	);
+	if (createRows.length > 0) {
+		const { allData } = getAllSheetData(sheet, sheet.getLastRow());
+		createHubDBRows(
+			findRowsNeedingHubDBCreation(
+				filterDataByRows(allData, createRows),
+				sheet,
+				null
+			),
+			sheet
+		);
+	}
+
+	const mismatches = byType("MISMATCH");
+	if (mismatches.length > 0) {
+		const { allData } = getAllSheetData(sheet, sheet.getLastRow());
+		const changes = {};
+		mismatches.forEach((issue) => {
+			const data = findByHubDBRowId(allData, issue.hubdbRowId);
+			if (!data || data.validationError) return;
+
+			changes[issue.hubdbRowId] = changes[issue.hubdbRowId] || {
+				type: "UPDATED",
+				uniqueId: issue.hubdbRowId,
+				row: data.sheetRow,
+				newData: data,
+				oldData: { hubdbRowId: issue.hubdbRowId, sheetRow: data.sheetRow },
+				changedFields: [],
+			};
+			changes[issue.hubdbRowId].changedFields.push({
+				field: issue.field,
+				newValue: data[issue.field],
+			});
+		});
+		processIndividualOperations(Object.values(changes), sheet);
+	}
+
+	const { allData: repairedData } = getAllSheetData(sheet, sheet.getLastRow());
+	storeData(repairedData, target);
+}
+
+/**
+ * Compare one target with HubDB, repairing the drift when asked
+ * Callers must hold the script lock
+ */
+function reconcileTarget(target, repair, approveDeletes) {
+	const sheet = getTargetSheet(target);
+	getColumnMap(sheet, true);
+
+	const hubdbRows = listHubDBRows(sheet);
+	const issues = findDrift(sheet, hubdbRows);
+	console.log(`Reconcile ${target.name}: ${issues.length} issues found`);
+
+	if (repair && issues.length > 0) {
+		repairDrift(target, sheet, issues, Object.keys(hubdbRows).length, {
+			approveDeletes: approveDeletes,
+		});
+	}
+
+	return issues;
+}
+
+/**
+ * Compare the named target, or every target, with HubDB and write the
+ * issues to the "Reconcile report" sheet
+ * With repair, the issues are also fixed (see repairDrift); approveDeletes
+ * deletes rows only in HubDB beyond the delete limits
+ * Returns the number of issues found
+ */
+function reconcile(targetName, repair, approveDeletes) {
+	const targets =
+		typeof targetName === "string" ? [getSyncTarget(targetName)] : SYNC_TARGETS;
+	const rows = [];
+	let issueCount = 0;
+
+	const lock = LockService.getScriptLock();
+	if (!lock.tryLock(SYNC_LOCK_WAIT_MS)) {
+		throw new Error("Another sync is running, try again in a minute");
+	}
+
+	try {
+		targets.forEach((target) => {
+			try {
+				reconcileTarget(target, repair, approveDeletes).forEach((issue) => {
+					issueCount++;
+					rows.push([
+						target.name,
+						RECONCILE_ISSUES[issue.type],
+						issue.sheetRow || "",
+						issue.hubdbRowId || "",
+						issue.field || "",
+						issue.sheetValue ?? "",
+						issue.hubdbValue ?? "",
+					]);
+				});
+			} catch (error) {
+				console.error(`Error reconciling target "${target.name}":`, error);
+				rows.push([target.name, "ERROR", "", "", "", error.message, ""]);
+			}
+		});
+	} finally {
+		lock.releaseLock();
+	}
+
+	const sheet = getOrCreateSheet(RECONCILE_SHEET_NAME);
+	sheet.clear();
+	sheet
+		.getRange(1, 1, 1, 2)
+		.setValues([
+			[
+				repair ? "Reconciled and repaired" : "Reconcile report generated",
+				new Date().toISOString(),
+			],
+		]);
+	sheet
+		.getRange(3, 1, 1, RECONCILE_HEADERS.length)
+		.setValues([RECONCILE_HEADERS]);
+	if (rows.length > 0) {
+		sheet.getRange(4, 1, rows.length, RECONCILE_HEADERS.length).setValues(rows);
+	} else {
+		sheet.getRange(4, 1).setValue("The sheet and HubDB match");
+	}
+	sheet.setFrozenRows(3);
+
+	return issueCount;
+}
+
+// SCHEDULE CHECKS - Flags players and courts booked for overlapping matches,
+// players without enough rest between matches and matches outside session
+// hours. Every match is assumed to last schedule.matchMinutes. Every sync,
+// edit syncs included, checks the whole sheet before it sends anything: the
+// warnings are written to the sync message column and the target's rows of
+// the conflicts report sheet are refreshed. Warnings never stop a row from
+// syncing.
+const CONFLICTS_SHEET_NAME = "Schedule conflicts";
+const CONFLICTS_HEADERS = [
+	"Target",
+	"Conflict",
+	"Sheet rows",
+	"Date and time",
+	"Details",
+];
+const SCHEDULE_CONFLICTS = {
+	PLAYER_OVERLAP: "Player double-booked",
+	VENUE_OVERLAP: "Court double-booked",
+	SHORT_REST: "Not enough rest",
+	OUTSIDE_SESSION: "Outside session hours",
+};
+// Sync messages starting with this are replaced on every check
+const SCHEDULE_WARNING_PREFIX = "Schedule: ";
+const MINUTES_PER_DAY = 24 * 60;
+const CLOCK_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
+/**
+ * Minutes since midnight of an "HH:mm" setting
+ */
+function readClockMinutes(clock) {
+	const match = String(clock).match(CLOCK_PATTERN);
+	if (!match) {
+		throw new Error(`Invalid schedule time "${clock}", use HH:mm`);
+	}
+
+	return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Format wall clock minutes since 1970-01-01 00:00 as "yyyy-MM-dd HH:mm",
+ * or just "HH:mm" for minutes within a day
+ */
+function formatMatchMinutes(minutes) {
+	const text = new Date(minutes * 60000).toISOString();
+	return minutes < MINUTES_PER_DAY
+		? text.slice(11, 16)
+		: `${text.slice(0, 10)} ${text.slice(11, 16)}`;
+}
+
+/**
+ * Check a target's rows against its schedule settings
+ * Returns [{ type, sheetRows, start, details }], type being a key of
+ * SCHEDULE_CONFLICTS and start the first match's wall clock minutes since
+ * 1970-01-01 00:00 in MATCH_TIME_ZONE
+ */
+function findScheduleConflicts(allData, schedule) {
+	const conflicts = [];
+	const sessionStart = readClockMinutes(schedule.sessionStart);
+	const sessionEnd = readClockMinutes(schedule.sessionEnd);
+	const matches = [];
+
+	Object.values(allData)
+		.sort((a, b) => a.sheetRow - b.sheetRow)
+		.forEach((data) => {
+			// Unreadable dates are marked as row errors by the sync instead
+			if (data.date_and_time_epoch === undefined) return;
+
+			const start = (data.date_and_time_epoch + MATCH_TIME_OFFSET_MS) / 60000;
+			const clock = start % MINUTES_PER_DAY;
+			if (clock < sessionStart || clock + schedule.matchMinutes > sessionEnd) {
+				conflicts.push({
+					type: "OUTSIDE_SESSION",
+					sheetRows: [data.sheetRow],
+					start: start,
+					details: `${formatMatchMinutes(clock)}-${formatMatchMinutes(
+						(clock + schedule.matchMinutes) % MINUTES_PER_DAY
+					)}, sessions run ${schedule.sessionStart}-${schedule.sessionEnd}`,
+				});
+			}
+
+			matches.push({
+				sheetRow: data.sheetRow,
+				start: start,
+				end: start + schedule.matchMinutes,
+				venue: String(data.venue || "").trim(),
+				players: splitPlayers(data.player_1).concat(
+					splitPlayers(data.player_2)
+				),
+			});
+		});
+
+	matches.sort((a, b) => a.start - b.start || a.sheetRow - b.sheetRow);
+
+	matches.forEach((first, index) => {
+		matches.slice(index + 1).forEach((second) => {
+			if (second.start >= first.end + schedule.minRestMinutes) return;
+
+			const overlaps = second.start < first.end;
+			const rest = second.start - first.end;
+			const minRest = schedule.minRestMinutes;
+			const sheetRows = [first.sheetRow, second.sheetRow].sort((a, b) => a - b);
+			const rowsText = `rows ${sheetRows[0]} and ${sheetRows[1]}`;
+
+			if (
+				overlaps &&
+				first.venue &&
+				first.venue.toLowerCase() === second.venue.toLowerCase()
+			) {
+				conflicts.push({
+					type: "VENUE_OVERLAP",
+					sheetRows: sheetRows,
+					start: first.start,
+					details: `${first.venue}, ${rowsText}`,
+				});
+			}
+
+			const secondPlayers = second.players.map((name) => name.toLowerCase());
+			first.players
+				.filter((name) => secondPlayers.includes(name.toLowerCase()))
+				.forEach((name) => {
+					conflicts.push({
+						type: overlaps ? "PLAYER_OVERLAP" : "SHORT_REST",
+						sheetRows: sheetRows,
+						start: first.start,
+						details: overlaps
+							? `${name}, ${rowsText}`
+							: `${name}, ${rest} of ${minRest} minutes between ${rowsText}`,
+					});
+				});
+		});
+	});
+
+	return conflicts;
+}
+
+/**
+ * Write each row's schedule warnings to its sync message, and clear old
+ * warnings from rows that no longer have any
+ * Rows marked "error" keep their error message
+ */
+function writeScheduleWarnings(sheet, conflicts) {
+	const lastRow = sheet.getLastRow();
+	if (lastRow < DATA_START_ROW) return;
+
+	const warnings = {};
+	conflicts.forEach((conflict) => {
+		conflict.sheetRows.forEach((sheetRow) => {
+			warnings[sheetRow] = warnings[sheetRow] || [];
+			warnings[sheetRow].push(
+				`${SCHEDULE_CONFLICTS[conflict.type]} (${conflict.details})`
+			);
+		});
+	});
+
+	flushWriteBuffer();
+	const columns = getColumnMap(sheet);
+	const rowCount = lastRow - DATA_START_ROW + 1;
+	const statuses = sheet
+		.getRange(DATA_START_ROW, columns.syncStatus, rowCount, 1)
+		.getValues();
+	const messages = sheet
+		.getRange(DATA_START_ROW, columns.syncMessage, rowCount, 1)
+		.getValues();
+
+	messages.forEach(([message], index) => {
+		const sheetRow = DATA_START_ROW + index;
+		const current = String(message);
+		let next;
+
+		if (warnings[sheetRow]) {
+			next = SCHEDULE_WARNING_PREFIX + warnings[sheetRow].join("; ");
+		} else if (current.startsWith(SCHEDULE_WARNING_PREFIX)) {
+			next = "";
+		} else {
+			return;
+		}
+
+		if (statuses[index][0] === "error" || next === current) return;
+		writeCell(sheet, sheetRow, columns.syncMessage, next);
+	});
+}
+
+/**
+ * Read the rows the schedule check needs, by sheet row, from the date and
+ * time, venue and player columns only
+ * Rows without a readable date are left out, as findScheduleConflicts does
+ */
+function readScheduleData(sheet) {
+	const columns = getColumnMap(sheet);
+	const lastRow = sheet.getLastRow();
+	const dates = readDataColumn(sheet, columns.date_and_time, lastRow);
+	const venues = readDataColumn(sheet, columns.venue, lastRow);
+	const players1 = readDataColumn(sheet, columns.player_1, lastRow);
+	const players2 = readDataColumn(sheet, columns.player_2, lastRow);
+	const scheduleData = {};
+
+	dates.forEach((date, index) => {
+		const data = {
+			sheetRow: DATA_START_ROW + index,
+			date_and_time: date || "",
+			venue: venues[index] || "",
+			player_1: players1[index] || "",
+			player_2: players2[index] || "",
+		};
+		normaliseRowTime(data);
+		if (data.date_and_time_epoch !== undefined) {
+			scheduleData[data.sheetRow] = data;
+		}
+	});
+
+	return scheduleData;
+}
+
+/**
+ * Check a target's whole schedule and update the warnings in its sheet
+ */
+function checkTargetSchedule(target) {
+	const sheet = getTargetSheet(target);
+	getColumnMap(sheet, true);
+
+	const conflicts = findScheduleConflicts(
+		readScheduleData(sheet),
+		target.schedule
+	);
+	writeScheduleWarnings(sheet, conflicts);
+
+	return conflicts;
+}
+
+/**
+ * Check a target's schedule as part of a sync and refresh its rows of the
+ * "Schedule conflicts" sheet
+ * Returns the conflicts, or null when the target has no schedule settings
+ * or the check failed; a failed check never stops the sync
+ */
+function checkScheduleForSync(target) {
+	if (!target.schedule) return null;
+
+	try {
+		const conflicts = checkTargetSchedule(target);
+		updateConflictsReport([target.name], formatConflictRows(target, conflicts));
+		return conflicts;
+	} catch (error) {
+		console.error("Error checking schedule:", error);
+		return null;
+	}
+}
+
+/**
+ * One "Schedule conflicts" row per conflict of a target
+ */
+function formatConflictRows(target, conflicts) {
+	return conflicts.map((conflict) => [
+		target.name,
+		SCHEDULE_CONFLICTS[conflict.type],
+		conflict.sheetRows.join(", "),
+		formatMatchMinutes(conflict.start),
+		conflict.details,
+	]);
+}
+
+/**
+ * Replace the rows of the named targets on the "Schedule conflicts" sheet,
+ * keeping the rows of other targets
+ */
+function updateConflictsReport(targetNames, rows) {
+	const sheet = getOrCreateSheet(CONFLICTS_SHEET_NAME);
+	const lastRow = sheet.getLastRow();
+	const keptRows =
+		lastRow >= 4
+			? sheet
+					.getRange(4, 1, lastRow - 3, CONFLICTS_HEADERS.length)
+					.getValues()
+					.filter((row) => row[1] && !targetNames.includes(row[0]))
+			: [];
+	const reportRows = keptRows.concat(rows);
+
+	sheet.clear();
+	sheet
+		.getRange(1, 1, 1, 2)
+		.setValues([["Schedule checked", new Date().toISOString()]]);
+	sheet
+		.getRange(3, 1, 1, CONFLICTS_HEADERS.length)
+		.setValues([CONFLICTS_HEADERS]);
+	if (reportRows.length > 0) {
+		sheet
+			.getRange(4, 1, reportRows.length, CONFLICTS_HEADERS.length)
+			.setValues(reportRows);
+	} else {
+		sheet.getRange(4, 1).setValue("No schedule conflicts");
+	}
+	sheet.setFrozenRows(3);
+}
+
+/**
+ * Check the schedule of the named target, or of every target with schedule
+ * settings, and write the "Schedule conflicts" sheet
+ * Returns the number of conflicts found
+ */
+function checkSchedule(targetName) {
+	const targets = (
+		typeof targetName === "string" ? [getSyncTarget(targetName)] : SYNC_TARGETS
+	).filter((target) => target.schedule);
+	const rows = [];
+	let conflictCount = 0;
+
+	const lock = LockService.getScriptLock();
+	if (!lock.tryLock(SYNC_LOCK_WAIT_MS)) {
+		throw new Error("Another sync is running, try again in a minute");
+	}
+
+	try {
+		targets.forEach((target) => {
+			try {
+				const conflicts = checkTargetSchedule(target);
+				conflictCount += conflicts.length;
+				rows.push(...formatConflictRows(target, conflicts));
+			} catch (error) {
+				console.error(`Error checking schedule of "${target.name}":`, error);
+				rows.push([target.name, "ERROR", "", "", error.message]);
+			}
+		});
+	} finally {
+		lock.releaseLock();
+	}
+
+	updateConflictsReport(
+		targets.map((target) => target.name),
+		rows
+	);
+
+	return conflictCount;
+}
+
+// Trigger handlers owned by this script ("syncAllData" covers older installs)
+const SYNC_TRIGGER_HANDLERS = [
+	"syncAllData",
+	"syncScheduledTargets",
+	"onSheetEdit",
+	"onSheetChange",
+	"processQueuedSyncs",
+	"continueSyncs",
+];
+
+/**
+ * Delete every trigger installed for the sync
+ */
+function deleteSyncTriggers() {
+	ScriptApp.getProjectTriggers().forEach((trigger) => {
+		if (SYNC_TRIGGER_HANDLERS.includes(trigger.getHandlerFunction())) {
+			ScriptApp.deleteTrigger(trigger);
+		}
+	});
+}
+
+/**
+ * Set up triggers for automatic syncing
+ * Uses onChange trigger to catch row deletions
+ */
+function setupTriggers() {
+	try {
+		// Delete existing triggers
+		deleteSyncTriggers();
+
+		// Create onChange trigger (catches row deletions and other structural changes)
+		ScriptApp.newTrigger("onSheetChange")
+			.forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet())
+			.onChange()
+			.create();
+
+		// Create onEdit trigger (catches cell value changes)
+		ScriptApp.newTrigger("onSheetEdit")
+			.forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet())
+			.onEdit()
+			.create();
+
+		// Optional: Time-based trigger for regular sync (every 5 minutes)
+		ScriptApp.newTrigger("syncScheduledTargets")
+			.timeBased()
+			.everyMinutes(5)
+			.create();
+
+		console.log("Triggers set up successfully");
+		console.log("   - onChange trigger: Will sync when rows are deleted/added");
+		console.log("   - onEdit trigger: Will sync when cells are edited");
+		console.log("   - Time-based trigger: Will sync every 5 minutes");
+	} catch (error) {
+		console.error("Error setting up triggers:", error);
+	}
+}
+
+/**
+ * Sync every target that opted into time-based syncing
+ * This function is called by the time-based trigger
+ */
+function syncScheduledTargets() {
+	SYNC_TARGETS.filter((target) => target.syncOnSchedule).forEach((target) =>
+		syncAllData(target.name, { trigger: "schedule" })
+	);
+}
+
+/**
+ * Get the targets an edit or change event should sync
+ * Falls back to every edit-enabled target when the sheet is unknown
+ */
+function getTargetsForEvent(sheet) {
+	const editTargets = SYNC_TARGETS.filter((target) => target.syncOnEdit);
+	if (!sheet) return editTargets;
+
+	return editTargets.filter((target) => target.sheetName === sheet.getName());
+}
+
+/**
+ * Work out which data rows an edit touched
+ * Returns null when the whole sheet should be synced (header edits), and an
+ * empty list when only the status and message columns were edited
+ */
+function getEditedRows(range) {
+	if (range.getRow() < DATA_START_ROW) return null;
+
+	const columns = getColumnMap(range.getSheet());
+	const statusColumns = [columns.syncStatus, columns.syncMessage];
+	let touchesData = false;
+	for (let col = range.getColumn(); col <= range.getLastColumn(); col++) {
+		if (!statusColumns.includes(col)) touchesData = true;
+	}
+	if (!touchesData) return [];
+
+	const rows = [];
+	for (let row = range.getRow(); row <= range.getLastRow(); row++) {
+		rows.push(row);
+	}
+	return rows;
+}
+
+/**
+ * Handle cell edits on any sheet
+ * This function is called by the onEdit trigger. Edited rows are queued and
+ * synced together by one deferred run, so fast typing does not start a
+ * sync per keystroke; structural changes and the scheduled run cover the rest
+ */
+function onSheetEdit(e) {
+	try {
+		const sheet = e && e.range ? e.range.getSheet() : null;
+
+		getTargetsForEvent(sheet).forEach((target) => {
+			const rows = sheet ? getEditedRows(e.range) : null;
+
+			if (rows === null || rows.length > 0) {
+				queueSync(target, rows);
+				scheduleQueuedSync();
+			}
+		});
+	} catch (error) {
+		console.error("Error in onSheetEdit:", error);
+	}
+}
+
+// CHECKPOINTS - Apps Script stops an execution after 6 minutes. A run stops
+// sending new rows once SYNC_TIME_BUDGET_MS has passed, which leaves time to
+// write back and store what it did, then saves its progress and schedules a
+// one-off continueSyncs run. Progress is kept per target under
+// SYNC_CHECKPOINT_<storageKey>: { runId, trigger, created, pending, inFlight,
+// savedAt }. The continuation is a full sync: rows created so far have their
+// hs_id and are in the snapshot, so only the rest is sent. inFlight lists the
+// rows of the requests being sent; it is only left behind when a run was
+// killed mid-request.
+const SYNC_TIME_BUDGET_MS = 4.5 * 60 * 1000;
+const CONTINUATION_DELAY_MS = 60 * 1000;
+const MAX_ALERT_MATCH_IDS = 5; // Match IDs named in the interrupted-run alert
+
+function getSyncCheckpointKey(target) {
+	return `SYNC_CHECKPOINT_${target.storageKey}`;
+}
+
+/**
+ * Get a target's saved progress, or null when no sync is unfinished
+ */
+function getSyncCheckpoint(target) {
+	const stored = PropertiesService.getScriptProperties().getProperty(
+		getSyncCheckpointKey(target)
+	);
+	return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Merge progress into a target's checkpoint
+ */
+function saveSyncCheckpoint(target, progress) {
+	const checkpoint = {
+		...getSyncCheckpoint(target),
+		...progress,
+		savedAt: new Date().toISOString(),
+	};
+	PropertiesService.getScriptProperties().setProperty(
+		getSyncCheckpointKey(target),
+		JSON.stringify(checkpoint)
+	);
+}
+
+function clearSyncCheckpoint(target) {
+	PropertiesService.getScriptProperties().deleteProperty(
+		getSyncCheckpointKey(target)
+	);
+}
+
+/**
+ * Whether the run in progress has used up SYNC_TIME_BUDGET_MS
+ */
+function isRunOutOfTime() {
+	return !!currentRunStats && Date.now() >= currentRunStats.deadline;
+}
+
+/**
+ * Record where a run's creations ended: save the checkpoint and schedule the
+ * continuation when rows were left unsent, otherwise clear it
+ * A partial sync only clears progress it made itself, so a full sync that is
+ * waiting for its continuation keeps its checkpoint
+ */
+function updateSyncCheckpoint(target, unsentRows, onlyRows) {
+	if (unsentRows.length > 0) {
+		console.warn(
+			`Out of time with ${unsentRows.length} rows left to create, continuing in a new run`
+		);
+		saveSyncCheckpoint(target, {
+			runId: currentRunStats?.runId || "",
+			trigger: currentRunStats?.trigger || "manual",
+			created: currentRunStats?.created || 0,
+			pending: unsentRows.length,
+			inFlight: [],
+		});
+		scheduleSyncContinuation();
+		return;
+	}
+
+	const checkpoint = getSyncCheckpoint(target);
+	if (onlyRows && checkpoint?.pending > 0) {
+		saveSyncCheckpoint(target, { inFlight: [] });
+	} else if (checkpoint) {
+		clearSyncCheckpoint(target);
+	}
+}
+
+/**
+ * Raise an alert when the previous run was killed while creation requests
+ * were out; those rows may exist in HubDB without an hs_id in the sheet and
+ * are created again by this run
+ */
+function checkInterruptedCreation(target) {
+	const inFlight = getSyncCheckpoint(target)?.inFlight || [];
+	if (inFlight.length === 0) return;
+
+	const named = inFlight.slice(0, MAX_ALERT_MATCH_IDS).join(", ");
+	const more =
+		inFlight.length > MAX_ALERT_MATCH_IDS
+			? ` and ${inFlight.length - MAX_ALERT_MATCH_IDS} more`
+			: "";
+	raiseSyncAlert(
+		target,
+		`A sync stopped while creating ${inFlight.length} rows (${named}${more}). Rows still without an hs_id are sent again; run Reconcile to check HubDB for duplicates.`
+	);
+	saveSyncCheckpoint(target, { inFlight: [] });
+}
+
+/**
+ * Make sure one continueSyncs run is scheduled
+ */
+function scheduleSyncContinuation() {
+	const scheduled = ScriptApp.getProjectTriggers().some(
+		(trigger) => trigger.getHandlerFunction() === "continueSyncs"
+	);
+	if (scheduled) return;
+
+	ScriptApp.newTrigger("continueSyncs")
+		.timeBased()
+		.after(CONTINUATION_DELAY_MS)
+		.create();
+}
+
+/**
+ * Resume every target whose sync ran out of time
+ * This function is called by the one-off trigger from scheduleSyncContinuation
+ */
+function continueSyncs() {
+	ScriptApp.getProjectTriggers().forEach((trigger) => {
+		if (trigger.getHandlerFunction() === "continueSyncs") {
+			ScriptApp.deleteTrigger(trigger);
+		}
+	});
+
+	SYNC_TARGETS.forEach((target) => {
+		try {
+			const checkpoint = getSyncCheckpoint(target);
+			if (!checkpoint?.pending) return;
+
+			console.log(
+				`Continuing ${target.name}: ${checkpoint.pending} rows left to create`
+			);
+			// If the lock is busy, syncTarget queues a full sync instead
+			syncTarget(target, { trigger: "continue" });
+		} catch (error) {
+			console.error(`Error continuing sync for ${target.name}:`, error);
+		}
+	});
+}
+
+// EDIT QUEUE - Rows waiting for the deferred sync, one queue per target:
+// { full, rows, queuedAt }. Queue updates use the document lock so an edit
+// never waits for a running sync, which holds the script lock.
+const SYNC_LOCK_WAIT_MS = 10 * 1000;
+const QUEUE_LOCK_WAIT_MS = 5 * 1000;
+const SYNC_DEBOUNCE_MS = 20 * 1000; // Quiet time before queued edits are synced
+const MAX_QUEUED_ROWS = 200; // Beyond this a full sync is cheaper
+// onChange types that queue a full sync; EDIT and FORMAT are left to
+// onSheetEdit, which queues only the edited rows
+const STRUCTURAL_CHANGE_TYPES = [
+	"INSERT_ROW",
+	"REMOVE_ROW",
+	"INSERT_COLUMN",
+	"REMOVE_COLUMN",
+	"OTHER",
+];
+
+/**
+ * Run a short update of queue state under the document lock
+ */
+function withQueueLock(update) {
+	const lock = LockService.getDocumentLock();
+	lock.waitLock(QUEUE_LOCK_WAIT_MS);
+	try {
+		return update(PropertiesService.getScriptProperties());
+	} finally {
+		lock.releaseLock();
+	}
+}
+
+/**
+ * Add rows to a target's queue; rows === null queues a full sync
+ */
+function queueSync(target, rows) {
+	withQueueLock((properties) => {
+		const key = `SYNC_QUEUE_${target.storageKey}`;
+		const stored = properties.getProperty(key);
+		const queue = stored ? JSON.parse(stored) : { full: false, rows: [] };
+
+		if (rows === null) {
+			queue.full = true;
+		} else {
+			rows.forEach((row) => {
+				if (!queue.rows.includes(row)) queue.rows.push(row);
+			});
+		}
+		if (queue.rows.length > MAX_QUEUED_ROWS) queue.full = true;
+		if (queue.full) queue.rows = [];
+
+		queue.queuedAt = queue.queuedAt || new Date().toISOString();
+		properties.setProperty(key, JSON.stringify(queue));
+	});
+}
+
+/**
+ * Remove and return a target's queue, or null when nothing is queued
+ */
+function takeQueuedSync(target) {
+	return withQueueLock((properties) => {
+		const key = `SYNC_QUEUE_${target.storageKey}`;
+		const stored = properties.getProperty(key);
+		properties.deleteProperty(key);
+		return stored ? JSON.parse(stored) : null;
+	});
+}
+
+/**
+ * Get a target's queue without consuming it, or null
+ */
+function getQueuedSync(target) {
+	const stored = PropertiesService.getScriptProperties().getProperty(
+		`SYNC_QUEUE_${target.storageKey}`
+	);
+	return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Count a run that was skipped because another sync held the lock
+ */
+function recordSkippedRun(target) {
+	withQueueLock((properties) => {
+		const key = `SYNC_SKIPPED_${target.storageKey}`;
+		const stored = properties.getProperty(key);
+		const skipped = stored ? JSON.parse(stored) : { count: 0 };
+
+		skipped.count++;
+		skipped.lastSkippedAt = new Date().toISOString();
+		properties.setProperty(key, JSON.stringify(skipped));
+	});
+}
+
+/**
+ * Get the skipped-run count of a target, or null if none were skipped
+ */
+function getSkippedRuns(target) {
+	const stored = PropertiesService.getScriptProperties().getProperty(
+		`SYNC_SKIPPED_${target.storageKey}`
+	);
+	return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Make sure one deferred run of processQueuedSyncs is scheduled
+ */
+function scheduleQueuedSync() {
+	const scheduled = ScriptApp.getProjectTriggers().some(
+		(trigger) => trigger.getHandlerFunction() === "processQueuedSyncs"
+	);
+	if (scheduled) return;
+
+	ScriptApp.newTrigger("processQueuedSyncs")
+		.timeBased()
+		.after(SYNC_DEBOUNCE_MS)
+		.create();
+}
+
+/**
+ * Sync everything queued by edits and skipped runs
+ * This function is called by the one-off trigger from scheduleQueuedSync
+ */
+function processQueuedSyncs() {
+	ScriptApp.getProjectTriggers().forEach((trigger) => {
+		if (trigger.getHandlerFunction() === "processQueuedSyncs") {
+			ScriptApp.deleteTrigger(trigger);
+		}
+	});
+
+	SYNC_TARGETS.forEach((target) => {
+		try {
+			const queue = takeQueuedSync(target);
+			if (!queue) return;
+
+			console.log(
+				`Running queued sync for ${target.name}: ${
+					queue.full ? "full sheet" : `rows ${queue.rows.join(", ")}`
+				}`
+			);
+			// If the lock is still busy, syncTarget puts the work back in the queue
+			syncTarget(
+				target,
+				queue.full ? { trigger: "edit" } : { rows: queue.rows, trigger: "edit" }
+			);
+		} catch (error) {
+			console.error(`Error running queued sync for ${target.name}:`, error);
+		}
+	});
+}
+
+/**
+ * Handle sheet structure changes (row deletions, insertions)
+ * This function is called by the onChange trigger, which also fires for
+ * every cell edit. Structural changes queue a full sync for the deferred
+ * run, like edits do, so bursts of changes are synced once
+ */
+function onSheetChange(e) {
+	try {
+		console.log("=== SHEET CHANGE DETECTED ===");
+		console.log("Change type:", e.changeType);
+
+		if (!STRUCTURAL_CHANGE_TYPES.includes(e.changeType)) return;
+
+		// A full sync catches deleted rows through the stored data comparison
+		const sheet = e && e.source ? e.source.getActiveSheet() : null;
+		getTargetsForEvent(sheet).forEach((target) => {
+			queueSync(target, null);
+			scheduleQueuedSync();
+		});
+	} catch (error) {
+		console.error("Error in onSheetChange:", error);
+	}
+}
+
+/**
+ * Remove all triggers
+ */
+function removeTriggers() {
+	try {
+		deleteSyncTriggers();
+
+		console.log("All sync triggers removed");
+	} catch (error) {
+		console.error("Error removing triggers:", error);
+	}
+}
+
+/**
+ * Manual sync trigger
+ */
+function manualSync() {
+	console.log("=== MANUAL SYNC TRIGGERED ===");
+	syncAllData();
+}
+
+// SPREADSHEET MENU AND SIDEBAR - Lets volunteers run the sync without
+// opening the Apps Script editor
+const SYNC_MENU_NAME = "Tennis Sync";
+const SIDEBAR_ERROR_LIMIT = 10;
+const MATCH_HISTORY_LIMIT = 15; // Latest sync log entries shown per match
+
+/**
+ * Add the sync menu when the spreadsheet is opened
+ */
+function onOpen() {
+	SpreadsheetApp.getUi()
+		.createMenu(SYNC_MENU_NAME)
+		.addItem("Sync now", "syncNowFromMenu")
+		.addItem("Preview sync", "previewSyncFromMenu")
+		.addItem("Sync selected rows", "syncSelectedRows")
+		.addItem("Undo clear", "undoClearFromMenu")
+		.addItem("Delete cleared rows now", "deletePendingRowsFromMenu")
+		.addItem("Approve held deletions", "approveHeldDeletesFromMenu")
+		.addItem("Reconcile with HubDB", "reconcileFromMenu")
+		.addItem("Update standings", "publishStandingsFromMenu")
+		.addItem("Check schedule", "checkScheduleFromMenu")
+		.addItem("Refresh player dropdowns", "refreshPlayerDropdownsFromMenu")
+		.addItem("Show match history", "showMatchHistoryFromMenu")
+		.addSeparator()
+		.addItem("Force resync all", "forceResyncFromMenu")
+		.addSeparator()
+		.addItem("Install triggers", "installTriggersFromMenu")
+		.addItem("Remove triggers", "removeTriggersFromMenu")
+		.addSeparator()
+		.addItem("Show sync status", "showSyncSidebar")
+		.addToUi();
+}
+
+/**
+ * Short summary of a run's counts for toasts
+ */
+function formatRunSummary(stats) {
+	if (!stats) return "Not run yet";
+	if (stats.failure) return `Failed: ${stats.failure}`;
+
+	return `${stats.created} created, ${stats.updated} updated, ${stats.deleted} deleted, ${stats.errored} errors`;
+}
+
+/**
+ * Show a toast on the spreadsheet
+ */
+function showToast(message, title) {
+	SpreadsheetApp.getActiveSpreadsheet().toast(message, title || SYNC_MENU_NAME);
+}
+
+/**
+ * Show the latest run counts of every target
+ */
+function showRunSummaryToast(title) {
+	showToast(
+		SYNC_TARGETS.map(
+			(target) => `${target.name}: ${formatRunSummary(getLastRunStats(target))}`
+		).join("\n"),
+		title
+	);
+}
+
+/**
+ * Menu handler: sync every target and report the counts
+ */
+function syncNowFromMenu() {
+	syncAllData(null, { trigger: "menu" });
+	showRunSummaryToast("Sync complete");
+}
+
+/**
+ * Menu handler for the preview: runs it and shows the report
+ */
+function previewSyncFromMenu() {
+	const count = previewSync();
+	const sheet = getOrCreateSheet(PREVIEW_SHEET_NAME);
+	sheet.activate();
+	showToast(
+		`${count} operation(s) would be sent. Nothing has been synced.`,
+		"Sync preview"
+	);
+}
+
+/**
+ * Menu handler: report drift between the sheets and HubDB, then offer to
+ * repair it
+ */
+function reconcileFromMenu() {
+	const count = reconcile();
+	getOrCreateSheet(RECONCILE_SHEET_NAME).activate();
+
+	if (count === 0) {
+		showToast("The sheets and HubDB match.", "Reconcile");
+		return;
+	}
+
+	const ui = SpreadsheetApp.getUi();
+	const answer = ui.alert(
+		"Reconcile with HubDB",
+		`${count} issue(s) found, see the "${RECONCILE_SHEET_NAME}" sheet. Repair them now? Rows only in HubDB are deleted within the delete limits, cleared rows are marked pending delete, missing rows are created and differing values are overwritten from the sheet.`,
+		ui.ButtonSet.YES_NO
+	);
+	if (answer !== ui.Button.YES) return;
+
+	reconcile(undefined, true);
+	showToast("HubDB repaired from the sheets.", "Reconcile");
+}
+
+/**
+ * Menu handler: recompute and publish the group standings of every target
+ */
+function publishStandingsFromMenu() {
+	const messages = [];
+
+	SYNC_TARGETS.filter((target) => target.standingsSheetName).forEach(
+		(target) => {
+			try {
+				const sheet = getTargetSheet(target);
+				getColumnMap(sheet, true);
+				const { allData } = getAllSheetData(sheet, sheet.getLastRow());
+				publishStandings(target, allData, true);
+				messages.push(`${target.name}: standings published`);
+			} catch (error) {
+				console.error(`Error publishing standings for ${target.name}:`, error);
+				messages.push(`${target.name}: ${error.message}`);
+			}
+		}
+	);
+
+	showToast(messages.join("\n") || "No target has standings.", "Standings");
+}
+
+/**
+ * Menu handler: check every target's schedule and show the conflicts
+ */
+function checkScheduleFromMenu() {
+	const count = checkSchedule();
+	getOrCreateSheet(CONFLICTS_SHEET_NAME).activate();
+	showToast(
+		count === 0
+			? "No schedule conflicts found."
+			: `${count} conflict(s) found, see the "${CONFLICTS_SHEET_NAME}" sheet.`,
+		"Schedule"
+	);
 }
 
 /**
- * Send changes to HubSpot with intelligent batch handling
+ * Menu handler: point the player dropdowns at the current registry
  */
-function sendToHubSpot(changes, sheet) {
+function refreshPlayerDropdownsFromMenu() {
+	let message;
 	try {
-		console.log("Sending to HubSpot...");
+		message =
+			applyPlayerValidation() === 0
+				? "No target has a players tab."
+				: "Player dropdowns now list the registry.";
+	} catch (error) {
+		console.error("Error applying player dropdowns:", error);
+		message = error.message;
+	}
 
-		const rowsToProcess = changes
-			.filter((change) => change.row)
-			.map((change) => change.row);
+	showToast(message, "Players");
+}
 
-		if (rowsToProcess.length > 0) {
-			clearSyncStatusForRows(sheet, rowsToProcess);
-		}
+/**
+ * Menu handler: sync only the rows in the current selection
+ */
+function syncSelectedRows() {
+	const range = SpreadsheetApp.getActiveRange();
+	const target = range ? getTargetForSheet(range.getSheet()) : null;
 
-		const deleteChanges = changes.filter((change) => change.type === "DELETED");
-		const otherChanges = changes.filter((change) => change.type !== "DELETED");
+	if (!target) {
+		showToast("Select rows on a synced sheet first.");
+		return;
+	}
 
-		if (deleteChanges.length > 1) {
-			processBatchDeletes(deleteChanges, sheet, otherChanges);
-		} else if (deleteChanges.length === 1) {
-			otherChanges.push(...deleteChanges);
-		}
+	const rows = [];
+	for (let row = range.getRow(); row <= range.getLastRow(); row++) {
+		if (row >= DATA_START_ROW) rows.push(row);
+	}
 
-		if (otherChanges.length > 0) {
-			return processIndividualOperations(otherChanges, sheet);
-		}
+	if (rows.length === 0) {
+		showToast(`Select rows from row ${DATA_START_ROW} down.`);
+		return;
+	}
 
-		return { message: "All operations completed" };
-	} catch (error) {
-		console.error("Error sending to HubSpot:", error);
-		throw error;
+	if (syncTarget(target, { rows: rows, trigger: "selected rows" })) {
+		showToast(
+			formatRunSummary(getLastRunStats(target)),
+			"Selected rows synced"
+		);
+	} else {
+		showToast(
+			"Another sync is running. The selected rows are queued and will sync shortly."
+		);
 	}
 }
 
-function processBatchDeletes(deleteChanges, sheet, otherChanges) {
-	const batchDeletePayload = {
-		operation: "BATCH_DELETE_HUBDB_ROWS",
-		hubdbRowIds: deleteChanges
-			.map((change) => change.oldData?.hubdbRowId)
-			.filter((id) => id),
-		metadata: {
-			timestamp: new Date().toISOString(),
-			source: "google_sheets_sync_batch",
-			reason: "data_changes",
-			totalChanges: deleteChanges.length,
-		},
-	};
-
-	try {
-		updateSyncStatusForChanges(deleteChanges, sheet, "syncing");
-
-		const batchResponse = UrlFetchApp.fetch(`${HUBSPOT_SERVERLESS_ENDPOINT}`, {
-			method: "POST",
-			headers: { "Content-Type": "application/json" },
-			payload: JSON.stringify(batchDeletePayload),
-		});
+/**
+ * Menu handler: show the latest sync log entries of the match on the
+ * selected row
+ */
+function showMatchHistoryFromMenu() {
+	const range = SpreadsheetApp.getActiveRange();
+	const target = range ? getTargetForSheet(range.getSheet()) : null;
 
-		const responseCode = batchResponse.getResponseCode();
-		const responseText = batchResponse.getContentText();
+	if (!target || range.getRow() < DATA_START_ROW) {
+		showToast("Select a match row on a synced sheet first.");
+		return;
+	}
 
-		if (responseCode >= 200 && responseCode < 300) {
-			handleBatchDeleteSuccess(deleteChanges, sheet, responseText);
-		} else {
-			handleBatchDeleteFailure(deleteChanges, sheet, responseCode, responseText, otherChanges);
-		}
-	} catch (batchError) {
-		handleBatchDeleteError(deleteChanges, sheet, batchError, otherChanges);
+	const sheet = range.getSheet();
+	const columns = getColumnMap(sheet, true);
+	const values = sheet
+		.getRange(range.getRow(), 1, 1, Math.max(...Object.values(columns)))
+		.getValues()[0];
+	const id =
+		(columns.matchId && values[columns.matchId - 1]) ||
+		values[columns.hubdbRowId - 1];
+	const history = id ? getMatchHistory(id) : [];
+
+	if (history.length === 0) {
+		showToast("Nothing has been synced for this row yet.", "Match history");
+		return;
 	}
+
+	const lines = history.slice(-MATCH_HISTORY_LIMIT).map((entry) => {
+		const changes = entry.changes
+			? `\n  ${String(entry.changes).split("\n").join("\n  ")}`
+			: "";
+		return `${entry.time} ${entry.operation} (${entry.trigger}), HTTP ${entry.httpStatus || "error"}${changes}`;
+	});
+	const ui = SpreadsheetApp.getUi();
+	ui.alert(
+		`Match history: ${id}`,
+		`${lines.join("\n\n")}\n\nEvery entry is on the "${SYNC_LOG_SHEET_NAME}" sheet.`,
+		ui.ButtonSet.OK
+	);
 }
 
-function handleBatchDeleteSuccess(deleteChanges, sheet, responseText) {
-	const batchResponseData = JSON.parse(responseText);
-	console.log("Successfully batch deleted from HubSpot");
+/**
+ * Menu handler: write the selected cleared rows back before they are
+ * deleted from HubDB
+ */
+function undoClearFromMenu() {
+	const range = SpreadsheetApp.getActiveRange();
+	const target = range ? getTargetForSheet(range.getSheet()) : null;
 
-	if (batchResponseData.success) {
-		const successfulDeletions =
-			batchResponseData.results?.filter(
-				(r) => r.status === "success"
-			) || [];
+	if (!target) {
+		showToast("Select the cleared rows on a synced sheet first.");
+		return;
+	}
 
-		deleteChanges.forEach((change) => {
-			if (!change.oldData?.sheetRow) return;
+	const rows = [];
+	for (let row = range.getRow(); row <= range.getLastRow(); row++) {
+		if (row >= DATA_START_ROW) rows.push(row);
+	}
 
-			const wasDeleted = successfulDeletions.some(
-				(result) => result.hubdbId === change.oldData.hubdbRowId
-			);
+	const lock = LockService.getScriptLock();
+	if (!lock.tryLock(SYNC_LOCK_WAIT_MS)) {
+		showToast("Another sync is running, try again in a minute.");
+		return;
+	}
 
-			if (wasDeleted) {
-				updateRowAfterSuccessfulDelete(sheet, change.oldData.sheetRow);
-			} else {
-				updateRowWithError(sheet, change.oldData.sheetRow, "Batch deletion failed");
-			}
-		});
-	} else {
-		const errorMessage = `Batch deletion failed: ${
-			batchResponseData.message || "Unknown error"
-		}`;
-		deleteChanges.forEach((change) => {
-			if (change.oldData?.sheetRow) {
-				updateRowWithError(sheet, change.oldData.sheetRow, errorMessage);
-			}
-		});
+	let restored;
+	try {
+		restored = restoreClearedRows(target, rows);
+	} finally {
+		lock.releaseLock();
 	}
-}
 
-function handleBatchDeleteFailure(deleteChanges, sheet, responseCode, responseText, otherChanges) {
-	console.warn("Batch delete failed, handling individually");
-	const errorMessage = `HTTP ${responseCode}: ${responseText}`;
-	deleteChanges.forEach((change) => {
-		if (change.oldData?.sheetRow) {
-			updateRowWithError(sheet, change.oldData.sheetRow, errorMessage);
-		}
-	});
-	otherChanges.push(...deleteChanges);
-}
+	if (restored.length === 0) {
+		showToast("No selected row is waiting to be deleted.", "Undo clear");
+		return;
+	}
 
-function handleBatchDeleteError(deleteChanges, sheet, batchError, otherChanges) {
-	console.error("Batch delete error, handling individually:", batchError);
-	const errorMessage = `Exception: ${batchError.message}`;
-	deleteChanges.forEach((change) => {
-		if (change.oldData?.sheetRow) {
-			updateRowWithError(sheet, change.oldData.sheetRow, errorMessage);
-		}
-	});
-	otherChanges.push(...deleteChanges);
+	// Shows the rows on the website again
+	syncTarget(target, { rows: restored, trigger: "undo clear" });
+	showToast(`${restored.length} row(s) restored.`, "Undo clear");
 }
 
-function processIndividualOperations(otherChanges, sheet) {
-	updateSyncStatusForChanges(otherChanges, sheet, "syncing");
+/**
+ * Menu handler: confirm, then delete every cleared row without waiting for
+ * the grace period
+ */
+function deletePendingRowsFromMenu() {
+	const count = SYNC_TARGETS.reduce(
+		(total, target) => total + Object.keys(getPendingDeletes(target)).length,
+		0
+	);
 
-	const individualPayload = {
-		gameData: otherChanges.map((change) => ({
-			operation: change.type,
-			uniqueId: change.uniqueId,
-			data: change.newData,
-			oldData: change.oldData,
-			changedFields: change.changedFields,
-			metadata: {
-				timestamp: new Date().toISOString(),
-				source: "google_sheets_sync",
-				sheetRow: change.row || change.oldData?.sheetRow || null,
-			},
-		})),
-	};
+	if (count === 0) {
+		showToast("No cleared rows are waiting to be deleted.");
+		return;
+	}
 
-	const response = UrlFetchApp.fetch(`${HUBSPOT_SERVERLESS_ENDPOINT}`, {
-		method: "POST",
-		headers: { "Content-Type": "application/json" },
-		payload: JSON.stringify(individualPayload),
-	});
+	const ui = SpreadsheetApp.getUi();
+	const answer = ui.alert(
+		"Delete cleared rows now",
+		`${count} cleared row(s) will be deleted from HubDB now instead of after ${DELETE_GRACE_HOURS} hours. This cannot be undone. Continue?`,
+		ui.ButtonSet.YES_NO
+	);
+	if (answer !== ui.Button.YES) return;
 
-	const responseCode = response.getResponseCode();
-	const responseText = response.getContentText();
+	deletePendingRows();
+	showRunSummaryToast("Cleared rows deleted");
+}
 
-	if (responseCode >= 200 && responseCode < 300) {
-		console.log("Successfully sent operations to HubSpot");
-		updateRowsAfterSuccess(otherChanges, sheet);
-		return JSON.parse(responseText);
-	} else {
-		updateRowsAfterFailure(otherChanges, sheet, responseCode, responseText);
-		throw new Error(`HubSpot API error: ${responseCode} - ${responseText}`);
+/**
+ * Menu handler: show the held deletions, confirm, then sync the targets
+ * holding them with the deletions approved
+ */
+function approveHeldDeletesFromMenu() {
+	const held = SYNC_TARGETS.filter((target) => getDeleteHold(target));
+
+	if (held.length === 0) {
+		showToast("No deletions are being held.");
+		return;
 	}
-}
 
-function updateSyncStatusForChanges(changes, sheet, status) {
-	changes.forEach((change) => {
-		const targetRow = change.row || change.oldData?.sheetRow;
-		if (targetRow) {
-			sheet.getRange(targetRow, SYNC_STATUS_ID_COLUMN).setValue(status);
-		}
-	});
-}
+	const reasons = held
+		.map((target) => `${target.name}: ${getDeleteHold(target).reason}`)
+		.join("\n");
+	const ui = SpreadsheetApp.getUi();
+	const answer = ui.alert(
+		"Approve held deletions",
+		`${reasons}\n\nThese rows will be deleted from HubDB. This cannot be undone. Continue?`,
+		ui.ButtonSet.YES_NO
+	);
+	if (answer !== ui.Button.YES) return;
 
-function updateRowAfterSuccessfulDelete(sheet, sheetRow) {
-	sheet.getRange(sheetRow, HUBDB_ROW_ID_COLUMN).setValue("");
-	sheet.getRange(sheetRow, SYNC_STATUS_ID_COLUMN).setValue("deleted");
-	sheet.getRange(sheetRow, SYNC_MESSAGE_ID_COLUMN).setValue("Successfully deleted from HubDB");
+	approveHeldDeletes();
+	showRunSummaryToast("Held deletions approved");
 }
 
-function updateRowWithError(sheet, sheetRow, errorMessage) {
-	sheet.getRange(sheetRow, SYNC_STATUS_ID_COLUMN).setValue("error");
-	sheet.getRange(sheetRow, SYNC_MESSAGE_ID_COLUMN).setValue(errorMessage);
+/**
+ * Forget the stored snapshot of every target and sync again, so every row
+ * is re-sent to HubSpot
+ */
+function forceResyncAll() {
+	SYNC_TARGETS.forEach((target) => clearSnapshot(target));
+	syncAllData(null, { trigger: "force resync" });
 }
 
-function updateRowsAfterSuccess(changes, sheet) {
-	changes.forEach((change) => {
-		if (change.type === "DELETED" && change.oldData?.sheetRow) {
-			updateRowAfterSuccessfulDelete(sheet, change.oldData.sheetRow);
-		} else if (change.row) {
-			sheet.getRange(change.row, SYNC_STATUS_ID_COLUMN).setValue("sync success");
-			sheet.getRange(change.row, SYNC_MESSAGE_ID_COLUMN).setValue(`${change.type} operation completed successfully`);
-		}
-	});
-}
+/**
+ * Menu handler: confirm, then force a resync of every row
+ */
+function forceResyncFromMenu() {
+	const ui = SpreadsheetApp.getUi();
+	const answer = ui.alert(
+		"Force resync all",
+		"Every row on every synced sheet will be sent to HubSpot again. Continue?",
+		ui.ButtonSet.YES_NO
+	);
+	if (answer !== ui.Button.YES) return;
 
-function updateRowsAfterFailure(changes, sheet, responseCode, responseText) {
-	const errorMessage = `HTTP ${responseCode}: ${responseText}`;
-	changes.forEach((change) => {
-		const targetRow = change.row || change.oldData?.sheetRow;
-		if (targetRow) {
-			updateRowWithError(sheet, targetRow, errorMessage);
-		}
-	});
+	forceResyncAll();
+	showRunSummaryToast("Resync complete");
 }
 
 /**
- * Get stored data from Script Properties
+ * Menu handler: install the sync triggers
  */
-function getStoredData() {
-	try {
-		const stored =
-			PropertiesService.getScriptProperties().getProperty("GAME_DATA");
-		return stored ? JSON.parse(stored) : {};
-	} catch (error) {
-		console.error("Error retrieving or parsing stored data:", error);
-		// Return empty object as fallback for first run or parsing errors
-		return {};
-	}
+function installTriggersFromMenu() {
+	setupTriggers();
+	showToast("Sync triggers installed.");
 }
 
 /**
- * Store current data state
+ * Menu handler: remove the sync triggers
  */
-function storeData(data) {
-	PropertiesService.getScriptProperties().setProperty(
-		"GAME_DATA",
-		JSON.stringify(data)
-	);
-	console.log("Data state stored");
+function removeTriggersFromMenu() {
+	removeTriggers();
+	showToast("Sync triggers removed. Use Sync now to sync manually.");
 }
 
 /**
- * Set up triggers for automatic syncing
- * Uses onChange trigger to catch row deletions
+ * Read the rows currently marked "error" on a target's sheet
  */
-function setupTriggers() {
-	try {
-		// Delete existing triggers
-		const triggers = ScriptApp.getProjectTriggers();
-		triggers.forEach((trigger) => {
-			if (
-				trigger.getHandlerFunction() === "syncAllData" ||
-				trigger.getHandlerFunction() === "onSheetChange"
-			) {
-				ScriptApp.deleteTrigger(trigger);
-			}
+function getRecentErrors(target, limit) {
+	const sheet = getTargetSheet(target);
+	const lastRow = sheet.getLastRow();
+	if (lastRow < DATA_START_ROW) return [];
+
+	const columns = getColumnMap(sheet);
+	const width = Math.max(...Object.values(columns));
+	const values = sheet
+		.getRange(DATA_START_ROW, 1, lastRow - DATA_START_ROW + 1, width)
+		.getValues();
+
+	const errors = [];
+	values.forEach((row, index) => {
+		if (row[columns.syncStatus - 1] !== "error") return;
+		errors.push({
+			sheetRow: DATA_START_ROW + index,
+			match: `${row[columns.player_1 - 1]} vs ${row[columns.player_2 - 1]}`,
+			message: row[columns.syncMessage - 1],
 		});
+	});
 
-		// Create onChange trigger (catches row deletions and other structural changes)
-		ScriptApp.newTrigger("onSheetChange")
-			.forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet())
-			.onChange()
-			.create();
-
-		// Create onEdit trigger (catches cell value changes)
-		ScriptApp.newTrigger("syncAllData")
-			.forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet())
-			.onEdit()
-			.create();
-
-		// Optional: Time-based trigger for regular sync (every 5 minutes)
-		ScriptApp.newTrigger("syncAllData").timeBased().everyMinutes(5).create();
-
-		console.log("Triggers set up successfully");
-		console.log("   - onChange trigger: Will sync when rows are deleted/added");
-		console.log("   - onEdit trigger: Will sync when cells are edited");
-		console.log("   - Time-based trigger: Will sync every 5 minutes");
-	} catch (error) {
-		console.error("Error setting up triggers:", error);
-	}
+	return errors.slice(-limit);
 }
 
 /**
- * Handle sheet structure changes (row deletions, insertions)
- * This function is called by the onChange trigger
+ * Escape text for HTML output
  */
-function onSheetChange(e) {
-	try {
-		console.log("=== SHEET CHANGE DETECTED ===");
-		console.log("Change type:", e.changeType);
-
-		// Always run sync on any structural change
-		// This will catch deleted rows through the stored data comparison
-		syncAllData();
-	} catch (error) {
-		console.error("Error in onSheetChange:", error);
-	}
+function escapeHtml(text) {
+	return String(text)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
 }
 
 /**
- * Remove all triggers
+ * Build the sidebar body: last run, counts, alerts and errors per target
+ * Also called from the sidebar's Refresh button
  */
-function removeTriggers() {
-	try {
-		const triggers = ScriptApp.getProjectTriggers();
-		triggers.forEach((trigger) => {
-			if (
-				trigger.getHandlerFunction() === "syncAllData" ||
-				trigger.getHandlerFunction() === "onSheetChange"
-			) {
-				ScriptApp.deleteTrigger(trigger);
-			}
-		});
+function renderSidebarContent() {
+	return SYNC_TARGETS.map((target) => {
+		const stats = getLastRunStats(target);
+		const alert = getSyncAlert(target);
+		const queue = getQueuedSync(target);
+		const skipped = getSkippedRuns(target);
+		const retries = Object.keys(getRetryQueue(target)).length;
+		const pendingDeletes = Object.keys(getPendingDeletes(target)).length;
+		const deleteHold = getDeleteHold(target);
+		const checkpoint = getSyncCheckpoint(target);
+		let errors = [];
+		try {
+			errors = getRecentErrors(target, SIDEBAR_ERROR_LIMIT);
+		} catch (error) {
+			errors = [{ sheetRow: "-", match: "", message: error.message }];
+		}
 
-		console.log("All sync triggers removed");
-	} catch (error) {
-		console.error("Error removing triggers:", error);
-	}
+		const lines = [`<h3>${escapeHtml(target.name)}</h3>`];
+		if (alert) {
+			lines.push(`<p class="alert">⚠️ ${escapeHtml(alert.message)}</p>`);
+		}
+		lines.push(
+			stats
+				? `<p>Last run: ${escapeHtml(stats.finishedAt)}</p>` +
+						`<table><tr><td>Created</td><td>${stats.created}</td></tr>` +
+						`<tr><td>Updated</td><td>${stats.updated}</td></tr>` +
+						`<tr><td>Deleted</td><td>${stats.deleted}</td></tr>` +
+						`<tr><td>Errors</td><td>${stats.errored}</td></tr></table>` +
+						(stats.failure
+							? `<p class="alert">Run failed: ${escapeHtml(stats.failure)}</p>`
+							: "")
+				: "<p>Not run yet</p>"
+		);
+		if (queue) {
+			lines.push(
+				`<p>Waiting to sync: ${
+					queue.full ? "whole sheet" : `${queue.rows.length} edited row(s)`
+				} (queued ${escapeHtml(queue.queuedAt)})</p>`
+			);
+		}
+		if (checkpoint?.pending > 0) {
+			lines.push(
+				`<p>Sync continuing: ${checkpoint.pending} row(s) left to create (paused ${escapeHtml(checkpoint.savedAt)})</p>`
+			);
+		}
+		if (skipped) {
+			lines.push(
+				`<p>Runs deferred because another sync was running: ${skipped.count} (last ${escapeHtml(skipped.lastSkippedAt)})</p>`
+			);
+		}
+		if (retries > 0) {
+			lines.push(`<p>Failed operations waiting to be retried: ${retries}</p>`);
+		}
+		if (pendingDeletes > 0) {
+			lines.push(
+				`<p>Cleared rows waiting to be deleted: ${pendingDeletes}</p>`
+			);
+		}
+		if (deleteHold) {
+			lines.push(
+				`<p class="alert">Deletions held since ${escapeHtml(deleteHold.heldAt)}: ${escapeHtml(deleteHold.reason)}</p>`
+			);
+		}
+		lines.push(
+			errors.length > 0
+				? `<h4>Rows with errors</h4><ul>${errors
+						.map(
+							(error) =>
+								`<li>Row ${error.sheetRow} ${escapeHtml(error.match)}: ${escapeHtml(error.message)}</li>`
+						)
+						.join("")}</ul>`
+				: "<p>No rows with errors.</p>"
+		);
+		return lines.join("");
+	}).join("<hr>");
 }
 
 /**
- * Manual sync trigger
+ * Menu handler: open the sync status sidebar
  */
-function manualSync() {
-	console.log("=== MANUAL SYNC TRIGGERED ===");
-	syncAllData();
+function showSyncSidebar() {
+	const html = `<!DOCTYPE html>
+<html>
+	<head>
+		<base target="_top">
+		<style>
+			body { font-family: Arial, sans-serif; font-size: 13px; }
+			.alert { color: #b00020; }
+			td { padding-right: 12px; }
+		</style>
+	</head>
+	<body>
+		<button onclick="run('syncAllData')">Sync now</button>
+		<button onclick="refresh()">Refresh</button>
+		<div id="content">${renderSidebarContent()}</div>
+		<script>
+			function refresh() {
+				google.script.run
+					.withSuccessHandler((html) => {
+						document.getElementById("content").innerHTML = html;
+					})
+					.renderSidebarContent();
+			}
+			function run(name) {
+				document.getElementById("content").innerHTML = "<p>Syncing…</p>";
+				google.script.run.withSuccessHandler(refresh)[name]();
+			}
+		</script>
+	</body>
+</html>`;
+
+	SpreadsheetApp.getUi().showSidebar(
+		HtmlService.createHtmlOutput(html).setTitle(SYNC_MENU_NAME)
+	);
 }
@@ -0,0 +1,140 @@
+/**
+ * Checks the signature on requests from the Google Sheets sync (see
+ * REQUEST SIGNING in code.js), for use in the serverless endpoint:
+ *
+ *   const { verifyRequest, createNonceStore } = require("./verify-request");
+ *   const nonces = createNonceStore();
+ *
+ *   exports.main = async (context, sendResponse) => {
+ *     const check = verifyRequest({
+ *       headers: context.headers,
+ *       body: context.body,
+ *       secret: process.env.SYNC_SIGNING_SECRET,
+ *       nonces,
+ *     });
+ *     if (!check.ok) {
+ *       return sendResponse({ statusCode: check.status, body: { error: check.reason } });
+ *     }
+ *     // ...handle the operation
+ *   };
+ *
+ * The signature covers the raw JSON body. A body the platform has already
+ * parsed is serialised again with JSON.stringify, which gives back the same
+ * text for the plain JSON the script sends.
+ */
+const crypto = require("crypto");
+
+const SIGNATURE_VERSION = "v1";
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const SIGNATURE_HEADERS = {
+	timestamp: "x-sync-timestamp",
+	nonce: "x-sync-nonce",
+	signature: "x-sync-signature",
+};
+
+/**
+ * Hex HMAC-SHA256 of "<timestamp>.<nonce>.<body>", as signed by the script
+ */
+function computeSignature(secret, timestamp, nonce, body) {
+	return crypto
+		.createHmac("sha256", secret)
+		.update(`${timestamp}.${nonce}.${body}`, "utf8")
+		.digest("hex");
+}
+
+/**
+ * In-memory record of the nonces seen in the last ttlMs
+ * It only lasts as long as the function instance; pass a store with the same
+ * has / add methods backed by shared storage to reject replays across
+ * instances. The timestamp check bounds replays either way
+ */
+function createNonceStore(ttlMs = 2 * MAX_CLOCK_SKEW_MS) {
+	const expiries = new Map();
+
+	function prune(now) {
+		expiries.forEach((expiresAt, nonce) => {
+			if (expiresAt <= now) expiries.delete(nonce);
+		});
+	}
+
+	return {
+		has(nonce, now = Date.now()) {
+			prune(now);
+			return expiries.has(nonce);
+		},
+		add(nonce, now = Date.now()) {
+			expiries.set(nonce, now + ttlMs);
+		},
+	};
+}
+
+/**
+ * Read a header whatever its case
+ */
+function getHeader(headers, name) {
+	const key = Object.keys(headers || {}).find(
+		(header) => header.toLowerCase() === name
+	);
+	return key === undefined ? "" : String(headers[key]);
+}
+
+function reject(reason) {
+	return { ok: false, status: 401, reason };
+}
+
+/**
+ * Check a request's timestamp, signature and nonce
+ * Returns { ok: true } or { ok: false, status: 401, reason }. The nonce is
+ * only recorded once the signature matches
+ */
+function verifyRequest({ headers, body, secret, nonces, now = Date.now() }) {
+	if (!secret) return reject("No signing secret is configured");
+
+	const timestamp = getHeader(headers, SIGNATURE_HEADERS.timestamp);
+	const nonce = getHeader(headers, SIGNATURE_HEADERS.nonce);
+	const signature = getHeader(headers, SIGNATURE_HEADERS.signature);
+	if (!timestamp || !nonce || !signature) {
+		return reject("Request is not signed");
+	}
+
+	if (
+		!/^\d+$/.test(timestamp) ||
+		Math.abs(now - Number(timestamp)) > MAX_CLOCK_SKEW_MS
+	) {
+		return reject("Request timestamp is outside the allowed window");
+	}
+
+	const [version, digest = ""] = signature.split("=");
+	if (version !== SIGNATURE_VERSION) {
+		return reject(`Unsupported signature version "${version}"`);
+	}
+
+	const rawBody = typeof body === "string" ? body : JSON.stringify(body);
+	const expected = Buffer.from(
+		computeSignature(secret, timestamp, nonce, rawBody),
+		"hex"
+	);
+	const received = Buffer.from(digest, "hex");
+	if (
+		received.length !== expected.length ||
+		!crypto.timingSafeEqual(received, expected)
+	) {
+		return reject("Signature does not match");
+	}
+
+	if (nonces) {
+		if (nonces.has(nonce, now)) return reject("Nonce has already been used");
+		nonces.add(nonce, now);
+	}
+
+	return { ok: true };
+}
+
+module.exports = {
+	SIGNATURE_VERSION,
+	MAX_CLOCK_SKEW_MS,
+	SIGNATURE_HEADERS,
+	computeSignature,
+	createNonceStore,
+	verifyRequest,
+};
@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+
+function fixtures(count) {
+	return Array.from({ length: count }, (_, i) =>
+		fixture({ player1: `Player ${i * 2}`, player2: `Player ${i * 2 + 1}` })
+	);
+}
+
+function retryQueue(env) {
+	return env.script.getRetryQueue(env.script.getSyncTarget("tennis"));
+}
+
+test("creates several rows with one batch request and writes back hs_ids", () => {
+	const env = setup(fixtures(3));
+
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.requests.length, 1);
+	const [batch] = env.UrlFetchApp.payloads("BATCH_CREATE_HUBDB_ROWS");
+	assert.deepEqual(
+		batch.rows.map((row) => row.sheetRow),
+		[4, 5, 6]
+	);
+	assert.equal(batch.rows[1].data.player_1, "Player 2");
+	assert.equal(batch.rows[1].matchId, env.sheet.cell(5, 11));
+	assert.deepEqual(
+		[4, 5, 6].map((row) => [env.sheet.cell(row, 1), env.sheet.cell(row, 9)]),
+		[
+			["1000", "sync success"],
+			["1001", "sync success"],
+			["1002", "sync success"],
+		]
+	);
+});
+
+test("splits large creations into chunks sent together with fetchAll", () => {
+	const env = setup(fixtures(5));
+	env.script.getSyncTarget("tennis").createBatchSize = 2;
+	const sizes = [];
+	const fetchAll = env.UrlFetchApp.fetchAll;
+	env.UrlFetchApp.fetchAll = (requests) => {
+		sizes.push(
+			Array.from(requests, (req) => JSON.parse(req.payload).rows.length)
+		);
+		return fetchAll(requests);
+	};
+
+	env.script.syncAllData();
+
+	assert.deepEqual(sizes, [[2, 2, 1]]);
+	assert.equal(env.hubdb.rows.size, 5);
+	assert.equal(env.sheet.cell(8, 1), "1004");
+	assert.equal(env.sheet.cell(8, 9), "sync success");
+});
+
+test("marks only the rows the endpoint rejected as errored", () => {
+	const env = setup(fixtures(3), {
+		handler: (payload) => {
+			const reply = env.hubdb.handle(payload);
+			const body = JSON.parse(reply.body);
+			body.results[1] = {
+				uniqueId: payload.rows[1].uniqueId,
+				status: "error",
+				message: "Invalid venue",
+			};
+			return { code: 200, body: JSON.stringify(body) };
+		},
+	});
+
+	env.script.syncAllData();
+
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+	assert.equal(env.sheet.cell(5, 1), "");
+	assert.equal(env.sheet.cell(5, 9), "error");
+	assert.equal(env.sheet.cell(5, 10), "Creation failed: Invalid venue");
+	assert.equal(env.sheet.cell(6, 1), "1002");
+	assert.deepEqual(Object.keys(retryQueue(env)), []);
+});
+
+test("queues every row of a batch the endpoint could not take", () => {
+	const env = setup(fixtures(2), {
+		handler: () => ({ code: 503, body: "Unavailable" }),
+	});
+
+	env.script.syncAllData();
+
+	assert.equal(env.sheet.cell(4, 9), "error");
+	assert.match(env.sheet.cell(5, 10), /^HTTP 503/);
+	assert.deepEqual(
+		Object.keys(retryQueue(env)).sort(),
+		[
+			`CREATE:${env.sheet.cell(4, 11)}`,
+			`CREATE:${env.sheet.cell(5, 11)}`,
+		].sort()
+	);
+
+	env.UrlFetchApp.handler = (payload) => env.hubdb.handle(payload);
+	env.script.syncScheduledTargets();
+
+	assert.equal(env.hubdb.rows.size, 2);
+	assert.deepEqual(Object.keys(retryQueue(env)), []);
+});
+
+test("logs one row per match of a batch creation", () => {
+	const env = setup(fixtures(2));
+
+	env.script.syncAllData();
+
+	const log = env.script.readSyncLog();
+	assert.deepEqual(
+		log.map((entry) => [entry.operation, entry.hubdbRowId, entry.sheetRow]),
+		[
+			["BATCH_CREATE_HUBDB_ROWS", "1000", 4],
+			["BATCH_CREATE_HUBDB_ROWS", "1001", 5],
+		]
+	);
+	assert.match(log[1].response, /"hubdbRowId":"1001"/);
+});
+
+test("fails only the chunk whose reply is not JSON", () => {
+	const env = setup(fixtures(4), {
+		handler: (payload) =>
+			payload.rows[0].sheetRow === 4
+				? { code: 200, body: "<html>Gateway</html>" }
+				: env.hubdb.handle(payload),
+	});
+	const target = env.script.getSyncTarget("tennis");
+	target.createBatchSize = 2;
+
+	env.script.syncAllData();
+
+	assert.deepEqual(
+		[4, 5, 6, 7].map((row) => env.sheet.cell(row, 9)),
+		["error", "error", "sync success", "sync success"]
+	);
+	assert.match(env.sheet.cell(4, 10), /^Exception: /);
+	assert.equal(env.sheet.cell(6, 1), "1000");
+	assert.equal(env.script.getLastRunStats(target).failure, null);
+	assert.deepEqual(env.script.getSyncCheckpoint(target)?.inFlight || [], []);
+	assert.equal(Object.keys(retryQueue(env)).length, 2);
+});
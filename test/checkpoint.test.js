@@ -0,0 +1,141 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+
+const CHECKPOINT_KEY = "SYNC_CHECKPOINT_GAME_DATA";
+
+function fixtures(count) {
+	return Array.from({ length: count }, (_, i) =>
+		fixture({ player1: `Player ${i * 2}`, player2: `Player ${i * 2 + 1}` })
+	);
+}
+
+function checkpoint(env) {
+	return JSON.parse(env.PropertiesService.store.get(CHECKPOINT_KEY) || "null");
+}
+
+function continuationTriggers(env) {
+	return env.ScriptApp.getProjectTriggers().filter(
+		(trigger) => trigger.getHandlerFunction() === "continueSyncs"
+	);
+}
+
+/** 10 new rows in batches of 2: the first group of requests sends 8 */
+function setupLongImport() {
+	const env = setup(fixtures(10));
+	env.script.getSyncTarget("tennis").createBatchSize = 2;
+
+	// The first request uses up the run's time budget
+	const clock = env.run("Date");
+	const realNow = clock.now;
+	let elapsed = 0;
+	clock.now = () => realNow() + elapsed;
+	env.UrlFetchApp.handler = (payload) => {
+		elapsed = env.run("SYNC_TIME_BUDGET_MS");
+		return env.hubdb.handle(payload);
+	};
+	return env;
+}
+
+test("stops creating rows when out of time and schedules a continuation", () => {
+	const env = setupLongImport();
+
+	env.script.syncAllData();
+
+	assert.equal(env.hubdb.rows.size, 8);
+	assert.equal(env.sheet.cell(11, 1), "1007");
+	assert.equal(env.sheet.cell(12, 1), "");
+	assert.equal(env.sheet.cell(12, 9), "waiting");
+	assert.equal(checkpoint(env).pending, 2);
+	assert.equal(checkpoint(env).created, 8);
+	assert.deepEqual([...checkpoint(env).inFlight], []);
+	assert.equal(continuationTriggers(env).length, 1);
+	assert.equal(continuationTriggers(env)[0].spec.after, 60 * 1000);
+	assert.match(
+		env.script.renderSidebarContent(),
+		/Sync continuing: 2 row\(s\) left to create/
+	);
+});
+
+test("the continuation creates only the rows that were left", () => {
+	const env = setupLongImport();
+	env.script.syncAllData();
+	env.UrlFetchApp.requests.length = 0;
+
+	env.script.continueSyncs();
+
+	const created = env.UrlFetchApp.createdRows();
+	assert.deepEqual(
+		created.map((data) => data.player_1),
+		["Player 16", "Player 18"]
+	);
+	assert.equal(env.hubdb.rows.size, 10);
+	assert.equal(env.sheet.cell(13, 1), "1009");
+	assert.equal(env.sheet.cell(13, 9), "sync success");
+	assert.equal(checkpoint(env), null);
+	assert.equal(continuationTriggers(env).length, 0);
+	assert.equal(
+		env.script.getLastRunStats(env.script.getSyncTarget("tennis")).trigger,
+		"continue"
+	);
+
+	env.UrlFetchApp.requests.length = 0;
+	env.script.syncAllData();
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+});
+
+test("an edit sync keeps the checkpoint of a paused full sync", () => {
+	const env = setupLongImport();
+	env.script.syncAllData();
+
+	env.sheet.getRange(4, 7).setValue("6-4 6-3");
+	env.script.syncAllData(null, { rows: [4] });
+	assert.equal(env.hubdb.rows.get("1000").results, "6-4 6-3");
+	assert.equal(checkpoint(env).pending, 2);
+
+	env.script.continueSyncs();
+	assert.equal(env.hubdb.rows.size, 10);
+});
+
+test("alerts when the previous run was killed with creations in flight", () => {
+	const env = setup(fixtures(2));
+	env.script.syncAllData();
+	env.PropertiesService.store.set(
+		CHECKPOINT_KEY,
+		JSON.stringify({ inFlight: ["M-0000AAAA", "M-0000BBBB"] })
+	);
+
+	env.script.syncAllData();
+
+	assert.match(
+		env.script.getSyncAlert(env.script.getSyncTarget("tennis")).message,
+		/stopped while creating 2 rows \(M-0000AAAA, M-0000BBBB\)/
+	);
+	assert.deepEqual([...checkpoint(env).inFlight], []);
+});
+
+test("alerts about creations in flight before queued creations are retried", () => {
+	const env = setup(fixtures(2), {
+		handler: () => ({ code: 500, body: "Internal error" }),
+	});
+	env.script.syncAllData();
+	assert.equal(
+		Object.keys(env.script.getRetryQueue(env.script.getSyncTarget("tennis")))
+			.length,
+		2
+	);
+	env.PropertiesService.store.set(
+		CHECKPOINT_KEY,
+		JSON.stringify({ inFlight: ["M-0000AAAA"] })
+	);
+	env.UrlFetchApp.handler = (payload) => env.hubdb.handle(payload);
+
+	env.script.syncAllData();
+
+	assert.match(
+		env.script.getSyncAlert(env.script.getSyncTarget("tennis")).message,
+		/stopped while creating 1 rows \(M-0000AAAA\)/
+	);
+	assert.equal(env.hubdb.rows.size, 2);
+	assert.deepEqual([...checkpoint(env).inFlight], []);
+});
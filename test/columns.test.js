@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { HEADERS, fixture, setup } = require("./helpers");
+
+test("resolves columns from the header row when a column is inserted", () => {
+	const headers = [...HEADERS.slice(0, 7), "Court notes", ...HEADERS.slice(7)];
+	const row = fixture();
+	const env = setup([[...row.slice(0, 7), "Bring balls", ...row.slice(7)]], {
+		headers,
+	});
+
+	env.script.syncAllData();
+
+	const [create] = env.UrlFetchApp.payloads("CREATE_HUBDB_ROW");
+	assert.equal(create.data.venue, "Court 1");
+	assert.equal(env.sheet.cell(4, 8), "Bring balls");
+	assert.equal(env.sheet.cell(4, 10), "sync success");
+	assert.equal(env.sheet.cell(4, 11), "HubDB row created successfully");
+});
+
+test("matches headers regardless of case, spacing and aliases", () => {
+	const headers = HEADERS.map((header) => header.toUpperCase());
+	headers[1] = "Date & Time";
+	headers[6] = "score";
+	const env = setup([fixture({ results: "6-1 6-0" })], { headers });
+
+	const columns = env.script.resolveColumns(env.sheet);
+
+	assert.equal(columns.date_and_time, 2);
+	assert.equal(columns.results, 7);
+	assert.equal(columns.round, undefined);
+});
+
+test("refuses to sync when a required header is missing", () => {
+	const env = setup([fixture()], {
+		headers: HEADERS.filter((header) => header !== "Sync status"),
+	});
+
+	assert.throws(
+		() => env.script.resolveColumns(env.sheet),
+		/Missing required headers.*Sync status/
+	);
+
+	env.script.syncAllData();
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+});
+
+test("treats a row as cleared even when its old sync status remains", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+
+	env.sheet.getRange(4, 2, 1, 7).setValue("");
+	env.script.syncAllData();
+	env.script.deletePendingRows();
+
+	assert.equal(env.UrlFetchApp.payloads("DELETE_HUBDB_ROW").length, 1);
+	assert.equal(env.sheet.cell(4, 9), "deleted");
+});
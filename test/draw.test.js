@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { HEADERS, fixture, setup } = require("./helpers");
+
+function quarterFinals(results = ["", "", "", ""]) {
+	return [
+		fixture({ player1: "A1", player2: "A2", results: results[0] }),
+		fixture({ player1: "B1", player2: "B2", results: results[1] }),
+		fixture({ player1: "C1", player2: "C2", results: results[2] }),
+		fixture({ player1: "D1", player2: "D2", results: results[3] }),
+		fixture({ stage: "SF", player1: "", player2: "" }),
+		fixture({ stage: "SF", player1: "Winner QF3", player2: "TBD" }),
+		fixture({ stage: "F", player1: "", player2: "" }),
+	];
+}
+
+test("advances winners into the next round's slots", () => {
+	const env = setup(quarterFinals(["6-4 6-4", "3-6 2-6", "W/O P2", ""]));
+
+	env.script.syncAllData();
+
+	assert.equal(env.sheet.cell(8, 5), "A1");
+	assert.equal(env.sheet.cell(8, 6), "B2");
+	assert.equal(env.sheet.cell(9, 5), "C2");
+	assert.equal(env.sheet.cell(9, 6), "TBD");
+
+	// The completed semi-final is created in the same run
+	const created = env.UrlFetchApp.createdRows();
+	assert.ok(
+		created.some((data) => data.stage === "SF" && data.player_1 === "A1")
+	);
+});
+
+test("numbers matches by the Match column when there is one", () => {
+	const headers = [...HEADERS, "Match"];
+	const rows = [
+		[
+			...fixture({ player1: "B1", player2: "B2", results: "6-1 6-1" }),
+			"",
+			"",
+			"QF2",
+		],
+		[
+			...fixture({ player1: "A1", player2: "A2", results: "6-1 6-1" }),
+			"",
+			"",
+			"QF1",
+		],
+		[
+			...fixture({ stage: "Semifinal", player1: "", player2: "" }),
+			"",
+			"",
+			"SF1",
+		],
+	];
+	const env = setup(rows, { headers });
+
+	env.script.syncAllData();
+
+	assert.equal(env.sheet.cell(6, 5), "A1");
+	assert.equal(env.sheet.cell(6, 6), "B1");
+});
+
+test("a corrected result replaces the advanced player", () => {
+	const env = setup(quarterFinals(["6-4 6-4"]));
+	env.script.syncAllData();
+	assert.equal(env.sheet.cell(8, 5), "A1");
+	const createdBefore = env.UrlFetchApp.createdRows().length;
+
+	env.sheet.getRange(4, 7).setValue("4-6 4-6");
+	env.script.onSheetEdit({ range: env.sheet.getRange(4, 7) });
+	env.script.processQueuedSyncs();
+
+	assert.equal(env.sheet.cell(8, 5), "A2");
+	const [update] = env.UrlFetchApp.payloads("gameData");
+	assert.deepEqual(
+		update.gameData.map((item) => item.data.sheetRow),
+		[4]
+	);
+	assert.equal(
+		env.UrlFetchApp.createdRows().length,
+		createdBefore,
+		"the semi-final is still missing its second player"
+	);
+});
+
+test("does not overwrite a name entered by hand or a played match", () => {
+	const rows = quarterFinals(["6-4 6-4", "", "6-0 6-0", "6-0 6-0"]);
+	rows[4] = fixture({ stage: "SF", player1: "Someone Else", player2: "" });
+	rows[5] = fixture({
+		stage: "SF",
+		player1: "X",
+		player2: "Y",
+		results: "6-2 6-2",
+	});
+	const env = setup(rows);
+
+	env.script.syncAllData();
+
+	assert.equal(env.sheet.cell(8, 5), "Someone Else");
+	assert.deepEqual([env.sheet.cell(9, 5), env.sheet.cell(9, 6)], ["X", "Y"]);
+});
+
+test("group matches do not advance", () => {
+	const env = setup([
+		fixture({ stage: "Group A", player1: "A1", results: "6-0 6-0" }),
+		fixture({ stage: "Group A", player1: "A2", results: "6-0 6-0" }),
+		fixture({ stage: "F", player1: "", player2: "" }),
+	]);
+
+	env.script.syncAllData();
+
+	assert.equal(env.sheet.cell(6, 5), "");
+});
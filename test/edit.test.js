@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+
+// Every fixture is a quarter-final, so results go through winner advancement
+function setupSynced(count) {
+	const env = setup(
+		Array.from({ length: count }, (_, i) =>
+			fixture({ player1: `Player ${i}`, player2: `Opponent ${i}` })
+		)
+	);
+	env.script.syncAllData();
+	env.UrlFetchApp.requests.length = 0;
+	env.sheet.reads.length = 0;
+	return env;
+}
+
+test("an edit only reads and syncs the edited rows", () => {
+	const env = setupSynced(20);
+
+	env.sheet.getRange(10, 7).setValue("6-4 6-4");
+	env.sheet.getRange(15, 7).setValue("6-2 6-2");
+	env.script.onSheetEdit({ range: env.sheet.getRange(10, 7) });
+	env.script.processQueuedSyncs();
+
+	const [update] = env.UrlFetchApp.payloads("gameData");
+	assert.deepEqual(
+		update.gameData.map((item) => item.data.sheetRow),
+		[10]
+	);
+	const dataReads = env.sheet.reads.filter((read) => read.row >= 4);
+	assert.ok(dataReads.length > 0);
+	// Other rows are only read a column at a time, to number the draw and
+	// check the schedule
+	dataReads.forEach((read) => {
+		if (read.row === 10 && read.numRows === 1) return;
+		assert.equal(read.numCols, 1);
+	});
+});
+
+test("a knockout result reads whole rows only for its match and the next", () => {
+	const env = setup([
+		fixture({ player1: "A1", player2: "A2" }),
+		fixture({ player1: "B1", player2: "B2" }),
+		fixture({ player1: "C1", player2: "C2" }),
+		fixture({ player1: "D1", player2: "D2" }),
+		fixture({ stage: "SF", player1: "Winner QF1", player2: "Winner QF2" }),
+		fixture({ stage: "SF", player1: "Winner QF3", player2: "Winner QF4" }),
+	]);
+	env.script.syncAllData();
+	env.sheet.reads.length = 0;
+
+	env.sheet.getRange(5, 7).setValue("6-1 6-1");
+	env.script.onSheetEdit({ range: env.sheet.getRange(5, 7) });
+	env.script.processQueuedSyncs();
+
+	assert.equal(env.sheet.cell(8, 6), "B1");
+	// The advanced row is synced with the edited one, so rows 5 to 8 are read
+	env.sheet.reads
+		.filter((read) => read.row >= 4 && read.numCols > 1)
+		.forEach((read) => {
+			assert.ok(read.row >= 5);
+			assert.ok(read.row + read.numRows - 1 <= 8);
+		});
+	assert.equal(env.hubdb.rows.get(env.sheet.cell(8, 1)).player_2, "B1");
+});
+
+test("a pasted block syncs every row in it and keeps the rest of the snapshot", () => {
+	const env = setupSynced(6);
+
+	env.sheet.getRange(5, 7, 2, 1).setValues([["6-0 6-0"], ["6-1 6-1"]]);
+	env.script.onSheetEdit({ range: env.sheet.getRange(5, 7, 2, 1) });
+	env.script.processQueuedSyncs();
+	env.UrlFetchApp.requests.length = 0;
+
+	env.script.syncAllData();
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+});
+
+test("a new row typed in is created from the edit", () => {
+	const env = setupSynced(2);
+
+	env.sheet
+		.getRange(6, 2, 1, 5)
+		.setValues([["13/7/2025 9:00", "Women's Singles", "F", "A", "B"]]);
+	env.script.onSheetEdit({ range: env.sheet.getRange(6, 2, 1, 5) });
+	env.script.processQueuedSyncs();
+
+	assert.equal(env.UrlFetchApp.payloads("CREATE_HUBDB_ROW").length, 1);
+	assert.equal(env.sheet.cell(6, 1), "1002");
+});
+
+test("edits to the status columns do not trigger a sync", () => {
+	const env = setupSynced(2);
+
+	env.sheet.getRange(4, 9, 1, 2).setValue("");
+	env.script.onSheetEdit({ range: env.sheet.getRange(4, 9, 1, 2) });
+	env.script.processQueuedSyncs();
+
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+	assert.equal(env.sheet.reads.filter((read) => read.row >= 4).length, 0);
+});
+
+test("a header edit falls back to a full sync", () => {
+	const env = setupSynced(2);
+
+	env.sheet.getRange(4, 7).setValue("6-3 6-3");
+	env.sheet.getRange(3, 7).setValue("Result");
+	env.script.onSheetEdit({ range: env.sheet.getRange(3, 7) });
+	env.script.processQueuedSyncs();
+
+	assert.equal(env.UrlFetchApp.payloads("gameData").length, 1);
+	assert.ok(
+		env.sheet.reads.some((read) => read.row === 4 && read.numRows === 2)
+	);
+});
@@ -0,0 +1,842 @@
+/**
+ * In-memory stand-ins for the Apps Script services used by code.js.
+ *
+ * loadScript() evaluates code.js inside a fresh vm context wired to these
+ * fakes, so sync flows can be exercised with `node --test test/` before the
+ * script is pasted into the Apps Script editor.
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const crypto = require("crypto");
+const {
+	createNonceStore,
+	verifyRequest,
+} = require("../serverless/verify-request");
+
+const SCRIPT_PATH = path.join(__dirname, "..", "code.js");
+const PROPERTY_VALUE_LIMIT = 9 * 1024;
+const TEST_SIGNING_SECRET = "test-signing-secret";
+
+/**
+ * Convert an A1 reference such as "K1" or "B3:D5" into 1-based coordinates
+ */
+function parseA1(a1) {
+	const match = /^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i.exec(a1);
+	if (!match) throw new Error(`Unsupported A1 notation: ${a1}`);
+
+	const toColumn = (letters) =>
+		letters
+			.toUpperCase()
+			.split("")
+			.reduce((total, ch) => total * 26 + ch.charCodeAt(0) - 64, 0);
+
+	const row = Number(match[2]);
+	const col = toColumn(match[1]);
+	const endRow = match[4] ? Number(match[4]) : row;
+	const endCol = match[3] ? toColumn(match[3]) : col;
+
+	return {
+		row,
+		col,
+		numRows: endRow - row + 1,
+		numCols: endCol - col + 1,
+	};
+}
+
+class FakeRange {
+	constructor(sheet, row, col, numRows, numCols) {
+		this.sheet = sheet;
+		this.row = row;
+		this.col = col;
+		this.numRows = numRows;
+		this.numCols = numCols;
+	}
+
+	getRow() {
+		return this.row;
+	}
+
+	getColumn() {
+		return this.col;
+	}
+
+	getNumRows() {
+		return this.numRows;
+	}
+
+	getNumColumns() {
+		return this.numCols;
+	}
+
+	getLastRow() {
+		return this.row + this.numRows - 1;
+	}
+
+	getLastColumn() {
+		return this.col + this.numCols - 1;
+	}
+
+	getSheet() {
+		return this.sheet;
+	}
+
+	getValues() {
+		this.sheet.reads.push({
+			row: this.row,
+			col: this.col,
+			numRows: this.numRows,
+			numCols: this.numCols,
+		});
+		const values = [];
+		for (let r = 0; r < this.numRows; r++) {
+			const row = [];
+			for (let c = 0; c < this.numCols; c++) {
+				row.push(this.sheet.cell(this.row + r, this.col + c));
+			}
+			values.push(row);
+		}
+		return values;
+	}
+
+	getValue() {
+		return this.sheet.cell(this.row, this.col);
+	}
+
+	setValues(values) {
+		if (
+			values.length !== this.numRows ||
+			values.some((row) => row.length !== this.numCols)
+		) {
+			throw new Error(
+				`The number of rows or columns in the data does not match the range (${this.numRows}x${this.numCols})`
+			);
+		}
+		values.forEach((row, r) =>
+			row.forEach((value, c) =>
+				this.sheet.setCell(this.row + r, this.col + c, value)
+			)
+		);
+		this.sheet.writes.push({
+			row: this.row,
+			col: this.col,
+			numRows: this.numRows,
+			numCols: this.numCols,
+		});
+		return this;
+	}
+
+	setValue(value) {
+		const values = [];
+		for (let r = 0; r < this.numRows; r++) {
+			values.push(new Array(this.numCols).fill(value));
+		}
+		return this.setValues(values);
+	}
+
+	clearContent() {
+		return this.setValue("");
+	}
+
+	setDataValidation(rule) {
+		for (let r = 0; r < this.numRows; r++) {
+			for (let c = 0; c < this.numCols; c++) {
+				this.sheet.validations[`${this.row + r}:${this.col + c}`] = rule;
+			}
+		}
+		return this;
+	}
+
+	getDataValidation() {
+		return this.sheet.validations[`${this.row}:${this.col}`] || null;
+	}
+
+	activate() {
+		this.sheet.spreadsheet.activeRange = this;
+		this.sheet.spreadsheet.activeSheet = this.sheet;
+		return this;
+	}
+}
+
+class FakeSheet {
+	constructor(spreadsheet, name, rows, id) {
+		this.spreadsheet = spreadsheet;
+		this.name = name;
+		this.id = id;
+		this.rows = (rows || []).map((row) => row.slice());
+		this.reads = [];
+		this.writes = [];
+		this.validations = {};
+		this.hidden = false;
+		this.frozenRows = 0;
+	}
+
+	cell(row, col) {
+		const value = (this.rows[row - 1] || [])[col - 1];
+		return value === undefined || value === null ? "" : value;
+	}
+
+	setCell(row, col, value) {
+		while (this.rows.length < row) this.rows.push([]);
+		const target = this.rows[row - 1];
+		while (target.length < col) target.push("");
+		target[col - 1] = value;
+	}
+
+	getName() {
+		return this.name;
+	}
+
+	getSheetId() {
+		return this.id;
+	}
+
+	getParent() {
+		return this.spreadsheet;
+	}
+
+	getRange(rowOrA1, col, numRows, numCols) {
+		if (typeof rowOrA1 === "string") {
+			const ref = parseA1(rowOrA1);
+			return new FakeRange(this, ref.row, ref.col, ref.numRows, ref.numCols);
+		}
+		const rows = numRows === undefined ? 1 : numRows;
+		const cols = numCols === undefined ? 1 : numCols;
+		if (rowOrA1 < 1 || col < 1) {
+			throw new Error("Range coordinates are outside the sheet");
+		}
+		if (rows < 1) {
+			throw new Error("The number of rows in the range must be at least 1.");
+		}
+		if (cols < 1) {
+			throw new Error("The number of columns in the range must be at least 1.");
+		}
+		return new FakeRange(this, rowOrA1, col, rows, cols);
+	}
+
+	getDataRange() {
+		return this.getRange(
+			1,
+			1,
+			Math.max(this.getLastRow(), 1),
+			Math.max(this.getLastColumn(), 1)
+		);
+	}
+
+	getLastRow() {
+		for (let r = this.rows.length; r > 0; r--) {
+			if ((this.rows[r - 1] || []).some((v) => v !== "" && v != null)) {
+				return r;
+			}
+		}
+		return 0;
+	}
+
+	getLastColumn() {
+		return this.rows.reduce((max, row) => {
+			for (let c = row.length; c > max; c--) {
+				if (row[c - 1] !== "" && row[c - 1] != null) return c;
+			}
+			return max;
+		}, 0);
+	}
+
+	getMaxRows() {
+		return Math.max(this.rows.length, 1000);
+	}
+
+	appendRow(values) {
+		const row = this.getLastRow() + 1;
+		values.forEach((value, c) => this.setCell(row, c + 1, value));
+		return this;
+	}
+
+	deleteRow(row) {
+		this.rows.splice(row - 1, 1);
+		return this;
+	}
+
+	deleteRows(row, howMany) {
+		this.rows.splice(row - 1, howMany);
+		return this;
+	}
+
+	insertRowBefore(row) {
+		this.rows.splice(row - 1, 0, []);
+		return this;
+	}
+
+	clear() {
+		this.rows = [];
+		return this;
+	}
+
+	clearContents() {
+		return this.clear();
+	}
+
+	setFrozenRows(count) {
+		this.frozenRows = count;
+	}
+
+	hideSheet() {
+		this.hidden = true;
+		return this;
+	}
+
+	activate() {
+		this.spreadsheet.activeSheet = this;
+		return this;
+	}
+}
+
+class FakeSpreadsheet {
+	constructor(sheets) {
+		this.sheets = [];
+		this.nextSheetId = 1;
+		this.toasts = [];
+		Object.keys(sheets || {}).forEach((name) =>
+			this.addSheet(name, sheets[name])
+		);
+		this.activeSheet = this.sheets[0] || null;
+		this.activeRange = null;
+	}
+
+	getId() {
+		return "fake-spreadsheet";
+	}
+
+	getSheetByName(name) {
+		return this.sheets.find((sheet) => sheet.name === name) || null;
+	}
+
+	getSheets() {
+		return this.sheets.slice();
+	}
+
+	addSheet(name, rows, index) {
+		if (this.getSheetByName(name)) {
+			throw new Error(`A sheet with the name "${name}" already exists.`);
+		}
+		const sheet = new FakeSheet(this, name, rows || [], this.nextSheetId++);
+		this.sheets.splice(
+			index === undefined ? this.sheets.length : index,
+			0,
+			sheet
+		);
+		return sheet;
+	}
+
+	insertSheet(name, index) {
+		return this.addSheet(name, [], index);
+	}
+
+	getActiveSheet() {
+		return this.activeSheet;
+	}
+
+	getActiveRange() {
+		return this.activeRange;
+	}
+
+	toast(message, title) {
+		this.toasts.push({ message, title });
+	}
+}
+
+/**
+ * Simulated serverless endpoint backed by an in-memory HubDB table
+ * Honours the idempotency contract: a repeated idempotencyKey replays the
+ * first reply, and creating a match that already has a row updates it
+ */
+function createFakeHubDB() {
+	const hubdb = {
+		rows: new Map(),
+		matchRows: new Map(), // matchId → hubdbRowId
+		replies: new Map(), // idempotencyKey → first successful reply
+		nextId: 1000,
+		pageSize: 100,
+		standings: null,
+		handle(payload) {
+			const key = payload.idempotencyKey;
+			// Creations are deduplicated by match ID instead, so a row that
+			// was deleted since can be created again
+			const creates =
+				payload.operation === "CREATE_HUBDB_ROW" ||
+				payload.operation === "BATCH_CREATE_HUBDB_ROWS";
+			if (key && !creates && hubdb.replies.has(key)) {
+				return hubdb.replies.get(key);
+			}
+
+			const reply = hubdb.apply(payload);
+			if (key && reply.code === 200) hubdb.replies.set(key, reply);
+			return reply;
+		},
+		create(data, matchId) {
+			const existing = matchId && hubdb.matchRows.get(matchId);
+			if (existing && hubdb.rows.has(existing)) {
+				hubdb.rows.set(existing, { ...data });
+				return { hubdbRowId: existing, alreadyExists: true };
+			}
+
+			const hubdbRowId = String(hubdb.nextId++);
+			hubdb.rows.set(hubdbRowId, { ...data });
+			if (matchId) hubdb.matchRows.set(matchId, hubdbRowId);
+			return { hubdbRowId };
+		},
+		apply(payload) {
+			if (payload.operation === "CREATE_HUBDB_ROW") {
+				return ok({
+					success: true,
+					...hubdb.create(payload.data, payload.metadata?.matchId),
+				});
+			}
+
+			if (payload.operation === "BATCH_CREATE_HUBDB_ROWS") {
+				const results = payload.rows.map((row) => ({
+					uniqueId: row.uniqueId,
+					status: "success",
+					...hubdb.create(row.data, row.matchId),
+				}));
+				return ok({ success: true, results });
+			}
+
+			if (payload.operation === "DELETE_HUBDB_ROW") {
+				const existed = hubdb.rows.delete(String(payload.hubdbRowId));
+				return ok({
+					success: existed,
+					message: existed ? undefined : "Row not found",
+				});
+			}
+
+			if (payload.operation === "BATCH_DELETE_HUBDB_ROWS") {
+				const results = payload.hubdbRowIds.map((id) => ({
+					hubdbId: id,
+					status: hubdb.rows.delete(String(id)) ? "success" : "error",
+				}));
+				return ok({ success: true, results });
+			}
+
+			if (payload.operation === "LIST_HUBDB_ROWS") {
+				const ids = Array.from(hubdb.rows.keys());
+				const start = Number(payload.after || 0);
+				const end = start + hubdb.pageSize;
+				return ok({
+					success: true,
+					rows: ids.slice(start, end).map((hubdbRowId) => ({
+						hubdbRowId,
+						data: hubdb.rows.get(hubdbRowId),
+					})),
+					after: end < ids.length ? String(end) : null,
+				});
+			}
+
+			if (payload.operation === "SET_PENDING_DELETE") {
+				payload.hubdbRowIds.forEach((id) => {
+					const row = hubdb.rows.get(String(id));
+					if (row) row.pendingDelete = payload.pendingDelete;
+				});
+				return ok({ success: true });
+			}
+
+			if (payload.operation === "UPDATE_STANDINGS") {
+				hubdb.standings = payload.standings;
+				return ok({ success: true });
+			}
+
+			if (Array.isArray(payload.gameData)) {
+				payload.gameData.forEach((item) => {
+					if (item.operation === "DELETED") {
+						hubdb.rows.delete(String(item.oldData.hubdbRowId));
+					} else if (item.data && item.data.hubdbRowId) {
+						hubdb.rows.set(String(item.data.hubdbRowId), { ...item.data });
+					}
+				});
+				return ok({ success: true });
+			}
+
+			return { code: 400, body: JSON.stringify({ message: "Bad request" }) };
+		},
+	};
+
+	function ok(body) {
+		return { code: 200, body: JSON.stringify(body) };
+	}
+
+	return hubdb;
+}
+
+/**
+ * Fake UrlFetchApp in front of the endpoint handler. Like the real endpoint,
+ * it checks every request's signature with serverless/verify-request.js and
+ * answers 401 without calling the handler when the check fails
+ */
+function createFakeUrlFetchApp(handler, clock) {
+	const urlFetchApp = {
+		requests: [],
+		handler,
+		secret: TEST_SIGNING_SECRET,
+		nonces: createNonceStore(),
+		fetch(url, options) {
+			const request = {
+				url,
+				options,
+				payload:
+					options && options.payload ? JSON.parse(options.payload) : null,
+			};
+			urlFetchApp.requests.push(request);
+
+			const check = verifyRequest({
+				headers: options && options.headers,
+				body: options && options.payload,
+				secret: urlFetchApp.secret,
+				nonces: urlFetchApp.nonces,
+				now: clock(),
+			});
+			const result = check.ok
+				? urlFetchApp.handler(request.payload, request)
+				: { code: check.status, body: JSON.stringify({ error: check.reason }) };
+			if (result instanceof Error) throw result;
+
+			const muted = options && options.muteHttpExceptions;
+			if (!muted && (result.code < 200 || result.code >= 300)) {
+				throw new Error(
+					`Request failed for ${url} returned code ${result.code}. Truncated server response: ${result.body}`
+				);
+			}
+
+			return {
+				getResponseCode: () => result.code,
+				getContentText: () => result.body,
+				getHeaders: () => result.headers || {},
+			};
+		},
+		fetchAll(requests) {
+			return requests.map((req) => urlFetchApp.fetch(req.url, req));
+		},
+		/** Data of every row posted for creation, one at a time or in batches */
+		createdRows() {
+			return [
+				...urlFetchApp.payloads("CREATE_HUBDB_ROW"),
+				...urlFetchApp
+					.payloads("BATCH_CREATE_HUBDB_ROWS")
+					.flatMap((payload) => payload.rows),
+			].map((row) => row.data);
+		},
+		/** Payloads posted so far, optionally filtered by operation name */
+		payloads(operation) {
+			return urlFetchApp.requests
+				.map((req) => req.payload)
+				.filter(
+					(payload) =>
+						!operation ||
+						payload.operation === operation ||
+						(operation === "gameData" && Array.isArray(payload.gameData))
+				);
+		},
+	};
+	return urlFetchApp;
+}
+
+function createFakePropertiesService() {
+	const store = new Map();
+	const properties = {
+		getProperty: (key) => (store.has(key) ? store.get(key) : null),
+		setProperty(key, value) {
+			const text = String(value);
+			if (Buffer.byteLength(text, "utf8") > PROPERTY_VALUE_LIMIT) {
+				throw new Error("Argument too large: value");
+			}
+			store.set(key, text);
+			return properties;
+		},
+		setProperties(values) {
+			Object.keys(values).forEach((key) =>
+				properties.setProperty(key, values[key])
+			);
+			return properties;
+		},
+		getProperties: () => Object.fromEntries(store),
+		getKeys: () => Array.from(store.keys()),
+		deleteProperty(key) {
+			store.delete(key);
+			return properties;
+		},
+		deleteAllProperties() {
+			store.clear();
+			return properties;
+		},
+	};
+	return {
+		store,
+		getScriptProperties: () => properties,
+		getDocumentProperties: () => properties,
+	};
+}
+
+function createFakeScriptApp() {
+	let nextTriggerId = 1;
+	const scriptApp = {
+		triggers: [],
+		EventType: {
+			ON_EDIT: "ON_EDIT",
+			ON_CHANGE: "ON_CHANGE",
+			ON_OPEN: "ON_OPEN",
+			CLOCK: "CLOCK",
+		},
+		getProjectTriggers: () => scriptApp.triggers.slice(),
+		deleteTrigger(trigger) {
+			scriptApp.triggers = scriptApp.triggers.filter((t) => t !== trigger);
+		},
+		newTrigger(handlerFunction) {
+			const spec = { handlerFunction, eventType: null };
+			const builder = {
+				forSpreadsheet: () => builder,
+				onEdit: () => ((spec.eventType = "ON_EDIT"), builder),
+				onChange: () => ((spec.eventType = "ON_CHANGE"), builder),
+				onOpen: () => ((spec.eventType = "ON_OPEN"), builder),
+				timeBased: () => ((spec.eventType = "CLOCK"), builder),
+				everyMinutes: (minutes) => ((spec.everyMinutes = minutes), builder),
+				everyHours: (hours) => ((spec.everyHours = hours), builder),
+				after: (millis) => ((spec.after = millis), builder),
+				create() {
+					const trigger = {
+						spec,
+						getHandlerFunction: () => spec.handlerFunction,
+						getEventType: () => spec.eventType,
+						getUniqueId: () => String(nextTriggerId++),
+					};
+					scriptApp.triggers.push(trigger);
+					return trigger;
+				},
+			};
+			return builder;
+		},
+	};
+	return scriptApp;
+}
+
+/**
+ * Spreadsheet UI: records menus, alerts and sidebars instead of showing them
+ */
+function createFakeUi() {
+	const ui = {
+		menus: [],
+		alerts: [],
+		sidebars: [],
+		alertResponse: "YES",
+		Button: { OK: "OK", YES: "YES", NO: "NO", CANCEL: "CANCEL" },
+		ButtonSet: { OK: "OK", YES_NO: "YES_NO", OK_CANCEL: "OK_CANCEL" },
+		createMenu(name) {
+			const menu = { name, items: [] };
+			const builder = {
+				addItem: (caption, functionName) => {
+					menu.items.push({ caption, functionName });
+					return builder;
+				},
+				addSeparator: () => {
+					menu.items.push({ separator: true });
+					return builder;
+				},
+				addToUi: () => {
+					ui.menus.push(menu);
+				},
+			};
+			return builder;
+		},
+		alert(title, message, buttons) {
+			ui.alerts.push({ title, message, buttons });
+			return buttons ? ui.alertResponse : ui.Button.OK;
+		},
+		showSidebar(output) {
+			ui.sidebars.push(output);
+		},
+	};
+	return ui;
+}
+
+/**
+ * LockService: a lock is free unless a test marks it as held elsewhere
+ */
+function createFakeLockService() {
+	const createLock = () => {
+		const lock = {
+			heldElsewhere: false,
+			held: false,
+			tryLock() {
+				if (lock.heldElsewhere) return false;
+				lock.held = true;
+				return true;
+			},
+			waitLock(timeout) {
+				if (!lock.tryLock(timeout)) {
+					throw new Error("Lock timeout: another process was holding the lock");
+				}
+			},
+			hasLock: () => lock.held,
+			releaseLock() {
+				lock.held = false;
+			},
+		};
+		return lock;
+	};
+
+	const scriptLock = createLock();
+	const documentLock = createLock();
+	return {
+		scriptLock,
+		documentLock,
+		getScriptLock: () => scriptLock,
+		getDocumentLock: () => documentLock,
+	};
+}
+
+/**
+ * SpreadsheetApp.newDataValidation(): build() returns the options as a plain
+ * object so tests can inspect them through getDataValidation()
+ */
+function createFakeDataValidationBuilder() {
+	const rule = { allowInvalid: true, helpText: "" };
+	const builder = {
+		requireValueInRange(range, showDropdown = true) {
+			rule.type = "VALUE_IN_RANGE";
+			rule.range = range;
+			rule.showDropdown = showDropdown;
+			return builder;
+		},
+		setAllowInvalid(allowInvalid) {
+			rule.allowInvalid = allowInvalid;
+			return builder;
+		},
+		setHelpText(helpText) {
+			rule.helpText = helpText;
+			return builder;
+		},
+		build: () => ({ ...rule }),
+	};
+	return builder;
+}
+
+function createFakeUtilities() {
+	return {
+		sleeps: [],
+		DigestAlgorithm: { MD5: "md5", SHA_1: "sha1", SHA_256: "sha256" },
+		Charset: { UTF_8: "utf8" },
+		sleep(millis) {
+			this.sleeps.push(millis);
+		},
+		getUuid: () => crypto.randomUUID(),
+		computeHmacSha256Signature(value, key) {
+			return Array.from(
+				crypto.createHmac("sha256", key).update(String(value), "utf8").digest()
+			).map((b) => (b > 127 ? b - 256 : b));
+		},
+		computeDigest(algorithm, value) {
+			return Array.from(
+				crypto.createHash(algorithm).update(String(value), "utf8").digest()
+			).map((b) => (b > 127 ? b - 256 : b));
+		},
+		base64Encode: (bytes) => Buffer.from(toBuffer(bytes)).toString("base64"),
+		base64EncodeWebSafe: (bytes) =>
+			Buffer.from(toBuffer(bytes))
+				.toString("base64")
+				.replace(/\+/g, "-")
+				.replace(/\//g, "_"),
+	};
+}
+
+function toBuffer(bytes) {
+	return typeof bytes === "string"
+		? Buffer.from(bytes, "utf8")
+		: Buffer.from(bytes.map((b) => (b < 0 ? b + 256 : b)));
+}
+
+/**
+ * Build a fresh set of fakes and evaluate code.js against them.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.sheets] Sheet name → 2D array of cell values
+ * @param {Function} [options.handler] UrlFetchApp handler (payload → {code, body})
+ * @param {boolean} [options.verbose] Forward console output from code.js
+ */
+function loadScript(options = {}) {
+	const spreadsheet = new FakeSpreadsheet(options.sheets);
+	const hubdb = createFakeHubDB();
+	let context = null;
+	const UrlFetchApp = createFakeUrlFetchApp(
+		options.handler || ((payload) => hubdb.handle(payload)),
+		() => vm.runInContext("Date.now()", context)
+	);
+	const PropertiesService = createFakePropertiesService();
+	if (options.signingSecret !== null) {
+		PropertiesService.store.set(
+			"SYNC_SIGNING_SECRET",
+			options.signingSecret || TEST_SIGNING_SECRET
+		);
+	}
+	const ScriptApp = createFakeScriptApp();
+	const Utilities = createFakeUtilities();
+	const LockService = createFakeLockService();
+
+	const ui = createFakeUi();
+	const SpreadsheetApp = {
+		getActiveSpreadsheet: () => spreadsheet,
+		getActiveSheet: () => spreadsheet.getActiveSheet(),
+		getActiveRange: () => spreadsheet.getActiveRange(),
+		getUi: () => ui,
+		newDataValidation: createFakeDataValidationBuilder,
+	};
+
+	const HtmlService = {
+		createHtmlOutput(content) {
+			const output = {
+				content,
+				title: "",
+				setTitle: (title) => ((output.title = title), output),
+				getContent: () => output.content,
+			};
+			return output;
+		},
+	};
+
+	const silent = () => {};
+	context = vm.createContext({
+		console: options.verbose
+			? console
+			: { log: silent, info: silent, warn: silent, error: silent },
+		SpreadsheetApp,
+		UrlFetchApp,
+		PropertiesService,
+		ScriptApp,
+		Utilities,
+		HtmlService,
+		LockService,
+	});
+
+	vm.runInContext(fs.readFileSync(SCRIPT_PATH, "utf8"), context, {
+		filename: SCRIPT_PATH,
+	});
+
+	return {
+		script: context,
+		/** Evaluate extra source in the script's global scope, e.g. to add targets */
+		run: (source) => vm.runInContext(source, context),
+		spreadsheet,
+		hubdb,
+		UrlFetchApp,
+		PropertiesService,
+		ScriptApp,
+		Utilities,
+		LockService,
+		ui,
+	};
+}
+
+module.exports = {
+	loadScript,
+	parseA1,
+	FakeSpreadsheet,
+	FakeSheet,
+	FakeRange,
+	createFakeHubDB,
+};
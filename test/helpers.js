@@ -0,0 +1,65 @@
+/**
+ * Shared fixtures for the sync tests: a "Schedule and results" sheet with
+ * the title rows and header row that sit above DATA_START_ROW.
+ */
+const { loadScript } = require("./harness");
+
+const SHEET = "Schedule and results";
+const HEADERS = [
+	"hs_id",
+	"Date and time",
+	"Category",
+	"Stage",
+	"Player 1",
+	"Player 2",
+	"Results",
+	"Venue",
+	"Sync status",
+	"Sync message",
+];
+
+function fixture(overrides = {}) {
+	const values = {
+		hs_id: "",
+		date: "12/7/2025 9:00",
+		category: "Men's Singles",
+		stage: "QF",
+		player1: "Tan Wei Ming",
+		player2: "Lim Jun Jie",
+		results: "",
+		venue: "Court 1",
+		...overrides,
+	};
+	return [
+		values.hs_id,
+		values.date,
+		values.category,
+		values.stage,
+		values.player1,
+		values.player2,
+		values.results,
+		values.venue,
+	];
+}
+
+function setup(fixtures, options = {}) {
+	const env = loadScript({
+		...options,
+		sheets: {
+			[SHEET]: [
+				["Pesta Sukan 2025 - Tennis"],
+				[],
+				options.headers || HEADERS,
+				...fixtures,
+			],
+		},
+	});
+	env.sheet = env.spreadsheet.getSheetByName(SHEET);
+	return env;
+}
+
+function clearData(sheet, row) {
+	sheet.getRange(row, 2, 1, 11).setValue("");
+}
+
+module.exports = { SHEET, HEADERS, fixture, setup, clearData };
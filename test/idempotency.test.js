@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup, clearData } = require("./helpers");
+
+function retryQueue(env) {
+	return env.script.getRetryQueue(env.script.getSyncTarget("tennis"));
+}
+
+/** Apply the first `count` requests but lose their replies */
+function loseReplies(env, count) {
+	let lost = 0;
+	env.UrlFetchApp.handler = (payload) => {
+		const reply = env.hubdb.handle(payload);
+		return lost++ < count ? new Error("Timeout: reply lost") : reply;
+	};
+}
+
+test("adopts the row a creation with a lost reply made", () => {
+	const env = setup([fixture()]);
+	loseReplies(env, 1);
+
+	env.script.syncAllData();
+
+	const [first, retry] = env.UrlFetchApp.payloads("CREATE_HUBDB_ROW");
+	assert.equal(first.idempotencyKey, retry.idempotencyKey);
+	assert.match(first.idempotencyKey, /^CREATE:M-[0-9A-F]{8}:/);
+	assert.equal(env.hubdb.rows.size, 1);
+	assert.equal(env.sheet.cell(4, 1), "1000");
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+	assert.match(env.sheet.cell(4, 10), /^Matched to the HubDB row/);
+});
+
+test("does not duplicate a row whose creation failed in an earlier run", () => {
+	const env = setup([fixture()]);
+	const attempts = env.run("RETRY_MAX_ATTEMPTS");
+	loseReplies(env, attempts);
+
+	env.script.syncAllData();
+	assert.equal(env.sheet.cell(4, 9), "error");
+	assert.equal(Object.keys(retryQueue(env)).length, 1);
+
+	env.script.syncScheduledTargets();
+
+	assert.equal(env.hubdb.rows.size, 1);
+	assert.equal(env.sheet.cell(4, 1), "1000");
+	assert.deepEqual(Object.keys(retryQueue(env)), []);
+});
+
+test("adopts existing rows from a retried batch creation", () => {
+	const env = setup([
+		fixture(),
+		fixture({ player1: "Ong Kai Xuan", player2: "Goh Zhi Hao" }),
+	]);
+	loseReplies(env, 1);
+
+	env.script.syncAllData();
+
+	assert.equal(env.hubdb.rows.size, 2);
+	assert.deepEqual(
+		[4, 5].map((row) => env.sheet.cell(row, 1)),
+		["1000", "1001"]
+	);
+	const stats = env.script.getLastRunStats(env.script.getSyncTarget("tennis"));
+	assert.equal(stats.created, 0);
+	assert.equal(stats.updated, 2);
+});
+
+test("adopts the hubdbRowId of a 409 reply", () => {
+	const env = setup([fixture()], {
+		handler: () => ({
+			code: 409,
+			body: JSON.stringify({ message: "Already exists", hubdbRowId: "2000" }),
+		}),
+	});
+
+	env.script.syncAllData();
+
+	assert.equal(env.sheet.cell(4, 1), "2000");
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+});
+
+test("applies a result changed back to an earlier value", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+
+	["6-4 6-3", "6-3 6-4", "6-4 6-3"].forEach((results) => {
+		env.sheet.getRange(4, 7).setValue(results);
+		env.script.syncAllData();
+	});
+
+	const keys = env.UrlFetchApp.payloads("gameData").map(
+		(payload) => payload.gameData[0].idempotencyKey
+	);
+	assert.equal(new Set(keys).size, 3);
+	assert.equal(env.hubdb.rows.get("1000").results, "6-4 6-3");
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+});
+
+test("hides a row cleared a second time", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+
+	clearData(env.sheet, 4);
+	env.script.syncAllData();
+	env.sheet.getRange(4, 2, 1, 7).setValues([fixture().slice(1)]);
+	env.script.syncAllData();
+	assert.equal(env.hubdb.rows.get("1000").pendingDelete, false);
+
+	clearData(env.sheet, 4);
+	env.script.syncAllData();
+
+	const [first, , second] = env.UrlFetchApp.payloads("SET_PENDING_DELETE");
+	assert.notEqual(first.idempotencyKey, second.idempotencyKey);
+	assert.equal(env.hubdb.rows.get("1000").pendingDelete, true);
+	assert.equal(env.sheet.cell(4, 9), "pending delete");
+});
+
+test("keys every write by what it sends, not when or from which row", () => {
+	const env = setup([
+		fixture(),
+		fixture({ player1: "Ong Kai Xuan", player2: "Goh Zhi Hao" }),
+	]);
+	env.script.syncAllData();
+	env.sheet.getRange(4, 7).setValue("6-4 6-3");
+	env.script.syncAllData();
+	env.sheet.deleteRow(5);
+	env.script.syncAllData();
+
+	const payloads = env.UrlFetchApp.payloads();
+	assert.ok(payloads.every((payload) => payload.idempotencyKey));
+	const [update, removal] = env.UrlFetchApp.payloads("gameData");
+	assert.match(update.gameData[0].idempotencyKey, /^UPDATED:M-/);
+	assert.match(removal.gameData[0].idempotencyKey, /^DELETED:M-/);
+
+	const change = {
+		type: "UPDATED",
+		uniqueId: "M-0000AAAA",
+		newData: { results: "6-4 6-3", sheetRow: 4 },
+		changedFields: [{ field: "results", newValue: "6-4 6-3" }],
+	};
+	const moved = { ...change, newData: { ...change.newData, sheetRow: 9 } };
+	const edited = { ...change, newData: { results: "6-4 6-4", sheetRow: 4 } };
+	assert.equal(
+		env.script.buildChangeKey(change),
+		env.script.buildChangeKey(moved)
+	);
+	assert.notEqual(
+		env.script.buildChangeKey(change),
+		env.script.buildChangeKey(edited)
+	);
+});
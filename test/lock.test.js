@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+
+function queuedTriggers(env) {
+	return env.ScriptApp.getProjectTriggers().filter(
+		(trigger) => trigger.getHandlerFunction() === "processQueuedSyncs"
+	);
+}
+
+function tennis(env) {
+	return env.script.getSyncTarget("tennis");
+}
+
+test("rapid edits are coalesced into one deferred run", () => {
+	const env = setup([fixture(), fixture({ player1: "Ong Kai Xuan" })]);
+	env.script.syncAllData();
+	env.UrlFetchApp.requests.length = 0;
+
+	env.sheet.getRange(4, 7).setValue("6");
+	env.script.onSheetEdit({ range: env.sheet.getRange(4, 7) });
+	env.sheet.getRange(4, 7).setValue("6-4");
+	env.script.onSheetEdit({ range: env.sheet.getRange(4, 7) });
+	env.sheet.getRange(5, 7).setValue("6-1 6-1");
+	env.script.onSheetEdit({ range: env.sheet.getRange(5, 7) });
+
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+	assert.equal(queuedTriggers(env).length, 1);
+	assert.deepEqual([...env.script.getQueuedSync(tennis(env)).rows], [4, 5]);
+
+	env.script.processQueuedSyncs();
+
+	const [update] = env.UrlFetchApp.payloads("gameData");
+	assert.deepEqual(
+		update.gameData.map((item) => item.data.results),
+		["6-4", "6-1 6-1"]
+	);
+	assert.equal(queuedTriggers(env).length, 0);
+	assert.equal(env.script.getQueuedSync(tennis(env)), null);
+});
+
+test("edits and change events fired together share one deferred run", () => {
+	const env = setup([
+		fixture(),
+		fixture({ player1: "Ong Kai Xuan", venue: "Court 2" }),
+	]);
+	env.script.syncAllData();
+	env.UrlFetchApp.requests.length = 0;
+
+	// Sheets fires both triggers for every edit
+	env.sheet.getRange(4, 7).setValue("6-4 6-4");
+	env.script.onSheetEdit({ range: env.sheet.getRange(4, 7) });
+	env.script.onSheetChange({ changeType: "EDIT", source: env.spreadsheet });
+	env.sheet.insertRowBefore(5);
+	env.script.onSheetChange({
+		changeType: "INSERT_ROW",
+		source: env.spreadsheet,
+	});
+	env.script.onSheetChange({ changeType: "OTHER", source: env.spreadsheet });
+
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+	assert.equal(queuedTriggers(env).length, 1);
+	assert.equal(env.script.getQueuedSync(tennis(env)).full, true);
+
+	env.script.processQueuedSyncs();
+
+	assert.equal(env.UrlFetchApp.payloads("gameData").length, 1);
+	assert.equal(queuedTriggers(env).length, 0);
+	assert.equal(env.script.getQueuedSync(tennis(env)), null);
+});
+
+test("a sync that cannot get the lock is queued instead of running", () => {
+	const env = setup([fixture()]);
+	env.LockService.scriptLock.heldElsewhere = true;
+
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+	assert.equal(env.script.getQueuedSync(tennis(env)).full, true);
+	assert.equal(env.script.getSkippedRuns(tennis(env)).count, 1);
+	assert.equal(queuedTriggers(env).length, 1);
+
+	env.LockService.scriptLock.heldElsewhere = false;
+	env.script.processQueuedSyncs();
+
+	assert.equal(env.UrlFetchApp.payloads("CREATE_HUBDB_ROW").length, 1);
+	assert.equal(env.hubdb.rows.size, 1);
+});
+
+test("queued work survives another busy run", () => {
+	const env = setup([fixture()]);
+	env.script.onSheetEdit({ range: env.sheet.getRange(4, 7) });
+	env.LockService.scriptLock.heldElsewhere = true;
+
+	env.script.processQueuedSyncs();
+
+	assert.deepEqual([...env.script.getQueuedSync(tennis(env)).rows], [4]);
+	assert.equal(queuedTriggers(env).length, 1);
+});
+
+test("a full sync consumes rows queued by edits", () => {
+	const env = setup([fixture()]);
+	env.script.onSheetEdit({ range: env.sheet.getRange(4, 7) });
+
+	env.script.syncAllData();
+
+	assert.equal(env.script.getQueuedSync(tennis(env)), null);
+	assert.equal(env.hubdb.rows.size, 1);
+});
+
+test("the sidebar shows queued and deferred runs", () => {
+	const env = setup([fixture()]);
+	env.LockService.scriptLock.heldElsewhere = true;
+	env.script.syncAllData();
+
+	const html = env.script.renderSidebarContent();
+
+	assert.match(html, /Waiting to sync: whole sheet/);
+	assert.match(html, /another sync was running: 1/);
+});
+
+test("a change event for a cell edit is left to the edit trigger", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+	env.UrlFetchApp.requests.length = 0;
+
+	env.sheet.getRange(4, 7).setValue("6-4 6-4");
+	env.script.onSheetChange({ changeType: "EDIT", source: env.spreadsheet });
+	env.script.onSheetChange({ changeType: "FORMAT", source: env.spreadsheet });
+
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+	assert.equal(env.script.getQueuedSync(tennis(env)), null);
+	assert.equal(queuedTriggers(env).length, 0);
+
+	env.script.onSheetEdit({ range: env.sheet.getRange(4, 7) });
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+	env.script.processQueuedSyncs();
+
+	assert.equal(env.UrlFetchApp.payloads("gameData").length, 1);
+});
+
+test("a removed row queues a full sync for the deferred run", () => {
+	const env = setup([fixture(), fixture({ player1: "Ong Kai Xuan" })]);
+	env.script.syncAllData();
+	env.UrlFetchApp.requests.length = 0;
+
+	env.sheet.deleteRow(5);
+	env.script.onSheetChange({
+		changeType: "REMOVE_ROW",
+		source: env.spreadsheet,
+	});
+
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+	assert.equal(env.script.getQueuedSync(tennis(env)).full, true);
+	assert.equal(queuedTriggers(env).length, 1);
+
+	env.script.processQueuedSyncs();
+
+	const [update] = env.UrlFetchApp.payloads("gameData");
+	assert.deepEqual(
+		update.gameData.map((item) => [item.operation, item.oldData.hubdbRowId]),
+		[["DELETED", "1001"]]
+	);
+	assert.equal(env.script.getQueuedSync(tennis(env)), null);
+});
@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+
+const MATCH_ID_COLUMN = 11;
+
+function setupSynced() {
+	const env = setup([
+		fixture(),
+		fixture({ player1: "Ong Kai Xuan", player2: "Goh Zhi Hao" }),
+		fixture({ player1: "Chua Yi Ting", player2: "Goh Zhi Hao" }),
+		fixture({ player1: "Lee Jia Hui", results: "not a score" }),
+	]);
+	env.script.syncAllData();
+	env.UrlFetchApp.requests.length = 0;
+	return env;
+}
+
+function reverseRows(sheet, firstRow, lastRow) {
+	const range = sheet.getRange(
+		firstRow,
+		1,
+		lastRow - firstRow + 1,
+		MATCH_ID_COLUMN
+	);
+	range.setValues(range.getValues().reverse());
+}
+
+test("adds the Match ID column and gives every match row an ID", () => {
+	const env = setupSynced();
+
+	assert.equal(env.sheet.cell(3, MATCH_ID_COLUMN), "Match ID");
+	const matchIds = [4, 5, 6, 7].map((row) => env.sheet.cell(row, MATCH_ID_COLUMN));
+	matchIds.forEach((matchId) => assert.match(matchId, /^M-[0-9A-F]{8}$/));
+	assert.equal(new Set(matchIds).size, 4);
+	assert.equal(env.sheet.cell(8, MATCH_ID_COLUMN), "");
+});
+
+test("sorting the sheet sends nothing and keeps rows with their state", () => {
+	const env = setupSynced();
+	const storedKeys = Object.keys(
+		env.script.getStoredData(env.script.getSyncTarget("tennis"))
+	).sort();
+
+	reverseRows(env.sheet, 4, 7);
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+	assert.deepEqual(
+		Object.keys(
+			env.script.getStoredData(env.script.getSyncTarget("tennis"))
+		).sort(),
+		storedKeys
+	);
+	assert.equal(env.sheet.cell(4, 5), "Lee Jia Hui");
+	assert.equal(env.sheet.cell(4, 9), "error");
+	assert.equal(env.sheet.cell(7, 1), "1000");
+	assert.equal(env.sheet.cell(7, 9), "sync success");
+});
+
+test("an edit after sorting updates only the edited match", () => {
+	const env = setupSynced();
+
+	reverseRows(env.sheet, 4, 6);
+	env.sheet.getRange(6, 7).setValue("6-4 6-3");
+	env.script.onSheetEdit({ range: env.sheet.getRange(6, 7) });
+	env.script.processQueuedSyncs();
+	env.script.syncAllData();
+
+	const operations = env.UrlFetchApp.payloads("gameData").flatMap(
+		(payload) => payload.gameData
+	);
+	assert.deepEqual(
+		operations.map((item) => item.operation),
+		["UPDATED"]
+	);
+	assert.equal(env.hubdb.rows.get("1000").results, "6-4 6-3");
+});
+
+test("re-keys a snapshot stored before the rows had match IDs", () => {
+	const env = setupSynced();
+
+	env.sheet.getRange(4, MATCH_ID_COLUMN, 4, 1).setValue("");
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+	assert.match(env.sheet.cell(4, MATCH_ID_COLUMN), /^M-/);
+	assert.deepEqual(
+		Object.values(env.script.getStoredData(env.script.getSyncTarget("tennis")))
+			.map((row) => row.hubdbRowId)
+			.sort(),
+		["", "1000", "1001", "1002"]
+	);
+});
+
+test("gives a copied row an ID of its own", () => {
+	const env = setupSynced();
+	const original = env.sheet.cell(4, MATCH_ID_COLUMN);
+
+	env.sheet.appendRow([
+		"",
+		"13/7/2025 10:00",
+		"Men's Singles",
+		"SF",
+		"Chua Yi Ting",
+		"Tan Wei Ming",
+		"",
+		"Court 2",
+		"",
+		"",
+		original,
+	]);
+	env.script.syncAllData();
+
+	assert.equal(env.sheet.cell(4, MATCH_ID_COLUMN), original);
+	assert.notEqual(env.sheet.cell(8, MATCH_ID_COLUMN), original);
+	assert.equal(env.sheet.cell(4, 1), "1000");
+	assert.equal(env.sheet.cell(8, 1), "1003");
+});
+
+test("writes the hs_id to the row a match moved to during creation", () => {
+	const env = setup([fixture()]);
+	let inserted = false;
+	env.UrlFetchApp.handler = (payload) => {
+		if (payload.operation === "CREATE_HUBDB_ROW" && !inserted) {
+			inserted = true;
+			env.sheet.insertRowBefore(4);
+		}
+		return env.hubdb.handle(payload);
+	};
+
+	env.script.syncAllData();
+
+	assert.equal(env.sheet.cell(4, 1), "");
+	assert.equal(env.sheet.cell(5, 1), "1000");
+	assert.equal(env.sheet.cell(5, 9), "sync success");
+});
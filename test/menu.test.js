@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+
+test("installs the Tennis Sync menu on open", () => {
+	const env = setup([]);
+
+	env.script.onOpen();
+
+	const [menu] = env.ui.menus;
+	assert.equal(menu.name, "Tennis Sync");
+	const handlers = menu.items
+		.filter((item) => !item.separator)
+		.map((item) => item.functionName);
+	handlers.forEach((handler) =>
+		assert.equal(typeof env.script[handler], "function", handler)
+	);
+	assert.deepEqual(handlers, [
+		"syncNowFromMenu",
+		"previewSyncFromMenu",
+		"syncSelectedRows",
+		"undoClearFromMenu",
+		"deletePendingRowsFromMenu",
+		"approveHeldDeletesFromMenu",
+		"reconcileFromMenu",
+		"publishStandingsFromMenu",
+		"checkScheduleFromMenu",
+		"refreshPlayerDropdownsFromMenu",
+		"showMatchHistoryFromMenu",
+		"forceResyncFromMenu",
+		"installTriggersFromMenu",
+		"removeTriggersFromMenu",
+		"showSyncSidebar",
+	]);
+});
+
+test("records run counts and reports them after Sync now", () => {
+	const env = setup([fixture(), fixture({ player1: "Ong Kai Xuan" })]);
+
+	env.script.syncNowFromMenu();
+
+	const stats = env.script.getLastRunStats(env.script.getSyncTarget("tennis"));
+	assert.equal(stats.created, 2);
+	assert.equal(stats.errored, 0);
+	assert.match(env.spreadsheet.toasts[0].message, /tennis: 2 created/);
+});
+
+test("syncs only the selected rows", () => {
+	const env = setup([fixture(), fixture({ player1: "Ong Kai Xuan" })]);
+	env.script.syncAllData();
+	env.UrlFetchApp.requests.length = 0;
+
+	env.sheet.getRange(4, 7).setValue("6-0 6-0");
+	env.sheet.getRange(5, 7).setValue("6-1 6-1");
+	env.sheet.getRange(5, 2, 1, 6).activate();
+	env.script.syncSelectedRows();
+
+	const [update] = env.UrlFetchApp.payloads("gameData");
+	assert.deepEqual(
+		update.gameData.map((item) => item.data.sheetRow),
+		[5]
+	);
+
+	env.UrlFetchApp.requests.length = 0;
+	env.script.syncAllData();
+	const [rest] = env.UrlFetchApp.payloads("gameData");
+	assert.deepEqual(
+		rest.gameData.map((item) => item.data.sheetRow),
+		[4]
+	);
+});
+
+test("force resync asks for confirmation and re-sends every row", () => {
+	const env = setup([fixture({ hs_id: "1000" })]);
+	env.script.syncAllData();
+	env.UrlFetchApp.requests.length = 0;
+
+	env.ui.alertResponse = "NO";
+	env.script.forceResyncFromMenu();
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+
+	env.ui.alertResponse = "YES";
+	env.script.forceResyncFromMenu();
+	const [resync] = env.UrlFetchApp.payloads("gameData");
+	assert.equal(resync.gameData[0].operation, "NEW");
+});
+
+test("sidebar shows last run counts and rows with errors", () => {
+	const env = setup([fixture()], {
+		handler: () => ({ code: 500, body: "Server error" }),
+	});
+	env.script.syncAllData();
+
+	env.script.showSyncSidebar();
+
+	const [sidebar] = env.ui.sidebars;
+	assert.equal(sidebar.title, "Tennis Sync");
+	assert.match(sidebar.content, /<td>Errors<\/td><td>1<\/td>/);
+	assert.match(sidebar.content, /Row 4 Tan Wei Ming vs Lim Jun Jie/);
+});
@@ -0,0 +1,148 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+
+const REGISTRY = [
+	["Player registry"],
+	[],
+	["ID", "Name", "Team", "Seed", "Categories", "Aliases"],
+	[
+		"P001",
+		"Tan Wei Ming",
+		"NYP",
+		1,
+		"Men's Singles, Men's Doubles",
+		"Tan W.M.",
+	],
+	["P002", "Lim Jun Jie", "SP", "", "", ""],
+	["P003", "Ong Kai Xuan", "NP", "", "Women's Singles", "Ong"],
+	["P004", "Ong Kai Wen", "NP", "", "", "Ong"],
+];
+
+function setupWithRegistry(fixtures) {
+	const env = setup(fixtures);
+	env.spreadsheet.addSheet("Players", REGISTRY);
+	env.players = env.spreadsheet.getSheetByName("Players");
+	return env;
+}
+
+test("resolves names by display name, alias or ID and sends IDs and teams", () => {
+	const env = setupWithRegistry([
+		fixture({ player1: "TAN WEI MING (NYP)", player2: "P002" }),
+		fixture({ player1: "Tan W.M.", player2: "lim jun-jie", venue: "Court 2" }),
+	]);
+
+	env.script.syncAllData();
+
+	const creates = env.UrlFetchApp.createdRows();
+	assert.equal(creates.length, 2);
+	creates.forEach((data) => {
+		assert.equal(data.player_1_id, "P001");
+		assert.equal(data.player_1_team, "NYP");
+		assert.equal(data.player_2_id, "P002");
+		assert.equal(data.player_2_team, "SP");
+	});
+	assert.equal(creates[0].player_1, "TAN WEI MING (NYP)");
+});
+
+test("reads the Players tab once per run", () => {
+	const env = setupWithRegistry([
+		fixture({ stage: "SF" }),
+		fixture({ stage: "SF", player1: "Ong Kai Xuan", venue: "Court 2" }),
+	]);
+	const registryReads = () =>
+		env.players.reads.filter((read) => read.row >= 4).length;
+
+	env.script.syncAllData();
+	assert.equal(registryReads(), 1);
+
+	env.sheet.getRange(4, 7).setValue("6-4 6-3");
+	env.script.syncAllData();
+	assert.equal(registryReads(), 2);
+});
+
+test("resolves doubles pairs and skips placeholders", () => {
+	const env = setupWithRegistry([
+		fixture({
+			category: "Men's Doubles",
+			player1: "Tan Wei Ming / Lim Jun Jie",
+			player2: "TBD",
+		}),
+	]);
+
+	env.script.syncAllData();
+
+	const [create] = env.UrlFetchApp.payloads("CREATE_HUBDB_ROW");
+	assert.equal(create.data.player_1_id, "P001 / P002");
+	assert.equal(create.data.player_1_team, "NYP / SP");
+	assert.equal(create.data.player_2_id, "");
+});
+
+test("holds back rows with unknown, ambiguous or ineligible players", () => {
+	const env = setupWithRegistry([
+		fixture({ player1: "Goh Zhi Hao" }),
+		fixture({ player1: "Ong", venue: "Court 2" }),
+		fixture({ player1: "Ong Kai Xuan", venue: "Court 3" }),
+	]);
+
+	env.script.syncAllData();
+
+	assert.equal(env.hubdb.rows.size, 0);
+	assert.deepEqual(
+		[4, 5, 6].map((row) => env.sheet.cell(row, 10)),
+		[
+			'Invalid players: unknown player "Goh Zhi Hao", add them to the "Players" tab',
+			'Invalid players: "Ong" matches more than one player',
+			"Invalid players: Ong Kai Xuan is not eligible for Men's Singles",
+		]
+	);
+	assert.equal(env.sheet.cell(4, 9), "error");
+
+	env.players.appendRow(["P005", "Goh Zhi Hao", "ITE"]);
+	env.script.syncAllData();
+
+	assert.equal(env.hubdb.rows.size, 1);
+	assert.equal(env.hubdb.rows.get("1000").player_1_id, "P005");
+});
+
+test("re-sends rows when a player's team changes in the registry", () => {
+	const env = setupWithRegistry([fixture()]);
+	env.script.syncAllData();
+
+	env.players.getRange(4, 3).setValue("Republic Polytechnic");
+	env.script.syncAllData();
+
+	const [update] = env.UrlFetchApp.payloads("gameData");
+	assert.deepEqual(
+		update.gameData[0].changedFields.map((change) => change.field),
+		["player_1_team"]
+	);
+	assert.equal(update.gameData[0].data.player_1_team, "Republic Polytechnic");
+});
+
+test("syncs names as typed when there is no players tab", () => {
+	const env = setup([fixture({ player1: "Anyone" })]);
+
+	env.script.syncAllData();
+
+	const [create] = env.UrlFetchApp.payloads("CREATE_HUBDB_ROW");
+	assert.equal(create.data.player_1, "Anyone");
+	assert.equal("player_1_id" in create.data, false);
+});
+
+test("the menu adds registry dropdowns to both player columns", () => {
+	const env = setupWithRegistry([fixture()]);
+
+	env.script.refreshPlayerDropdownsFromMenu();
+
+	[5, 6].forEach((column) => {
+		const rule = env.sheet.getRange(4, column).getDataValidation();
+		assert.equal(rule.type, "VALUE_IN_RANGE");
+		assert.equal(rule.range.getSheet().getName(), "Players");
+		assert.equal(rule.range.getColumn(), 2);
+		assert.equal(rule.range.getRow(), 4);
+		assert.equal(rule.allowInvalid, true);
+	});
+	assert.equal(env.sheet.getRange(3, 5).getDataValidation(), null);
+	assert.match(env.spreadsheet.toasts.at(-1).message, /registry/);
+});
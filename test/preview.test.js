@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup, clearData } = require("./helpers");
+
+function previewRows(env) {
+	const sheet = env.spreadsheet.getSheetByName("Sync preview");
+	return sheet.getRange(4, 1, sheet.getLastRow() - 3, 6).getValues();
+}
+
+test("writes the operations a sync would send without calling HubSpot", () => {
+	const env = setup([
+		fixture({ hs_id: "1000" }),
+		fixture({ hs_id: "1001", player1: "Ong Kai Xuan" }),
+		fixture({ hs_id: "1002", player1: "Goh Zhi Hao" }),
+	]);
+	env.script.syncAllData();
+	env.UrlFetchApp.requests.length = 0;
+
+	env.sheet.getRange(4, 7).setValue("6-3 6-2");
+	clearData(env.sheet, 5);
+	env.sheet.appendRow(["", "13/7/2025 10:00", "Men's Singles", "SF", "A", "B"]);
+
+	const count = env.script.previewSync();
+
+	assert.equal(count, 3);
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+	const rows = previewRows(env);
+	assert.deepEqual(
+		rows.map((row) => row[1]),
+		["SET_PENDING_DELETE", "CREATE_HUBDB_ROW", "gameData"]
+	);
+	assert.equal(rows[0][3], "1001");
+	assert.equal(rows[1][2], "7");
+	assert.match(rows[2][4], /^UPDATED results/);
+	assert.equal(JSON.parse(rows[2][5]).gameData[0].data.results, "6-3 6-2");
+
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+	assert.equal(env.sheet.cell(5, 1), "1001");
+});
+
+test("reports when there is nothing to send", () => {
+	const env = setup([fixture({ hs_id: "1000" })]);
+	env.script.syncAllData();
+
+	assert.equal(env.script.previewSync("tennis"), 0);
+	const sheet = env.spreadsheet.getSheetByName("Sync preview");
+	assert.equal(sheet.cell(4, 1), "No changes to send");
+});
+
+test("adds the preview to the spreadsheet menu", () => {
+	const env = setup([fixture()]);
+
+	env.script.onOpen();
+	env.script.previewSyncFromMenu();
+
+	const [menu] = env.ui.menus;
+	assert.equal(menu.name, "Tennis Sync");
+	assert.ok(
+		menu.items.some((item) => item.functionName === "previewSyncFromMenu")
+	);
+	assert.equal(env.spreadsheet.getActiveSheet().getName(), "Sync preview");
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+});
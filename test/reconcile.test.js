@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup, clearData } = require("./helpers");
+
+function reportRows(env) {
+	const sheet = env.spreadsheet.getSheetByName("Reconcile report");
+	const rows = [];
+	for (let row = 4; row <= sheet.getLastRow(); row++) {
+		rows.push([sheet.cell(row, 2), sheet.cell(row, 3), sheet.cell(row, 5)]);
+	}
+	return rows;
+}
+
+function driftedEnv() {
+	const env = setup([
+		fixture(),
+		fixture({ player1: "Ong Kai Xuan", player2: "Goh Zhi Hao" }),
+		fixture({ player1: "Lee Chong", player2: "Ng Tze Yong" }),
+	]);
+	env.script.syncAllData();
+
+	// Edited directly in HubSpot: a changed score, a deleted row and a row
+	// added by hand
+	env.hubdb.rows.get("1000").results = "6-0 6-0";
+	env.hubdb.rows.delete("1001");
+	env.hubdb.rows.set("2000", { player_1: "Unknown", player_2: "Player" });
+	env.sheet.appendRow(["", "2025-08-03 09:00", "Men's Singles", "Final"]);
+	env.sheet.getRange(7, 5, 1, 2).setValues([["Tan Wei Ming", "Lee Chong"]]);
+	return env;
+}
+
+test("reports orphans, missing or stale hs_id and value mismatches", () => {
+	const env = driftedEnv();
+	env.hubdb.pageSize = 2;
+	env.UrlFetchApp.requests.length = 0;
+
+	const count = env.script.reconcile();
+
+	assert.equal(count, 4);
+	assert.deepEqual(reportRows(env), [
+		["Value differs", 4, "results"],
+		["hs_id not in HubDB", 5, ""],
+		["Missing hs_id", 7, ""],
+		["Only in HubDB", "", ""],
+	]);
+	assert.equal(env.UrlFetchApp.payloads("LIST_HUBDB_ROWS").length, 2);
+	assert.equal(
+		env.UrlFetchApp.requests.length,
+		2,
+		"a report does not change anything"
+	);
+});
+
+test("repairs the drift from the sheet", () => {
+	const env = driftedEnv();
+
+	env.script.reconcile(undefined, true);
+
+	assert.equal(env.hubdb.rows.get("1000").results, "");
+	assert.equal(env.hubdb.rows.has("2000"), false);
+	assert.notEqual(env.sheet.cell(5, 1), "1001");
+	assert.ok(env.hubdb.rows.has(String(env.sheet.cell(5, 1))));
+	assert.ok(env.hubdb.rows.has(String(env.sheet.cell(7, 1))));
+	assert.equal(env.script.reconcile(), 0);
+
+	// The snapshot matches the repaired sheet, so nothing is sent again
+	env.UrlFetchApp.requests.length = 0;
+	env.script.syncAllData();
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+});
+
+test("marks cleared rows pending delete instead of deleting them", () => {
+	const env = driftedEnv();
+	clearData(env.sheet, 6);
+
+	env.script.reconcile(undefined, true);
+
+	assert.equal(env.hubdb.rows.get("1002").pendingDelete, true);
+	assert.equal(env.sheet.cell(6, 9), "pending delete");
+	assert.deepEqual(
+		Object.keys(
+			env.script.getPendingDeletes(env.script.getSyncTarget("tennis"))
+		),
+		["1002"]
+	);
+});
+
+test("holds deleting more HubDB-only rows than the delete limits allow", () => {
+	const env = driftedEnv();
+	env.hubdb.rows.set("2001", { player_1: "Someone", player_2: "Else" });
+	const tennis = env.script.getSyncTarget("tennis");
+
+	env.script.reconcile(undefined, true);
+
+	assert.ok(env.hubdb.rows.has("2000"));
+	assert.ok(env.hubdb.rows.has("2001"));
+	assert.match(
+		env.script.getSyncAlert(tennis).message,
+		/did not delete the rows only in HubDB: 2 deletions/
+	);
+	assert.equal(env.script.getDeleteHold(tennis), null);
+
+	env.script.reconcile("tennis", true, true);
+
+	assert.equal(env.hubdb.rows.has("2000"), false);
+	assert.equal(env.hubdb.rows.has("2001"), false);
+});
+
+test("offers to repair from the menu", () => {
+	const env = driftedEnv();
+	env.ui.alertResponse = "NO";
+
+	env.script.reconcileFromMenu();
+
+	const [alert] = env.ui.alerts;
+	assert.match(alert.message, /4 issue\(s\) found/);
+	assert.ok(env.hubdb.rows.has("2000"));
+});
@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+
+/** Fail the first `count` requests with `failure`, then hand over to HubDB */
+function failFirst(env, count, failure) {
+	let failures = 0;
+	env.UrlFetchApp.handler = (payload) =>
+		failures++ < count ? failure() : env.hubdb.handle(payload);
+}
+
+function retryQueue(env) {
+	return env.script.getRetryQueue(env.script.getSyncTarget("tennis"));
+}
+
+test("retries a 503 with exponential backoff", () => {
+	const env = setup([fixture()]);
+	failFirst(env, 2, () => ({ code: 503, body: "Unavailable" }));
+
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.requests.length, 3);
+	assert.deepEqual(
+		env.Utilities.sleeps.filter((ms) => ms >= 1000),
+		[1000, 2000]
+	);
+	assert.equal(env.sheet.cell(4, 1), "1000");
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+});
+
+test("waits for Retry-After on a 429", () => {
+	const env = setup([fixture()]);
+	failFirst(env, 1, () => ({
+		code: 429,
+		body: "Too many requests",
+		headers: { "Retry-After": "5" },
+	}));
+
+	env.script.syncAllData();
+
+	assert.ok(env.Utilities.sleeps.includes(5000));
+	assert.equal(env.hubdb.rows.size, 1);
+});
+
+test("retries fetch exceptions such as timeouts", () => {
+	const env = setup([fixture()]);
+	failFirst(env, 1, () => new Error("Timeout: https://example.com"));
+
+	env.script.syncAllData();
+
+	assert.equal(env.hubdb.rows.size, 1);
+	assert.deepEqual(Object.keys(retryQueue(env)), []);
+});
+
+test("does not retry or queue a 400", () => {
+	const env = setup([fixture()], {
+		handler: () => ({ code: 400, body: "Bad request" }),
+	});
+
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.requests.length, 1);
+	assert.equal(env.sheet.cell(4, 9), "error");
+	assert.deepEqual(Object.keys(retryQueue(env)), []);
+});
+
+test("queues a failed creation and creates it on the next scheduled run", () => {
+	const env = setup([fixture()], {
+		handler: () => ({ code: 500, body: "Internal error" }),
+	});
+	env.script.syncAllData();
+	assert.equal(env.sheet.cell(4, 9), "error");
+	assert.equal(retryQueue(env)[`CREATE:${env.sheet.cell(4, 11)}`].attempts, 1);
+	assert.match(
+		env.script.renderSidebarContent(),
+		/Failed operations waiting to be retried: 1/
+	);
+
+	env.UrlFetchApp.handler = (payload) => env.hubdb.handle(payload);
+	env.UrlFetchApp.requests.length = 0;
+	env.script.syncScheduledTargets();
+
+	assert.equal(env.sheet.cell(4, 1), "1000");
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+	assert.deepEqual(Object.keys(retryQueue(env)), []);
+
+	// The created row is stored, so it is not sent again as a change
+	assert.equal(env.UrlFetchApp.requests.length, 1);
+	env.script.syncAllData();
+	assert.equal(env.UrlFetchApp.requests.length, 1);
+});
+
+test("resends a failed update even though the row did not change again", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+
+	env.UrlFetchApp.handler = () => ({ code: 502, body: "Bad gateway" });
+	env.sheet.getRange(4, 7).setValue("6-4 6-3");
+	env.script.syncAllData();
+	assert.equal(env.hubdb.rows.get("1000").results, "");
+	assert.ok(retryQueue(env)["UPDATE:1000"]);
+
+	env.UrlFetchApp.handler = (payload) => env.hubdb.handle(payload);
+	env.script.syncScheduledTargets();
+
+	assert.equal(env.hubdb.rows.get("1000").results, "6-4 6-3");
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+	assert.deepEqual(Object.keys(retryQueue(env)), []);
+});
+
+test("makes a single attempt per request once the endpoint is down", () => {
+	const env = setup([fixture(), fixture({ player1: "Ong Kai Xuan" })], {
+		handler: () => ({ code: 500, body: "Internal error" }),
+	});
+
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.requests.length, 5);
+	assert.deepEqual(
+		Object.keys(retryQueue(env)).sort(),
+		[
+			`CREATE:${env.sheet.cell(4, 11)}`,
+			`CREATE:${env.sheet.cell(5, 11)}`,
+		].sort()
+	);
+});
+
+test("counts failed runs and drops the operation after the limit", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+	env.UrlFetchApp.handler = () => ({ code: 500, body: "Internal error" });
+	env.sheet.getRange(4, 7).setValue("6-4 6-3");
+	const limit = env.run("MAX_QUEUED_RETRIES");
+
+	for (let run = 0; run < limit; run++) env.script.syncAllData();
+	assert.equal(retryQueue(env)["UPDATE:1000"].attempts, limit);
+
+	env.script.syncAllData();
+	assert.deepEqual(Object.keys(retryQueue(env)), []);
+});
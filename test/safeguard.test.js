@@ -0,0 +1,162 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup, clearData } = require("./helpers");
+
+const HOLD_KEY = "DELETE_HOLD_GAME_DATA";
+const PENDING_KEY = "PENDING_DELETE_GAME_DATA";
+
+function setupSynced(count) {
+	const env = setup(
+		Array.from({ length: count }, (_, i) =>
+			fixture({ player1: `Player ${i * 2}`, player2: `Player ${i * 2 + 1}` })
+		)
+	);
+	env.script.syncAllData();
+	env.UrlFetchApp.requests.length = 0;
+	return env;
+}
+
+function hold(env) {
+	return JSON.parse(env.PropertiesService.store.get(HOLD_KEY) || "null");
+}
+
+function tennisTarget(env) {
+	return env.script.getSyncTarget("tennis");
+}
+
+test("holds removed rows above the limit and syncs the other changes", () => {
+	const env = setupSynced(4);
+
+	env.sheet.deleteRow(7);
+	env.sheet.deleteRow(6);
+	env.sheet.getRange(4, 7).setValue("6-4 6-3");
+	env.script.syncAllData();
+
+	const operations = env.UrlFetchApp.payloads("gameData")
+		.flatMap((payload) => payload.gameData)
+		.map((change) => change.operation);
+	assert.deepEqual(operations, ["UPDATED"]);
+	assert.equal(env.hubdb.rows.size, 4);
+	assert.equal(env.hubdb.rows.get("1000").results, "6-4 6-3");
+	assert.deepEqual(hold(env).hubdbRowIds, ["1002", "1003"]);
+	assert.match(hold(env).reason, /^2 deletions \(50% of 4 rows\)/);
+	assert.match(
+		env.script.getSyncAlert(tennisTarget(env)).message,
+		/Deletions held/
+	);
+});
+
+test("keeps held rows in the snapshot until they are approved", () => {
+	const env = setupSynced(4);
+	env.sheet.deleteRow(7);
+	env.sheet.deleteRow(6);
+	env.script.syncAllData();
+
+	env.script.syncAllData();
+	assert.equal(env.hubdb.rows.size, 4);
+	assert.equal(
+		Object.keys(env.script.getStoredData(tennisTarget(env))).length,
+		4
+	);
+
+	env.script.approveHeldDeletes();
+
+	assert.deepEqual(Array.from(env.hubdb.rows.keys()), ["1000", "1001"]);
+	assert.equal(hold(env), null);
+	assert.equal(env.script.getSyncAlert(tennisTarget(env)), null);
+	assert.equal(
+		Object.keys(env.script.getStoredData(tennisTarget(env))).length,
+		2
+	);
+});
+
+test("deletes held rows once APPROVE is typed in the approval cell", () => {
+	const env = setupSynced(4);
+	env.sheet.deleteRow(7);
+	env.sheet.deleteRow(6);
+	env.script.syncAllData();
+
+	env.sheet.getRange("B2").setValue("approve");
+	env.script.syncAllData();
+
+	assert.deepEqual(Array.from(env.hubdb.rows.keys()), ["1000", "1001"]);
+	assert.equal(env.sheet.cell(2, 2), "");
+	assert.equal(hold(env), null);
+});
+
+test("keeps other content of the approval cell once a hold is resolved", () => {
+	const env = setupSynced(4);
+	env.sheet.deleteRow(7);
+	env.sheet.deleteRow(6);
+	env.script.syncAllData();
+
+	env.sheet.getRange("B2").setValue("Day 2 schedule");
+	env.script.approveHeldDeletes();
+
+	assert.equal(hold(env), null);
+	assert.equal(env.sheet.cell(2, 2), "Day 2 schedule");
+});
+
+test("ignores the approval cell when more rows would be deleted than held", () => {
+	const env = setupSynced(4);
+	env.sheet.deleteRow(7);
+	env.sheet.deleteRow(6);
+	env.script.syncAllData();
+
+	env.sheet.deleteRow(5);
+	env.sheet.getRange("B2").setValue("APPROVE");
+	env.script.syncAllData();
+
+	assert.equal(env.hubdb.rows.size, 4);
+	assert.deepEqual(hold(env).hubdbRowIds.sort(), ["1001", "1002", "1003"]);
+});
+
+test("never holds a single deletion", () => {
+	const env = setupSynced(2);
+
+	env.sheet.deleteRow(5);
+	env.script.syncAllData();
+
+	assert.deepEqual(Array.from(env.hubdb.rows.keys()), ["1000"]);
+	assert.equal(hold(env), null);
+});
+
+test("holds cleared rows whose grace period is over", () => {
+	const env = setupSynced(4);
+	clearData(env.sheet, 4);
+	clearData(env.sheet, 5);
+	env.script.syncAllData();
+	const entries = JSON.parse(env.PropertiesService.store.get(PENDING_KEY));
+	Object.values(entries).forEach((entry) => {
+		entry.markedAt -= 25 * 60 * 60 * 1000;
+	});
+	env.PropertiesService.store.set(PENDING_KEY, JSON.stringify(entries));
+	env.UrlFetchApp.requests.length = 0;
+
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.payloads("BATCH_DELETE_HUBDB_ROWS").length, 0);
+	assert.equal(env.hubdb.rows.size, 4);
+	assert.equal(env.sheet.cell(4, 9), "pending delete");
+	assert.match(env.sheet.cell(4, 10), /^Deletion held/);
+	assert.deepEqual(hold(env).hubdbRowIds, ["1000", "1001"]);
+
+	env.script.approveHeldDeletes();
+	assert.deepEqual(Array.from(env.hubdb.rows.keys()), ["1002", "1003"]);
+});
+
+test("previews held deletions without delete operations", () => {
+	const env = setupSynced(4);
+	env.sheet.deleteRow(7);
+	env.sheet.deleteRow(6);
+
+	env.script.previewSync();
+
+	const sheet = env.spreadsheet.getSheetByName("Sync preview");
+	const rows = sheet.getRange(4, 1, sheet.getLastRow() - 3, 6).getValues();
+	assert.deepEqual(
+		rows.map((row) => row[1]),
+		["HELD"]
+	);
+	assert.equal(rows[0][3], "1002, 1003");
+});
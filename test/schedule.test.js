@@ -0,0 +1,178 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+
+function reportRows(env) {
+	const sheet = env.spreadsheet.getSheetByName("Schedule conflicts");
+	const rows = [];
+	for (let row = 4; sheet.cell(row, 2) !== ""; row++) {
+		rows.push(
+			[2, 3, 4, 5].map((column) => sheet.cell(row, column)).join(" | ")
+		);
+	}
+	return rows;
+}
+
+test("flags a double-booked court without blocking the sync", () => {
+	const env = setup([
+		fixture(),
+		fixture({ player1: "Ong Kai Xuan", player2: "Goh Zhi Hao" }),
+	]);
+
+	env.script.syncAllData();
+
+	assert.equal(env.hubdb.rows.size, 2);
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+	assert.equal(
+		env.sheet.cell(4, 10),
+		"Schedule: Court double-booked (Court 1, rows 4 and 5)"
+	);
+	assert.equal(env.sheet.cell(5, 10), env.sheet.cell(4, 10));
+});
+
+test("checks the schedule and refreshes the report before sending", () => {
+	const env = setup([
+		fixture(),
+		fixture({ player1: "Ong Kai Xuan", player2: "Goh Zhi Hao" }),
+	]);
+	const seen = [];
+	env.UrlFetchApp.handler = (payload) => {
+		seen.push([env.sheet.cell(4, 10), reportRows(env)]);
+		return env.hubdb.handle(payload);
+	};
+
+	env.script.syncAllData();
+
+	assert.deepEqual(seen[0], [
+		"Schedule: Court double-booked (Court 1, rows 4 and 5)",
+		["Court double-booked | 4, 5 | 2025-07-12 09:00 | Court 1, rows 4 and 5"],
+	]);
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+});
+
+test("an edit checks the edited match against the whole sheet", () => {
+	const env = setup([
+		fixture(),
+		fixture({ venue: "Court 2", player1: "Ong", player2: "Goh" }),
+		fixture({ venue: "Court 3", player1: "Lee", player2: "Chua" }),
+	]);
+	env.script.syncAllData();
+	assert.deepEqual(reportRows(env), []);
+
+	env.sheet.getRange(6, 8).setValue("Court 1");
+	env.script.onSheetEdit({ range: env.sheet.getRange(6, 8) });
+	env.script.processQueuedSyncs();
+
+	assert.equal(
+		env.sheet.cell(4, 10),
+		"Schedule: Court double-booked (Court 1, rows 4 and 6)"
+	);
+	assert.equal(env.sheet.cell(6, 10), env.sheet.cell(4, 10));
+	assert.deepEqual(reportRows(env), [
+		"Court double-booked | 4, 6 | 2025-07-12 09:00 | Court 1, rows 4 and 6",
+	]);
+	assert.equal(env.hubdb.rows.get("1002").venue, "Court 1");
+});
+
+test("flags players in overlapping matches or without enough rest", () => {
+	const env = setup([
+		fixture({ player1: "Tan", player2: "Lim" }),
+		fixture({
+			date: "12/7/2025 10:00",
+			venue: "Court 2",
+			player1: "Ong",
+			player2: "Tan",
+		}),
+		fixture({
+			date: "12/7/2025 11:45",
+			venue: "Court 3",
+			player1: "Tan",
+			player2: "Goh",
+		}),
+		fixture({
+			date: "12/7/2025 13:45",
+			venue: "Court 3",
+			player1: "Goh",
+			player2: "Lee",
+		}),
+	]);
+
+	assert.equal(env.script.checkSchedule(), 2);
+	assert.deepEqual(reportRows(env), [
+		"Player double-booked | 4, 5 | 2025-07-12 09:00 | Tan, rows 4 and 5",
+		"Not enough rest | 5, 6 | 2025-07-12 10:00 | Tan, 15 of 30 minutes between rows 5 and 6",
+	]);
+});
+
+test("reads doubles pairs and ignores placeholders", () => {
+	const env = setup([
+		fixture({ player1: "Tan / Lim", player2: "TBD" }),
+		fixture({ venue: "Court 2", player1: "Ong & lim", player2: "TBD" }),
+	]);
+
+	env.script.checkSchedule();
+
+	assert.deepEqual(reportRows(env), [
+		"Player double-booked | 4, 5 | 2025-07-12 09:00 | Lim, rows 4 and 5",
+	]);
+});
+
+test("flags matches outside session hours in Singapore time", () => {
+	const env = setup([
+		fixture({ date: "12/7/2025 7:30", venue: "Court 1" }),
+		fixture({ date: "12/7/2025 8:45 PM", venue: "Court 2" }),
+		fixture({ date: "13/7/2025 20:30", venue: "Court 3" }),
+		fixture({ date: new Date(Date.UTC(2025, 6, 14, 1, 0)), venue: "Court 4" }),
+		fixture({ date: new Date(Date.UTC(2025, 6, 14, 23, 0)), venue: "Court 5" }),
+	]);
+
+	env.script.checkSchedule("tennis");
+
+	assert.deepEqual(reportRows(env), [
+		"Outside session hours | 4 | 2025-07-12 07:30 | 07:30-09:00, sessions run 08:00-22:00",
+		"Outside session hours | 5 | 2025-07-12 20:45 | 20:45-22:15, sessions run 08:00-22:00",
+		"Outside session hours | 8 | 2025-07-15 07:00 | 07:00-08:30, sessions run 08:00-22:00",
+	]);
+});
+
+test("clears warnings once fixed and keeps error messages", () => {
+	const env = setup([
+		fixture(),
+		fixture({ player1: "Ong Kai Xuan", player2: "Goh Zhi Hao" }),
+		fixture({ date: "not a date", venue: "Court 2" }),
+	]);
+	env.script.syncAllData();
+	env.sheet.getRange(6, 9).setValue("error");
+	env.sheet.getRange(6, 10).setValue("HubSpot returned 500");
+
+	env.sheet.getRange(5, 8).setValue("Court 2");
+	env.script.syncAllData();
+
+	assert.equal(env.sheet.cell(4, 10), "");
+	assert.equal(
+		env.sheet.cell(5, 10),
+		"UPDATED operation completed successfully"
+	);
+	assert.equal(env.sheet.cell(6, 10), "HubSpot returned 500");
+});
+
+test("the menu writes the report and shows the count", () => {
+	const env = setup([fixture({ date: "12/7/2025 6:00" })]);
+
+	env.script.checkScheduleFromMenu();
+
+	assert.equal(
+		env.spreadsheet.getActiveSheet().getName(),
+		"Schedule conflicts"
+	);
+	assert.match(env.spreadsheet.toasts.at(-1).message, /1 conflict\(s\) found/);
+
+	env.sheet.getRange(4, 2).setValue("12/7/2025 9:00");
+	env.script.checkScheduleFromMenu();
+
+	assert.equal(env.sheet.cell(4, 10), "");
+	assert.equal(
+		env.spreadsheet.getSheetByName("Schedule conflicts").cell(4, 1),
+		"No schedule conflicts"
+	);
+});
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+
+const env = setup([]);
+const formats = env.run("MATCH_FORMATS");
+
+function parse(results, format = "best_of_3") {
+	// Round-trip through JSON so results compare outside the script's realm
+	return JSON.parse(
+		JSON.stringify(env.script.parseScore(results, formats[format]))
+	);
+}
+
+function parseError(results, format = "best_of_3") {
+	try {
+		env.script.parseScore(results, formats[format]);
+	} catch (error) {
+		return error.message;
+	}
+	assert.fail(`"${results}" was accepted`);
+}
+
+test("parses straight sets and derives the winner and totals", () => {
+	const score = parse("6-4 6-3");
+
+	assert.equal(score.outcome, "completed");
+	assert.equal(score.winner, "player_1");
+	assert.deepEqual(score.sets_won, { player_1: 2, player_2: 0 });
+	assert.deepEqual(score.games_won, { player_1: 12, player_2: 7 });
+});
+
+test("accepts en dashes, slashes and commas", () => {
+	assert.deepEqual(parse("6–4, 6/3"), parse("6-4 6-3"));
+});
+
+test("parses tiebreak sets and a match tiebreak", () => {
+	const score = parse("7-6(5) 3-6 [10-7]");
+
+	assert.equal(score.winner, "player_1");
+	assert.equal(score.sets[0].tiebreak, 5);
+	assert.equal(score.sets[2].match_tiebreak, true);
+	assert.deepEqual(score.games_won, { player_1: 11, player_2: 12 });
+	assert.equal(parse("6-7 (3-7) 6-4 7-10").winner, "player_2");
+});
+
+test("reports an unfinished score as in progress", () => {
+	const score = parse("6-4 2-1");
+
+	assert.equal(score.outcome, "in_progress");
+	assert.equal(score.winner, null);
+});
+
+test("parses walkovers, defaults and retirements with the named winner", () => {
+	assert.deepEqual(
+		[parse("W/O P2").outcome, parse("W/O P2").winner],
+		["walkover", "player_2"]
+	);
+	assert.equal(parse("def p1").outcome, "default");
+
+	const retired = parse("6-3 2-1 ret. P1");
+	assert.equal(retired.outcome, "retired");
+	assert.equal(retired.winner, "player_1");
+	assert.equal(retired.sets.length, 2);
+});
+
+test("rejects scores that are not valid for the format", () => {
+	assert.match(parseError("6-5 6-4"), /set 1 "6-5" is not finished/);
+	assert.match(parseError("8-6 6-4"), /"8-6" is not a valid set score/);
+	assert.match(parseError("6-4 6-3 6-1"), /after the match was already won/);
+	assert.match(parseError("6-4 [10-7]"), /deciding set/);
+	assert.match(parseError("6-4 3-6 15-7"), /not a valid match tiebreak/);
+	assert.match(parseError("W/O"), /name the winner/);
+	assert.match(parseError("6-4 6-3 P2"), /says player 1 won, not player 2/);
+	assert.match(parseError("6-4 abc"), /"ABC" is not a set score/);
+	assert.match(
+		parseError("6-4 3-6 10-7", "best_of_3_full"),
+		/"10-7" is not a valid set score/
+	);
+});
+
+test("blocks a row with an invalid score and shows why", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+
+	env.sheet.getRange(4, 7).setValue("6-4 6-5 6-3");
+	env.script.syncAllData();
+
+	assert.equal(env.hubdb.rows.get("1000").results, "");
+	assert.equal(env.sheet.cell(4, 9), "error");
+	assert.match(env.sheet.cell(4, 10), /^Invalid score: set 2 "6-5"/);
+
+	env.sheet.getRange(4, 7).setValue("6-4 7-5");
+	env.script.syncAllData();
+
+	assert.equal(env.hubdb.rows.get("1000").results, "6-4 7-5");
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+});
+
+test("does not create a new row until its score is valid", () => {
+	const env = setup([fixture({ results: "6-4 x" })]);
+
+	env.script.syncAllData();
+
+	assert.equal(env.hubdb.rows.size, 0);
+	assert.match(env.sheet.cell(4, 10), /^Invalid score/);
+});
+
+test("sends the parsed score with the raw results", () => {
+	const env = setup([fixture({ results: "6-4 6-3" })]);
+	env.script.syncAllData();
+
+	const [create] = env.UrlFetchApp.payloads("CREATE_HUBDB_ROW");
+	assert.equal(create.data.results, "6-4 6-3");
+	assert.equal(create.data.score.winner, "player_1");
+
+	env.sheet.getRange(4, 7).setValue("4-6 6-3 [10-8]");
+	env.script.syncAllData();
+
+	const [update] = env.UrlFetchApp.payloads("gameData");
+	assert.deepEqual(update.gameData[0].data.score.sets_won, {
+		player_1: 2,
+		player_2: 1,
+	});
+});
@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+const {
+	computeSignature,
+	createNonceStore,
+	verifyRequest,
+} = require("../serverless/verify-request");
+
+const SECRET = "test-signing-secret";
+
+function signedRequest(body, overrides = {}) {
+	const timestamp = String(overrides.now ?? Date.now());
+	const nonce = overrides.nonce || "nonce-1";
+	return {
+		headers: {
+			"X-Sync-Timestamp": timestamp,
+			"X-Sync-Nonce": nonce,
+			"X-Sync-Signature": `v1=${computeSignature(SECRET, timestamp, nonce, body)}`,
+		},
+		body,
+		secret: SECRET,
+	};
+}
+
+test("signs every request with a timestamp, nonce and HMAC of the body", () => {
+	const env = setup([fixture()]);
+	env.run("Date").now = () => 1752300000000;
+
+	env.script.syncAllData();
+
+	const [request] = env.UrlFetchApp.requests;
+	const headers = request.options.headers;
+	assert.equal(headers["X-Sync-Timestamp"], "1752300000000");
+	assert.match(headers["X-Sync-Nonce"], /^[0-9a-f-]{36}$/);
+	assert.equal(
+		headers["X-Sync-Signature"],
+		`v1=${computeSignature(
+			SECRET,
+			headers["X-Sync-Timestamp"],
+			headers["X-Sync-Nonce"],
+			request.options.payload
+		)}`
+	);
+	assert.equal(env.hubdb.rows.size, 1);
+});
+
+test("the endpoint refuses a replayed request", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+	const [request] = env.UrlFetchApp.requests;
+
+	const response = env.UrlFetchApp.fetch(request.url, request.options);
+
+	assert.equal(response.getResponseCode(), 401);
+	assert.match(response.getContentText(), /Nonce has already been used/);
+	assert.equal(env.hubdb.rows.size, 1);
+});
+
+test("signs each retry with a new nonce", () => {
+	const env = setup([fixture()]);
+	let failures = 0;
+	env.UrlFetchApp.handler = (payload) =>
+		failures++ < 1
+			? { code: 503, body: "Unavailable" }
+			: env.hubdb.handle(payload);
+
+	env.script.syncAllData();
+
+	const nonces = env.UrlFetchApp.requests.map(
+		(request) => request.options.headers["X-Sync-Nonce"]
+	);
+	assert.equal(nonces.length, 2);
+	assert.notEqual(nonces[0], nonces[1]);
+	assert.equal(env.sheet.cell(4, 1), "1000");
+});
+
+test("fails the run without sending anything when the secret is missing", () => {
+	const env = setup([fixture()], { signingSecret: null });
+
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+	const stats = env.script.getLastRunStats(env.script.getSyncTarget("tennis"));
+	assert.match(stats.failure, /set the Script Property SYNC_SIGNING_SECRET/);
+});
+
+test("signs with the secret named by the target's secretProperty", () => {
+	const env = setup([fixture()], { signingSecret: null });
+	env.run('getSyncTarget("tennis").secretProperty = "TENNIS_SIGNING_SECRET"');
+	env.PropertiesService.store.set("TENNIS_SIGNING_SECRET", "tennis-secret");
+	env.UrlFetchApp.secret = "tennis-secret";
+
+	env.script.syncAllData();
+
+	assert.equal(env.hubdb.rows.size, 1);
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+});
+
+test("the verifier rejects tampered, stale and unsigned requests", () => {
+	const body = JSON.stringify({ operation: "DELETE_HUBDB_ROW" });
+
+	assert.deepEqual(verifyRequest(signedRequest(body)), { ok: true });
+	assert.equal(
+		verifyRequest({ ...signedRequest(body), body: `${body} ` }).reason,
+		"Signature does not match"
+	);
+	assert.equal(
+		verifyRequest({ ...signedRequest(body), secret: "other" }).reason,
+		"Signature does not match"
+	);
+	assert.match(
+		verifyRequest(signedRequest(body, { now: Date.now() - 6 * 60 * 1000 }))
+			.reason,
+		/outside the allowed window/
+	);
+	assert.deepEqual(verifyRequest({ headers: {}, body, secret: SECRET }), {
+		ok: false,
+		status: 401,
+		reason: "Request is not signed",
+	});
+});
+
+test("the verifier accepts any header case and an already parsed body", () => {
+	const payload = { operation: "CREATE_HUBDB_ROW", data: { stage: "QF" } };
+	const request = signedRequest(JSON.stringify(payload));
+	const headers = Object.fromEntries(
+		Object.entries(request.headers).map(([name, value]) => [
+			name.toLowerCase(),
+			value,
+		])
+	);
+	const nonces = createNonceStore();
+
+	assert.ok(verifyRequest({ ...request, headers, body: payload, nonces }).ok);
+	assert.equal(
+		verifyRequest({ ...request, headers, body: payload, nonces }).reason,
+		"Nonce has already been used"
+	);
+});
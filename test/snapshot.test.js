@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+
+function publishedFixtures(count) {
+	return Array.from({ length: count }, (_, i) =>
+		fixture({
+			hs_id: String(5000 + i),
+			player1: `Player ${i * 2}`,
+			player2: `Player ${i * 2 + 1}`,
+			results: i % 2 ? "6-4 6-4" : "",
+		})
+	);
+}
+
+function tennisTarget(env) {
+	return env.script.getSyncTarget("tennis");
+}
+
+test("shards a large snapshot across properties below the size limit", () => {
+	const env = setup(publishedFixtures(400));
+
+	env.script.syncAllData();
+
+	const manifest = JSON.parse(env.PropertiesService.store.get("GAME_DATA"));
+	assert.equal(manifest.version, 2);
+	assert.ok(manifest.shards > 1);
+	assert.equal(
+		Object.keys(env.script.getStoredData(tennisTarget(env))).length,
+		400
+	);
+
+	env.UrlFetchApp.requests.length = 0;
+	env.script.syncAllData();
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+});
+
+test("removes shards left over from a larger snapshot", () => {
+	const env = setup(publishedFixtures(200));
+	env.script.syncAllData();
+	const before = JSON.parse(env.PropertiesService.store.get("GAME_DATA"));
+
+	for (let row = 204; row > 10; row--) env.sheet.deleteRow(row);
+	env.script.syncAllData();
+	env.script.approveHeldDeletes();
+
+	const after = JSON.parse(env.PropertiesService.store.get("GAME_DATA"));
+	assert.ok(after.shards < before.shards);
+	assert.equal(
+		env.PropertiesService.store.has(`GAME_DATA_SHARD_${after.shards}`),
+		false
+	);
+});
+
+test("a failed write leaves the previous snapshot whole", () => {
+	const env = setup(publishedFixtures(200));
+	env.script.syncAllData();
+	const properties = env.PropertiesService.getScriptProperties();
+	properties.setProperties = () => {
+		throw new Error("Exceeded maximum properties storage");
+	};
+
+	assert.throws(
+		() => env.script.writeSnapshot({}, tennisTarget(env)),
+		/Exceeded maximum properties storage/
+	);
+
+	assert.equal(
+		Object.keys(env.script.getStoredData(tennisTarget(env))).length,
+		200
+	);
+});
+
+test("migrates a version 1 snapshot without re-sending rows", () => {
+	const env = setup([fixture({ hs_id: "1000" })]);
+	env.PropertiesService.store.set(
+		"GAME_DATA",
+		JSON.stringify({
+			1000: {
+				date_and_time: "12/7/2025 9:00",
+				category: "Men's Singles",
+				stage: "QF",
+				player_1: "Tan Wei Ming",
+				player_2: "Lim Jun Jie",
+				results: "",
+				venue: "Court 1",
+				hubdbRowId: "1000",
+				sheetRow: 4,
+			},
+		})
+	);
+
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+
+	env.sheet.getRange(4, 7).setValue("6-2 6-2");
+	env.script.syncAllData();
+	assert.equal(env.UrlFetchApp.payloads("gameData").length, 1);
+	assert.equal(
+		JSON.parse(env.PropertiesService.store.get("GAME_DATA")).version,
+		2
+	);
+});
+
+test("reports only the fields that changed", () => {
+	const env = setup([fixture({ hs_id: "1000" })]);
+	env.script.syncAllData();
+
+	env.sheet.getRange(4, 8).setValue("Court 3");
+	env.script.syncAllData();
+
+	const [, update] = env.UrlFetchApp.payloads("gameData");
+	assert.deepEqual(update.gameData[0].changedFields, [
+		{ field: "venue", newValue: "Court 3" },
+	]);
+});
+
+test("halts and raises an alert when the snapshot is corrupted", () => {
+	const env = setup([fixture({ hs_id: "1000" })]);
+	env.script.syncAllData();
+	env.UrlFetchApp.requests.length = 0;
+
+	env.PropertiesService.store.set("GAME_DATA_SHARD_0", '{"fields":[');
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+	const alert = env.script.getSyncAlert(tennisTarget(env));
+	assert.match(alert.message, /checksum/);
+	assert.equal(env.spreadsheet.toasts.length, 1);
+
+	env.script.rebuildSnapshot("tennis");
+	assert.equal(env.script.getSyncAlert(tennisTarget(env)), null);
+	env.script.syncAllData();
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+});
@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup, clearData } = require("./helpers");
+
+const PENDING_KEY = "PENDING_DELETE_GAME_DATA";
+
+function setupCleared() {
+	const env = setup([
+		fixture(),
+		fixture({
+			player1: "Ong Kai Xuan",
+			player2: "Goh Zhi Hao",
+			venue: "Court 2",
+		}),
+		fixture({
+			player1: "Lee Jia Hui",
+			player2: "Chua Yi Ting",
+			venue: "Court 3",
+		}),
+	]);
+	env.script.syncAllData();
+	clearData(env.sheet, 4);
+	clearData(env.sheet, 5);
+	env.UrlFetchApp.requests.length = 0;
+	env.script.syncAllData();
+	return env;
+}
+
+function pending(env) {
+	return JSON.parse(env.PropertiesService.store.get(PENDING_KEY) || "{}");
+}
+
+test("marks cleared rows pending delete instead of deleting them", () => {
+	const env = setupCleared();
+
+	assert.deepEqual(
+		env.UrlFetchApp.requests.map((request) => request.payload.operation),
+		["SET_PENDING_DELETE"]
+	);
+	const [mark] = env.UrlFetchApp.payloads("SET_PENDING_DELETE");
+	assert.deepEqual(mark.hubdbRowIds, ["1000", "1001"]);
+	assert.equal(mark.pendingDelete, true);
+	assert.equal(env.hubdb.rows.size, 3);
+	assert.equal(env.hubdb.rows.get("1000").pendingDelete, true);
+	assert.equal(env.sheet.cell(4, 1), "1000");
+	assert.equal(env.sheet.cell(4, 9), "pending delete");
+	assert.match(env.sheet.cell(4, 10), /^Cleared: deleted from HubDB after /);
+	assert.deepEqual(Object.keys(pending(env)), ["1000", "1001"]);
+
+	env.UrlFetchApp.requests.length = 0;
+	env.script.syncAllData();
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+});
+
+test("deletes the rows once the grace period is over", () => {
+	const env = setupCleared();
+	const entries = pending(env);
+	entries["1000"].markedAt -= 25 * 60 * 60 * 1000;
+	env.PropertiesService.store.set(PENDING_KEY, JSON.stringify(entries));
+
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.payloads("DELETE_HUBDB_ROW").length, 1);
+	assert.deepEqual(Array.from(env.hubdb.rows.keys()), ["1001", "1002"]);
+	assert.equal(env.sheet.cell(4, 1), "");
+	assert.equal(env.sheet.cell(4, 9), "deleted");
+	assert.deepEqual(Object.keys(pending(env)), ["1001"]);
+
+	env.UrlFetchApp.requests.length = 0;
+	env.script.syncAllData();
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+});
+
+test("undo writes the selected rows back and shows them again", () => {
+	const env = setupCleared();
+	env.UrlFetchApp.requests.length = 0;
+	env.sheet.getRange(4, 1, 2, 10).activate();
+
+	env.script.undoClearFromMenu();
+
+	assert.equal(env.sheet.cell(4, 1), "1000");
+	assert.equal(env.sheet.cell(4, 5), "Tan Wei Ming");
+	assert.equal(env.sheet.cell(5, 5), "Ong Kai Xuan");
+	assert.equal(env.sheet.cell(5, 2), "2025-07-12T09:00:00+08:00");
+	const [show] = env.UrlFetchApp.payloads("SET_PENDING_DELETE");
+	assert.deepEqual(show.hubdbRowIds, ["1000", "1001"]);
+	assert.equal(show.pendingDelete, false);
+	assert.equal(env.hubdb.rows.get("1001").pendingDelete, false);
+	// The restored rows match the snapshot, so nothing else is sent
+	assert.equal(env.UrlFetchApp.payloads("gameData").length, 0);
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+	assert.equal(env.sheet.cell(4, 10), "Restored");
+	assert.deepEqual(pending(env), {});
+	assert.match(env.spreadsheet.toasts.at(-1).message, /2 row\(s\) restored/);
+});
+
+test("rows typed back in by hand are shown again", () => {
+	const env = setupCleared();
+
+	env.sheet.getRange(4, 2, 1, 7).setValues([fixture().slice(1)]);
+	env.script.syncAllData();
+
+	const [, show] = env.UrlFetchApp.payloads("SET_PENDING_DELETE");
+	assert.deepEqual(show.hubdbRowIds, ["1000"]);
+	assert.equal(show.pendingDelete, false);
+	assert.deepEqual(Object.keys(pending(env)), ["1001"]);
+});
+
+test("undo reports rows that are no longer in HubDB", () => {
+	const env = setupCleared();
+	env.hubdb.rows.delete("1000");
+	env.sheet.getRange(4, 1).activate();
+
+	env.script.undoClearFromMenu();
+
+	assert.equal(env.sheet.cell(4, 9), "error");
+	assert.equal(
+		env.sheet.cell(4, 10),
+		"Cannot undo: the row is no longer in HubDB"
+	);
+	assert.match(env.spreadsheet.toasts.at(-1).message, /No selected row/);
+});
+
+test("the menu deletes pending rows after confirmation", () => {
+	const env = setupCleared();
+
+	env.ui.alertResponse = "NO";
+	env.script.deletePendingRowsFromMenu();
+	assert.equal(env.hubdb.rows.size, 3);
+
+	env.ui.alertResponse = "YES";
+	env.script.deletePendingRowsFromMenu();
+
+	const [batch] = env.UrlFetchApp.payloads("BATCH_DELETE_HUBDB_ROWS");
+	assert.deepEqual(batch.hubdbRowIds, ["1000", "1001"]);
+	assert.deepEqual(Array.from(env.hubdb.rows.keys()), ["1002"]);
+	assert.deepEqual(pending(env), {});
+});
+
+test("reconcile does not report pending rows as HubDB-only", () => {
+	const env = setupCleared();
+
+	assert.equal(env.script.reconcile(), 0);
+});
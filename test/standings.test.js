@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+
+function groupMatch(player1, player2, results, stage = "Group A") {
+	return fixture({ stage, player1, player2, results });
+}
+
+function order(table) {
+	return table.rows.map((row) => `${row.position} ${row.player}`);
+}
+
+test("ranks by wins and breaks a two-way tie by head-to-head", () => {
+	const env = setup([
+		groupMatch("P", "Q", "6-0 6-0"),
+		groupMatch("P", "R", "6-4 4-6 6-3"),
+		groupMatch("Q", "R", "6-7(4) 7-6(5) [10-8]"),
+		groupMatch("R", "S", "6-0 6-0"),
+	]);
+
+	env.script.syncAllData();
+
+	const [table] = env.hubdb.standings;
+	assert.equal(table.category, "Men's Singles");
+	assert.equal(table.group, "A");
+	// R has the better set ratio but lost to Q
+	assert.deepEqual(order(table), ["1 P", "2 Q", "3 R", "4 S"]);
+	assert.deepEqual(table.rows[0], {
+		position: 1,
+		player: "P",
+		played: 2,
+		won: 2,
+		lost: 0,
+		sets_won: 4,
+		sets_lost: 1,
+		games_won: 28,
+		games_lost: 13,
+	});
+});
+
+test("breaks a three-way tie by set ratio, then head-to-head", () => {
+	const env = setup([
+		groupMatch("A", "B", "6-0 6-0"),
+		groupMatch("B", "C", "6-4 6-4"),
+		groupMatch("C", "A", "6-4 3-6 [10-8]"),
+	]);
+
+	env.script.syncAllData();
+
+	assert.deepEqual(order(env.hubdb.standings[0]), ["1 A", "2 B", "3 C"]);
+});
+
+test("keeps groups and categories apart and shares positions when level", () => {
+	const env = setup([
+		groupMatch("A", "B", ""),
+		groupMatch("C", "D", "6-1 6-1", "Group B"),
+	]);
+
+	env.script.syncAllData();
+
+	const [groupA, groupB] = env.hubdb.standings;
+	assert.deepEqual(order(groupA), ["1 A", "1 B"]);
+	assert.deepEqual(order(groupB), ["1 C", "2 D"]);
+});
+
+test("writes the standings tab and only publishes changes", () => {
+	const env = setup([
+		groupMatch("A", "B", "6-1 6-1"),
+		groupMatch("A", "C", ""),
+	]);
+	env.script.syncAllData();
+
+	const sheet = env.spreadsheet.getSheetByName("Standings");
+	assert.deepEqual(
+		[sheet.cell(4, 2), sheet.cell(4, 3), sheet.cell(4, 4), sheet.cell(4, 6)],
+		["A", 1, "A", 1]
+	);
+	assert.equal(env.UrlFetchApp.payloads("UPDATE_STANDINGS").length, 1);
+
+	env.script.syncAllData();
+	assert.equal(env.UrlFetchApp.payloads("UPDATE_STANDINGS").length, 1);
+
+	env.sheet.getRange(5, 7).setValue("0-6 0-6");
+	env.script.syncAllData();
+	assert.equal(env.UrlFetchApp.payloads("UPDATE_STANDINGS").length, 2);
+	assert.deepEqual(order(env.hubdb.standings[0]), ["1 C", "2 A", "3 B"]);
+});
+
+test("sheets without group stages publish nothing", () => {
+	const env = setup([fixture({ results: "6-1 6-1" })]);
+
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.payloads("UPDATE_STANDINGS").length, 0);
+	assert.equal(env.spreadsheet.getSheetByName("Standings"), null);
+});
+
+test("the menu republishes the standings", () => {
+	const env = setup([groupMatch("A", "B", "6-1 6-1")]);
+	env.script.syncAllData();
+
+	env.script.publishStandingsFromMenu();
+
+	assert.equal(env.UrlFetchApp.payloads("UPDATE_STANDINGS").length, 2);
+	assert.match(env.spreadsheet.toasts.at(-1).message, /standings published/);
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup, clearData } = require("./helpers");
+
+test("creates a HubDB row for a new fixture and writes back hs_id", () => {
+	const env = setup([fixture()]);
+
+	env.script.syncAllData();
+
+	const [create] = env.UrlFetchApp.payloads("CREATE_HUBDB_ROW");
+	assert.equal(create.data.player_1, "Tan Wei Ming");
+	assert.equal(create.metadata.sheetRow, 4);
+	assert.equal(env.sheet.cell(4, 1), "1000");
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+	assert.equal(env.hubdb.rows.size, 1);
+});
+
+test("does not call HubSpot when nothing changed", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+	env.UrlFetchApp.requests.length = 0;
+
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+});
+
+test("sends an UPDATED operation when a result is entered", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+
+	env.sheet.getRange(4, 7).setValue("6-4 6-3");
+	env.script.syncAllData();
+
+	const [update] = env.UrlFetchApp.payloads("gameData");
+	assert.equal(update.gameData.length, 1);
+	assert.equal(update.gameData[0].operation, "UPDATED");
+	assert.deepEqual(
+		update.gameData[0].changedFields.map((change) => change.field),
+		["results"]
+	);
+	assert.equal(env.hubdb.rows.get("1000").results, "6-4 6-3");
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+});
+
+test("deletes the HubDB row when a synced row is cleared", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+
+	clearData(env.sheet, 4);
+	env.script.syncAllData();
+	env.script.deletePendingRows();
+
+	assert.equal(env.UrlFetchApp.payloads("DELETE_HUBDB_ROW").length, 1);
+	assert.equal(env.hubdb.rows.size, 0);
+	assert.equal(env.sheet.cell(4, 1), "");
+});
+
+test("batch deletes when several synced rows are cleared", () => {
+	const env = setup([
+		fixture(),
+		fixture({ player1: "Ong Kai Xuan", player2: "Goh Zhi Hao" }),
+	]);
+	env.script.syncAllData();
+	assert.equal(env.hubdb.rows.size, 2);
+
+	clearData(env.sheet, 4);
+	clearData(env.sheet, 5);
+	env.script.syncAllData();
+	env.script.deletePendingRows();
+
+	const [batch] = env.UrlFetchApp.payloads("BATCH_DELETE_HUBDB_ROWS");
+	assert.deepEqual(batch.hubdbRowIds.sort(), ["1000", "1001"]);
+	assert.equal(env.hubdb.rows.size, 0);
+});
+
+test("sends a DELETED operation when a synced row is removed", () => {
+	const env = setup([
+		fixture(),
+		fixture({ player1: "Ong Kai Xuan", player2: "Goh Zhi Hao" }),
+	]);
+	env.script.syncAllData();
+
+	env.sheet.deleteRow(5);
+	env.script.syncAllData();
+
+	const [removal] = env.UrlFetchApp.payloads("gameData");
+	assert.equal(removal.gameData[0].operation, "DELETED");
+	assert.equal(removal.gameData[0].oldData.hubdbRowId, "1001");
+	assert.deepEqual(Array.from(env.hubdb.rows.keys()), ["1000"]);
+});
+
+test("marks the row as errored when HubDB creation fails", () => {
+	const env = setup([fixture()], {
+		handler: () => ({ code: 500, body: "Internal error" }),
+	});
+
+	env.script.syncAllData();
+
+	assert.equal(env.sheet.cell(4, 1), "");
+	assert.equal(env.sheet.cell(4, 9), "error");
+	assert.match(env.sheet.cell(4, 10), /500/);
+});
+
+test("installs and removes sync triggers", () => {
+	const env = setup([]);
+
+	env.script.setupTriggers();
+	assert.deepEqual(
+		env.ScriptApp.getProjectTriggers().map((t) => t.getEventType()),
+		["ON_CHANGE", "ON_EDIT", "CLOCK"]
+	);
+
+	env.script.removeTriggers();
+	assert.equal(env.ScriptApp.getProjectTriggers().length, 0);
+});
@@ -0,0 +1,191 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup, clearData } = require("./helpers");
+
+function logRows(env) {
+	return env.script.readSyncLog();
+}
+
+test("logs a creation with the run, trigger, IDs and values sent", () => {
+	const env = setup([fixture()]);
+
+	env.script.syncNowFromMenu();
+
+	const log = env.spreadsheet.getSheetByName("Sync log");
+	assert.equal(log.cell(3, 1), "Time");
+	const [entry] = logRows(env);
+	assert.equal(entry.operation, "CREATE_HUBDB_ROW");
+	assert.equal(entry.trigger, "menu");
+	assert.match(entry.runId, /^[0-9a-f-]{36}$/);
+	assert.equal(entry.target, "tennis");
+	assert.equal(entry.matchId, env.sheet.cell(4, 11));
+	assert.equal(entry.hubdbRowId, "1000");
+	assert.equal(entry.sheetRow, 4);
+	assert.equal(entry.httpStatus, 200);
+	assert.match(entry.changes, /^player_1: "" → "Tan Wei Ming"$/m);
+	assert.match(entry.time, /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\+08:00$/);
+});
+
+test("logs the old and new value of an updated result", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+
+	env.sheet.getRange(4, 7).setValue("6-4 6-3");
+	env.script.syncAllData();
+	env.sheet.getRange(4, 7).setValue("6-4 7-5");
+	env.script.syncScheduledTargets();
+
+	const updates = logRows(env).filter((entry) => entry.operation === "UPDATED");
+	assert.deepEqual(
+		updates.map((entry) => entry.changes),
+		['results: "" → "6-4 6-3"', 'results: "6-4 6-3" → "6-4 7-5"']
+	);
+	assert.equal(updates[1].trigger, "schedule");
+	assert.equal(updates[1].hubdbRowId, "1000");
+	assert.notEqual(updates[0].runId, updates[1].runId);
+});
+
+test("marks an old value the log does not have as unknown", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+	env.spreadsheet.getSheetByName("Sync log").clear();
+
+	env.sheet.getRange(4, 7).setValue("6-4 6-3");
+	env.script.syncAllData();
+
+	const [entry] = logRows(env);
+	assert.equal(entry.changes, 'results: ? → "6-4 6-3"');
+});
+
+test("reads the log for old values once per run", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+	const matchId = env.sheet.cell(4, 11);
+	const target = env.script.getSyncTarget("tennis");
+	const log = env.script.getSyncLogSheet();
+	const response = {
+		getResponseCode: () => 200,
+		getContentText: () => '{"success":true}',
+	};
+	const update = (results) => ({
+		gameData: [
+			{
+				operation: "UPDATED",
+				uniqueId: matchId,
+				data: { matchId: matchId, hubdbRowId: "1000" },
+				changedFields: [{ field: "results", newValue: results }],
+				metadata: { sheetRow: 4 },
+			},
+		],
+	});
+	log.reads.length = 0;
+
+	env.script.startRunStats(target, "manual");
+	env.script.logSyncRequest(target, update("6-4 6-3"), response);
+	env.script.logSyncRequest(target, update("6-3 6-4"), response);
+
+	assert.equal(log.reads.filter((read) => read.row >= 4).length, 1);
+	assert.deepEqual(
+		logRows(env).map((entry) => entry.changes),
+		[
+			logRows(env)[0].changes,
+			'results: "" → "6-4 6-3"',
+			'results: "6-4 6-3" → "6-3 6-4"',
+		]
+	);
+});
+
+test("logs failed requests with the HTTP status and reply", () => {
+	const env = setup([fixture()], {
+		handler: () => ({ code: 400, body: "Bad request" }),
+	});
+
+	env.script.syncAllData();
+
+	const [entry] = logRows(env);
+	assert.equal(entry.httpStatus, 400);
+	assert.equal(entry.response, "Bad request");
+	assert.equal(entry.hubdbRowId, "");
+});
+
+test("logs one row per match of a batch delete", () => {
+	const env = setup([
+		fixture(),
+		fixture({ player1: "Ong Kai Xuan", player2: "Goh Zhi Hao" }),
+	]);
+	env.script.syncAllData();
+
+	clearData(env.sheet, 4);
+	clearData(env.sheet, 5);
+	env.script.syncAllData();
+	env.script.deletePendingRows();
+
+	const deletes = logRows(env).filter(
+		(entry) => entry.operation === "BATCH_DELETE_HUBDB_ROWS"
+	);
+	assert.deepEqual(deletes.map((entry) => entry.hubdbRowId).sort(), [
+		"1000",
+		"1001",
+	]);
+	assert.equal(deletes[0].trigger, "delete cleared rows");
+	assert.match(deletes[0].response, /"status":"success"/);
+});
+
+test("finds the history of a match by match ID or hs_id", () => {
+	const env = setup([
+		fixture(),
+		fixture({ player1: "Ong Kai Xuan", player2: "Goh Zhi Hao" }),
+	]);
+	env.script.syncAllData();
+	env.sheet.getRange(4, 7).setValue("6-4 6-3");
+	env.script.syncAllData();
+	const matchId = env.sheet.cell(4, 11);
+	env.sheet.deleteRow(4);
+	env.script.syncAllData();
+
+	const operations = (id) =>
+		env.script.getMatchHistory(id).map((entry) => entry.operation);
+	assert.deepEqual(operations(matchId), [
+		"BATCH_CREATE_HUBDB_ROWS",
+		"UPDATED",
+		"DELETED",
+	]);
+	assert.deepEqual(operations("1000"), [
+		"BATCH_CREATE_HUBDB_ROWS",
+		"UPDATED",
+		"DELETED",
+	]);
+	assert.deepEqual(operations("1001"), ["BATCH_CREATE_HUBDB_ROWS"]);
+});
+
+test("shows the selected match's history from the menu", () => {
+	const env = setup([fixture()]);
+	env.script.syncAllData();
+	env.sheet.getRange(4, 7).setValue("6-4 6-3");
+	env.script.syncAllData();
+
+	env.sheet.getRange(4, 2).activate();
+	env.script.showMatchHistoryFromMenu();
+
+	const [alert] = env.ui.alerts;
+	assert.equal(alert.title, `Match history: ${env.sheet.cell(4, 11)}`);
+	assert.match(alert.message, /CREATE_HUBDB_ROW \(manual\), HTTP 200/);
+	assert.match(alert.message, / {2}results: "" → "6-4 6-3"/);
+});
+
+test("removes the oldest rows once the log is full", () => {
+	const env = setup([fixture()]);
+	const limit = env.run("MAX_SYNC_LOG_ROWS");
+	const log = env.script.getSyncLogSheet();
+	log
+		.getRange(4, 1, limit, 5)
+		.setValues(
+			Array.from({ length: limit }, (_, i) => ["", "", "", "", `OLD ${i}`])
+		);
+
+	env.script.syncAllData();
+
+	assert.equal(log.getLastRow(), limit + 3);
+	assert.equal(log.cell(4, 5), "OLD 1");
+	assert.equal(log.cell(limit + 3, 5), "CREATE_HUBDB_ROW");
+});
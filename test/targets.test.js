@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScript } = require("./harness");
+const { SHEET, HEADERS, fixture } = require("./helpers");
+
+const BADMINTON_SHEET = "Badminton schedule";
+const BADMINTON_ENDPOINT = "https://example.test/update-data-sport-badminton";
+
+function setupTwoTargets() {
+	const header = [["Pesta Sukan 2025"], [], HEADERS];
+	const env = loadScript({
+		sheets: {
+			[SHEET]: [...header, fixture()],
+			[BADMINTON_SHEET]: [
+				...header,
+				fixture({ player1: "Ng Hui Min", player2: "Chua Li Ting" }),
+			],
+		},
+	});
+	env.run(`SYNC_TARGETS.push({
+		name: "badminton",
+		sheetName: "${BADMINTON_SHEET}",
+		endpoint: "${BADMINTON_ENDPOINT}",
+		storageKey: "GAME_DATA_BADMINTON",
+		syncOnEdit: true,
+		syncOnSchedule: false,
+	})`);
+	return env;
+}
+
+test("syncs every target to its own endpoint and snapshot", () => {
+	const env = setupTwoTargets();
+
+	env.script.syncAllData();
+
+	const urls = env.UrlFetchApp.requests.map((req) => req.url);
+	assert.equal(urls.length, 2);
+	assert.match(urls[0], /update-data-sport-tennis$/);
+	assert.equal(urls[1], BADMINTON_ENDPOINT);
+
+	const tennis = env.script.getStoredData(env.script.getSyncTarget("tennis"));
+	const badminton = env.script.getStoredData(
+		env.script.getSyncTarget("badminton")
+	);
+	const [tennisRow] = Object.values(tennis);
+	const [badmintonRow] = Object.values(badminton);
+	assert.equal(Object.keys(tennis).length, 1);
+	assert.equal(tennisRow.hubdbRowId, "1000");
+	assert.equal(Object.keys(badminton).length, 1);
+	assert.equal(badmintonRow.hubdbRowId, "1001");
+	assert.notEqual(tennisRow.hash, badmintonRow.hash);
+});
+
+test("syncs only the named target", () => {
+	const env = setupTwoTargets();
+
+	env.script.syncAllData("badminton");
+
+	assert.deepEqual(
+		env.UrlFetchApp.requests.map((req) => req.url),
+		[BADMINTON_ENDPOINT]
+	);
+});
+
+test("edit trigger syncs only the target of the edited sheet", () => {
+	const env = setupTwoTargets();
+	const sheet = env.spreadsheet.getSheetByName(BADMINTON_SHEET);
+
+	env.script.onSheetEdit({ range: sheet.getRange(4, 7) });
+	env.script.processQueuedSyncs();
+
+	assert.equal(env.UrlFetchApp.requests.length, 1);
+	assert.equal(env.UrlFetchApp.requests[0].url, BADMINTON_ENDPOINT);
+});
+
+test("scheduled trigger skips targets that opted out", () => {
+	const env = setupTwoTargets();
+
+	env.script.syncScheduledTargets();
+
+	assert.equal(env.UrlFetchApp.requests.length, 1);
+	assert.match(env.UrlFetchApp.requests[0].url, /tennis$/);
+});
+
+test("rejects an unknown target name", () => {
+	const env = setupTwoTargets();
+
+	assert.throws(() => env.script.syncAllData("squash"), /"squash" not found/);
+});
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+
+const JULY_12_9AM = Date.UTC(2025, 6, 12, 1, 0);
+
+test("normalises Date cells and text to Singapore time", () => {
+	const env = setup([]);
+	const normalise = (value) => env.script.normaliseMatchTime(value).iso;
+	const year = new Date(Date.now() + 8 * 3600 * 1000).getUTCFullYear();
+
+	assert.equal(normalise("12/7/2025 9:00"), "2025-07-12T09:00:00+08:00");
+	assert.equal(normalise(new Date(JULY_12_9AM)), "2025-07-12T09:00:00+08:00");
+	assert.equal(normalise("2025-07-12 09:00"), "2025-07-12T09:00:00+08:00");
+	assert.equal(normalise("2025-07-12T01:00:00Z"), "2025-07-12T09:00:00+08:00");
+	assert.equal(
+		normalise("Sat 12 Jul 2025 2:30 PM"),
+		"2025-07-12T14:30:00+08:00"
+	);
+	assert.equal(normalise("12.7.25 21.30"), "2025-07-12T21:30:00+08:00");
+	assert.equal(normalise("12/7 9am"), `${year}-07-12T09:00:00+08:00`);
+	assert.equal(
+		env.script.normaliseMatchTime("12/7/2025 9:00").epoch,
+		JULY_12_9AM
+	);
+});
+
+test("rejects values that are not a date and time", () => {
+	const env = setup([]);
+	const error = (value) => {
+		try {
+			env.script.normaliseMatchTime(value);
+		} catch (e) {
+			return e.message;
+		}
+		return null;
+	};
+
+	assert.equal(error("TBC"), '"TBC" is not a date and time');
+	assert.equal(error("12/7/2025"), '"12/7/2025" has no time');
+	assert.equal(error("12/7/2025 9"), '"9" is not a time');
+	assert.equal(
+		error("31/2/2025 9:00"),
+		'"31/2/2025 9:00" is not a valid date and time'
+	);
+	assert.equal(
+		error("12/7/2025 25:00"),
+		'"12/7/2025 25:00" is not a valid date and time'
+	);
+});
+
+test("sends the normalised time with epoch milliseconds", () => {
+	const env = setup([fixture({ date: new Date(JULY_12_9AM) })]);
+
+	env.script.syncAllData();
+
+	const [create] = env.UrlFetchApp.payloads("CREATE_HUBDB_ROW");
+	assert.equal(create.data.date_and_time, "2025-07-12T09:00:00+08:00");
+	assert.equal(create.data.date_and_time_epoch, JULY_12_9AM);
+});
+
+test("the same time as a Date cell or text is not a change", () => {
+	const env = setup([fixture({ date: "12/7/2025 9:00" })]);
+	env.script.syncAllData();
+	env.UrlFetchApp.requests.length = 0;
+
+	env.sheet.getRange(4, 2).setValue(new Date(JULY_12_9AM));
+	env.script.syncAllData();
+	env.sheet.getRange(4, 2).setValue("12/07/2025 9:00 am");
+	env.script.syncAllData();
+
+	assert.equal(env.UrlFetchApp.requests.length, 0);
+});
+
+test("holds back a row with an unreadable time until it is fixed", () => {
+	const env = setup([fixture({ date: "TBC" })]);
+
+	env.script.syncAllData();
+
+	assert.equal(env.hubdb.rows.size, 0);
+	assert.equal(env.sheet.cell(4, 9), "error");
+	assert.equal(
+		env.sheet.cell(4, 10),
+		'Invalid date and time: "TBC" is not a date and time'
+	);
+
+	env.sheet.getRange(4, 2).setValue("12/7/2025 9:00");
+	env.script.syncAllData();
+
+	assert.equal(env.hubdb.rows.size, 1);
+	assert.equal(env.sheet.cell(4, 9), "sync success");
+});
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, setup } = require("./helpers");
+
+const STATUS_COLUMNS = [1, 9, 10];
+
+function fixtures(count) {
+	return Array.from({ length: count }, (_, i) =>
+		fixture({
+			player1: `Player ${i * 2}`,
+			player2: `Player ${i * 2 + 1}`,
+			venue: `Court ${i + 1}`,
+		})
+	);
+}
+
+function statusWrites(env) {
+	return env.sheet.writes
+		.filter((write) => STATUS_COLUMNS.includes(write.col))
+		.map((write) => ({ ...write }));
+}
+
+test("writes the hs_ids and statuses of a run in one range per block", () => {
+	const env = setup(fixtures(3));
+
+	env.script.syncAllData();
+
+	assert.deepEqual(statusWrites(env), [
+		{ row: 4, col: 1, numRows: 3, numCols: 1 },
+		{ row: 4, col: 9, numRows: 3, numCols: 2 },
+	]);
+	assert.deepEqual(
+		[4, 5, 6].map((row) => env.sheet.cell(row, 9)),
+		["sync success", "sync success", "sync success"]
+	);
+});
+
+test("leaves the last status in place while a request is out", () => {
+	const env = setup(fixtures(2));
+	env.script.syncAllData();
+	const seen = [];
+	env.UrlFetchApp.handler = (payload) => {
+		seen.push([env.sheet.cell(4, 9), env.sheet.cell(4, 10)]);
+		return env.hubdb.handle(payload);
+	};
+
+	env.sheet.getRange(4, 7).setValue("6-4 6-3");
+	env.script.syncAllData();
+
+	assert.deepEqual(seen, [["sync success", "HubDB row created successfully"]]);
+	assert.equal(
+		env.sheet.cell(4, 10),
+		"UPDATED operation completed successfully"
+	);
+});
+
+test("writes earlier results to the sheet before the next request", () => {
+	const env = setup(fixtures(1));
+	env.script.syncAllData();
+	let hsIdDuringUpdate = null;
+	env.UrlFetchApp.handler = (payload) => {
+		if (Array.isArray(payload.gameData)) {
+			hsIdDuringUpdate = env.sheet.cell(5, 1);
+		}
+		return env.hubdb.handle(payload);
+	};
+
+	env.sheet.appendRow(fixtures(2)[1]);
+	env.sheet.getRange(4, 7).setValue("6-4 6-3");
+	env.script.syncAllData();
+
+	assert.equal(hsIdDuringUpdate, "1001");
+	assert.equal(env.sheet.cell(5, 9), "sync success");
+});
+
+test("writes straight to the sheet outside a sync run", () => {
+	const env = setup(fixtures(1));
+
+	env.script.updateRowWithStatus(env.sheet, 4, "error", "Checked by hand");
+
+	assert.equal(env.sheet.cell(4, 9), "error");
+	assert.equal(env.sheet.cell(4, 10), "Checked by hand");
+});